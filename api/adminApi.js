@@ -0,0 +1,301 @@
+const express = require('express');
+const User = require('../models/UserModel');
+const Ticket = require('../models/Ticket');
+const { auth, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, auditListing, diff } = require('../services/audit');
+const { BadRequestError, ConflictError, NotFoundError } = require('../services/errors');
+const { listTickets } = require('../services/ticketQuery');
+const { revokeAllSessions } = require('../services/authService');
+const { applyReassignment, findTargetAgent } = require('../services/reassignment');
+const { idParams } = require('../validators/common');
+const { listTicketsQuery } = require('../validators/tickets');
+const {
+    changeRoleBody,
+    createUserBody,
+    forceReassignBody,
+    listUsersQuery,
+    setCapacityBody,
+    setTierBody
+} = require('../validators/admin');
+const auditApi = require('./auditApi');
+const webhookApi = require('./webhookApi');
+
+// Mounted at /api/admin
+const router = express.Router();
+
+router.use(auth);
+
+// Load :id user, or throw 404
+const findUser = async (req) => {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+    return user;
+};
+
+const userTarget = (user) => ({ type: 'user', id: user._id });
+
+// Audit a change to a user loaded with findUser; before is user.toObject() taken earlier
+const auditUserChange = (req, action, before, user, fields) => audit(req, {
+    action,
+    target: userTarget(user),
+    changes: diff(before, user.toObject(), fields)
+});
+
+// 1. LIST USERS (?role=AGENT&active=true&q=name-or-email&page=1&limit=20)
+router.get('/users', requirePermission('users:read'), validate({ query: listUsersQuery }), async (req, res) => {
+    const { page = 1, limit = 20, role, active, q } = req.query;
+    const query = {};
+    
+    if (role) {
+        query.role = role;
+    }
+    
+    if (active !== undefined) {
+        query.active = active ? { $ne: false } : false;
+    }
+    
+    if (q) {
+        const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    
+    const [total, users] = await Promise.all([
+        User.countDocuments(query),
+        User.find(query)
+            .select('-password')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    res.json({
+        success: true,
+        count: users.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        users
+    });
+});
+
+// 2. CREATE USER (any role)
+router.post('/users', requirePermission('users:manage'), validate({ body: createUserBody }), async (req, res) => {
+    const { name, email, password, role, age } = req.body;
+    
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+        throw new ConflictError('User already exists with this email', 'EMAIL_TAKEN');
+    }
+    
+    const user = new User({ name, email, password, role, age });
+    await user.save();
+    
+    await audit(req, {
+        action: 'user.created',
+        target: userTarget(user),
+        metadata: { email: user.email, role: user.role }
+    });
+    
+    const created = user.toObject();
+    delete created.password;
+    
+    res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        user: created
+    });
+});
+
+// 3. DEACTIVATE USER
+router.patch('/users/:id/deactivate', requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    if (req.params.id === req.user.userId.toString()) {
+        throw new BadRequestError('You cannot deactivate your own account', 'SELF_DEACTIVATION');
+    }
+    
+    const user = await findUser(req);
+    const before = user.toObject();
+    
+    user.active = false;
+    user.deactivatedAt = new Date();
+    // Take agents out of the assignment rotation straight away
+    if (user.role === 'AGENT') {
+        user.availability = 'OFFLINE';
+    }
+    await user.save();
+    await revokeAllSessions(user._id, 'user_deactivated');
+    await auditUserChange(req, 'user.deactivated', before, user, ['active', 'deactivatedAt', 'availability']);
+    
+    res.json({
+        success: true,
+        message: 'User deactivated successfully',
+        user
+    });
+});
+
+// 4. REACTIVATE USER
+router.patch('/users/:id/activate', requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+    const user = await findUser(req);
+    const before = user.toObject();
+    
+    user.active = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+    await auditUserChange(req, 'user.activated', before, user, ['active', 'deactivatedAt']);
+    
+    res.json({
+        success: true,
+        message: 'User activated successfully',
+        user
+    });
+});
+
+// 5. CHANGE ROLE
+router.patch('/users/:id/role', requirePermission('users:manage'), validate({ params: idParams, body: changeRoleBody }), async (req, res) => {
+    if (req.params.id === req.user.userId.toString()) {
+        throw new BadRequestError('You cannot change your own role', 'SELF_ROLE_CHANGE');
+    }
+    
+    const user = await findUser(req);
+    const before = user.toObject();
+    
+    user.role = req.body.role;
+    await user.save();
+    await auditUserChange(req, 'user.role_changed', before, user, ['role']);
+    
+    res.json({
+        success: true,
+        message: 'User role updated successfully',
+        user
+    });
+});
+
+// 5b. SET AGENT SUPPORT TIER
+router.patch('/users/:id/tier', requirePermission('users:manage'), validate({ params: idParams, body: setTierBody }), async (req, res) => {
+    const user = await findUser(req);
+    
+    if (user.role !== 'AGENT') {
+        throw new BadRequestError('Only agents have a support tier', 'NOT_AN_AGENT');
+    }
+    
+    const before = user.toObject();
+    user.tier = req.body.tier;
+    await user.save();
+    await auditUserChange(req, 'user.tier_changed', before, user, ['tier']);
+    
+    res.json({
+        success: true,
+        message: 'Agent tier updated successfully',
+        user
+    });
+});
+
+// 5c. SET AGENT CAPACITY (max OPEN/IN_PROGRESS tickets; null for the default)
+router.patch('/users/:id/capacity', requirePermission('users:manage'), validate({ params: idParams, body: setCapacityBody }), async (req, res) => {
+    const user = await findUser(req);
+    
+    if (user.role !== 'AGENT') {
+        throw new BadRequestError('Only agents have a ticket capacity', 'NOT_AN_AGENT');
+    }
+    
+    const before = user.toObject();
+    user.maxOpenTickets = req.body.maxOpenTickets;
+    await user.save();
+    await auditUserChange(req, 'user.capacity_changed', before, user, ['maxOpenTickets']);
+    
+    res.json({
+        success: true,
+        message: 'Agent capacity updated successfully',
+        user
+    });
+});
+
+// 6. LIST ALL TICKETS (same filters and paging as GET /api/tickets)
+router.get('/tickets', requirePermission('tickets:read:all'), validate({ query: listTicketsQuery }), async (req, res) => {
+    const result = await listTickets(req.query, {
+        viewerRole: req.user.role,
+        populate: [['customer', 'name email'], ['assignedAgent', 'name email']]
+    });
+    
+    await auditListing(req, result.tickets);
+    
+    res.json({
+        success: true,
+        count: result.tickets.length,
+        ...result
+    });
+});
+
+// 7. VIEW ANY TICKET
+router.get('/tickets/:id', requirePermission('tickets:read:all'), validate({ params: idParams }), async (req, res) => {
+    const ticket = await Ticket.findById(req.params.id)
+        .populate('customer', 'name email')
+        .populate('assignedAgent', 'name email')
+        .populate('reassignmentHistory.fromAgent', 'name email')
+        .populate('reassignmentHistory.toAgent', 'name email')
+        .populate('reassignmentHistory.performedBy', 'name email');
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    await audit(req, { action: 'ticket.viewed', target: { type: 'ticket', id: ticket._id } });
+    
+    res.json({
+        success: true,
+        ticket
+    });
+});
+
+// 8. FORCE REASSIGN (ignores the reassignment limit, reason is mandatory)
+router.patch('/tickets/:id/reassign', requirePermission('tickets:reassign:any'), validate({ params: idParams, body: forceReassignBody }), async (req, res) => {
+    const { newAgentId, reason } = req.body;
+    
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    const [fromAgent, newAgent] = await Promise.all([
+        ticket.assignedAgent ? User.findById(ticket.assignedAgent) : null,
+        findTargetAgent(newAgentId)
+    ]);
+    
+    // Forced moves skip the limits but are still recorded with the reason
+    await applyReassignment(ticket, {
+        fromAgent,
+        toAgent: newAgent,
+        reason,
+        outcome: 'FORCED',
+        forced: true,
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    
+    await audit(req, {
+        action: 'ticket.reassigned',
+        target: { type: 'ticket', id: ticket._id },
+        changes: [{ field: 'assignedAgent', from: fromAgent && fromAgent._id, to: newAgent._id }],
+        metadata: { kind: 'FORCED', reason }
+    });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    await ticket.populate('reassignmentHistory.fromAgent', 'name email');
+    await ticket.populate('reassignmentHistory.toAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Ticket reassigned successfully',
+        ticket
+    });
+});
+
+// 9. AUDIT LOG (SEARCH / EXPORT / VERIFY)
+router.use('/audit', auditApi);
+
+// 10. OUTBOUND WEBHOOKS (SUBSCRIPTIONS + DELIVERY LOG)
+router.use('/webhooks', webhookApi);
+
+module.exports = router;
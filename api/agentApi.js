@@ -0,0 +1,82 @@
+const express = require('express');
+const Ticket = require('../models/Ticket');
+const User = require('../models/UserModel');
+const { auth, requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { NotFoundError } = require('../services/errors');
+const { listAgentsQuery, updateAgentBody } = require('../validators/agents');
+
+// Mounted at /api/agents
+const router = express.Router();
+
+// 1. GET ALL AGENTS (FOR REASSIGNMENT DROPDOWN)
+// Optional ?team=<teamId> limits the list to members of that team
+router.get('/', auth, requireRole('AGENT', 'ADMIN'), validate({ query: listAgentsQuery }), async (req, res) => {
+    // Get all active agents except current agent
+    const query = {
+        role: 'AGENT',
+        active: { $ne: false },
+        _id: { $ne: req.user.userId }
+    };
+    
+    if (req.query.team) {
+        query.teams = req.query.team;
+    }
+    
+    const agents = await User.find(query)
+        .select('name email availability skills tier teams')
+        .populate('teams', 'name');
+    
+    res.json({
+        success: true,
+        count: agents.length,
+        agents
+    });
+});
+
+// 2. UPDATE OWN AVAILABILITY / SKILLS (AGENT ONLY)
+router.patch('/me', auth, requireRole('AGENT'), validate({ body: updateAgentBody }), async (req, res) => {
+    // Only the fields that were sent
+    const updates = req.body;
+    
+    const agent = await User.findById(req.user.userId).select('name email availability skills maxOpenTickets');
+    if (!agent) {
+        throw new NotFoundError('Agent not found', 'AGENT_NOT_FOUND');
+    }
+    
+    const before = agent.toObject();
+    agent.set(updates);
+    await agent.save();
+    
+    await audit(req, {
+        action: 'agent.settings_updated',
+        target: { type: 'user', id: agent._id },
+        changes: diff(before, agent.toObject(), Object.keys(updates))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Agent settings updated successfully',
+        agent
+    });
+});
+
+// 3. INCOMING TRANSFER REQUESTS (AGENT ONLY)
+router.get('/me/transfer-requests', auth, requireRole('AGENT'), async (req, res) => {
+    const tickets = await Ticket.find({
+        'pendingTransfer.toAgent': req.user.userId,
+        'pendingTransfer.expiresAt': { $gt: new Date() }
+    })
+        .populate('customer', 'name email')
+        .populate('assignedAgent', 'name email')
+        .sort({ 'pendingTransfer.requestedAt': 1 });
+    
+    res.json({
+        success: true,
+        count: tickets.length,
+        tickets
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const Attachment = require('../models/Attachment');
+const { auth } = require('../middlewares/auth');
+const { requireTicketParticipant } = require('../middlewares/ticketAccess');
+const { validate } = require('../middlewares/validate');
+const { audit } = require('../services/audit');
+const { NotFoundError } = require('../services/errors');
+const { getStorage } = require('../services/storage');
+const { idParams, objectId } = require('../validators/common');
+
+// Mounted at /api/tickets/:id/attachments
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, validate({ params: idParams }), requireTicketParticipant);
+
+// Customers never see files attached to internal notes
+const visibleTo = (req) => {
+    const query = { ticket: req.ticket._id };
+    if (req.user.role === 'CUSTOMER') {
+        query.internal = false;
+    }
+    return query;
+};
+
+// LIST ATTACHMENTS
+router.get('/', async (req, res) => {
+    const attachments = await Attachment.find(visibleTo(req))
+        .populate('uploadedBy', 'name email')
+        .sort({ createdAt: 1 });
+    
+    await audit(req, {
+        action: 'ticket.attachments_viewed',
+        target: { type: 'ticket', id: req.ticket._id },
+        metadata: { count: attachments.length }
+    });
+    
+    res.json({
+        success: true,
+        count: attachments.length,
+        attachments
+    });
+});
+
+// DOWNLOAD ATTACHMENT
+router.get('/:attachmentId', validate({ params: idParams.extend({ attachmentId: objectId }) }), async (req, res) => {
+    const attachment = await Attachment.findOne({
+        ...visibleTo(req),
+        _id: req.params.attachmentId
+    });
+    
+    if (!attachment) {
+        throw new NotFoundError('Attachment not found', 'ATTACHMENT_NOT_FOUND');
+    }
+    
+    await audit(req, {
+        action: 'ticket.attachment_downloaded',
+        target: { type: 'ticket', id: req.ticket._id },
+        metadata: { attachment: attachment._id, name: attachment.originalName }
+    });
+    
+    const stream = getStorage(attachment.storageDriver).createReadStream(attachment.storageKey);
+    
+    stream.on('error', (err) => {
+        console.error('Read attachment error:', err);
+        if (res.headersSent) {
+            return res.destroy(err);
+        }
+        res.removeHeader('Content-Disposition');
+        res.status(404).json({ 
+            success: false,
+            error: 'Attachment file is missing',
+            code: 'ATTACHMENT_FILE_MISSING' 
+        });
+    });
+    
+    // res.attachment guesses a type from the extension, so set the stored one after it
+    res.attachment(attachment.originalName);
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    
+    stream.pipe(res);
+});
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, verifyChain } = require('../services/audit');
+const { streamCsv, streamLines } = require('../services/reports/csv');
+const { exportAuditQuery, listAuditQuery } = require('../validators/audit');
+
+// Mounted at /api/admin/audit (behind the admin router's auth)
+const router = express.Router();
+
+router.use(requirePermission('audit:read'));
+
+const EXPORT_COLUMNS = [
+    'seq', 'at', 'action', 'outcome', 'actorId', 'actorRole', 'targetType', 'targetId',
+    'changes', 'metadata', 'ip', 'userAgent', 'prevHash', 'hash'
+];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildFilter = (query) => {
+    const filter = {};
+    
+    if (query.actor) filter['actor.id'] = query.actor;
+    if (query.targetType) filter['target.type'] = query.targetType;
+    if (query.targetId) filter['target.id'] = query.targetId;
+    if (query.outcome) filter.outcome = query.outcome;
+    if (query.ip) filter.ip = query.ip;
+    
+    if (query.action) {
+        filter.action = query.action.endsWith('.*')
+            ? { $regex: `^${escapeRegex(query.action.slice(0, -1))}` }
+            : query.action;
+    }
+    
+    if (query.from || query.to) {
+        filter.at = {};
+        if (query.from) filter.at.$gte = query.from;
+        if (query.to) filter.at.$lte = query.to;
+    }
+    
+    return filter;
+};
+
+const exportRow = (entry) => ({
+    seq: entry.seq,
+    at: entry.at,
+    action: entry.action,
+    outcome: entry.outcome,
+    actorId: entry.actor && entry.actor.id,
+    actorRole: entry.actor && entry.actor.role,
+    targetType: entry.target && entry.target.type,
+    targetId: entry.target && entry.target.id,
+    changes: entry.changes ? JSON.stringify(entry.changes) : null,
+    metadata: entry.metadata ? JSON.stringify(entry.metadata) : null,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    prevHash: entry.prevHash,
+    hash: entry.hash
+});
+
+// 1. SEARCH THE AUDIT LOG (newest first)
+// ?actor=&action=ticket.*&targetType=&targetId=&outcome=&ip=&from=&to=&page=&limit=
+router.get('/', validate({ query: listAuditQuery }), async (req, res) => {
+    const { page = 1, limit = 50 } = req.query;
+    const filter = buildFilter(req.query);
+    
+    const [total, entries] = await Promise.all([
+        AuditLog.countDocuments(filter),
+        AuditLog.find(filter)
+            .populate('actor.id', 'name email')
+            .sort({ seq: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    res.json({
+        success: true,
+        count: entries.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        entries
+    });
+});
+
+// 2. EXPORT MATCHING ENTRIES IN CHAIN ORDER (?format=csv|ndjson, same filters)
+// Entries keep their hashes so the export can be checked outside the app
+router.get('/export', validate({ query: exportAuditQuery }), async (req, res) => {
+    const filter = buildFilter(req.query);
+    
+    // Recorded before streaming so the export shows up in the log itself
+    await audit(req, {
+        action: 'audit.exported',
+        metadata: { format: req.query.format, filter: req.query }
+    });
+    
+    const entries = AuditLog.find(filter).sort({ seq: 1 }).lean().cursor();
+    const filename = `audit-${new Date().toISOString().slice(0, 10)}`;
+    
+    // The cursor is closed however the download ends
+    const exported = async function* (toItem) {
+        try {
+            for await (const entry of entries) yield toItem(entry);
+        } finally {
+            await entries.close();
+        }
+    };
+    
+    if (req.query.format === 'csv') {
+        return streamCsv(res, EXPORT_COLUMNS, exported(exportRow), `${filename}.csv`);
+    }
+    
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.ndjson"`);
+    await streamLines(res, exported(entry => `${JSON.stringify(entry)}\n`));
+});
+
+// 3. VERIFY THE HASH CHAIN
+router.get('/verify', async (req, res) => {
+    const result = await verifyChain();
+    
+    res.json({
+        success: true,
+        ...result
+    });
+});
+
+module.exports = router;
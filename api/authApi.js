@@ -0,0 +1,355 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const Session = require('../models/Session');
+const User = require('../models/UserModel');
+const { auth } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { validate } = require('../middlewares/validate');
+const {
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+    UnauthorizedError
+} = require('../services/errors');
+const {
+    issueTokens,
+    listSessions,
+    refreshTokens,
+    revokeAllSessions,
+    revokeSession
+} = require('../services/authService');
+const {
+    requestPasswordReset,
+    resetPassword,
+    sendVerificationEmail,
+    verifyEmail
+} = require('../services/accountService');
+const {
+    assertNotLocked,
+    lockedError,
+    recordFailure,
+    recordSuccess
+} = require('../services/rateLimit/lockout');
+const { audit } = require('../services/audit');
+const limits = require('../config/rateLimit');
+const {
+    forgotPasswordBody,
+    loginBody,
+    refreshBody,
+    registerBody,
+    resetPasswordBody,
+    sessionParams,
+    verifyEmailBody
+} = require('../validators/auth');
+
+// Mounted at /api/auth
+const router = express.Router();
+
+const clientInfo = (req) => ({
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+// Compared against when the email is unknown so both failures take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('dummy-password-for-timing', 10);
+
+const loginLimit = rateLimit({
+    name: 'login:ip',
+    limit: limits.login.ipMax,
+    windowMinutes: limits.login.ipWindowMinutes,
+    message: 'Too many login attempts from this address, please try again later'
+});
+
+const registerLimit = rateLimit({
+    name: 'register:ip',
+    limit: limits.register.ipMax,
+    windowMinutes: limits.register.ipWindowMinutes,
+    message: 'Too many sign-ups from this address, please try again later'
+});
+
+// Reset requests send mail, so they are limited per IP and per address
+const passwordResetIpLimit = rateLimit({
+    name: 'password-reset:ip',
+    limit: limits.passwordReset.ipMax,
+    windowMinutes: limits.passwordReset.ipWindowMinutes,
+    message: 'Too many password reset requests from this address, please try again later'
+});
+
+// Runs after validation, so the email is already normalised
+const passwordResetEmailLimit = rateLimit({
+    name: 'password-reset:email',
+    limit: limits.passwordReset.emailMax,
+    windowMinutes: limits.passwordReset.emailWindowMinutes,
+    key: req => req.body.email,
+    message: 'Too many password reset requests for this email, please try again later'
+});
+
+const userTarget = (user) => ({ type: 'user', id: user._id });
+
+// Record a failed login and hand back the error to throw. Only the email
+// typed is stored for unknown accounts.
+const loginFailed = async (req, user, error) => {
+    await audit(req, {
+        action: 'auth.login_failed',
+        outcome: 'FAILURE',
+        target: user ? userTarget(user) : null,
+        metadata: { email: req.body.email, code: error.code }
+    });
+    return error;
+};
+
+const userSummary = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    emailVerified: user.emailVerified
+});
+
+// 1. REGISTER USER
+router.post('/register', registerLimit, validate({ body: registerBody }), async (req, res) => {
+    const { name, email, password, age } = req.body;
+    
+    // Check if user exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+        throw new ConflictError('User already exists with this email', 'EMAIL_TAKEN');
+    }
+    
+    // Create user
+    const user = new User({
+        name,
+        email,
+        password,
+        role: 'CUSTOMER',
+        age
+    });
+    
+    await user.save();
+    
+    // A failed email must not fail the registration; the user can ask for a new one
+    sendVerificationEmail(user)
+        .catch(err => console.error('Verification email error:', err));
+    
+    // Start a session (access + refresh token)
+    const tokens = await issueTokens(user, clientInfo(req));
+    
+    await audit(req, {
+        actor: { id: user._id, role: user.role },
+        action: 'auth.registered',
+        target: userTarget(user),
+        metadata: { email: user.email, role: user.role }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'User registered successfully',
+        token: tokens.accessToken,
+        ...tokens,
+        user: userSummary(user)
+    });
+});
+
+// 2. LOGIN USER
+// Limited per IP, and each email is locked for a growing time after
+// repeated failures (config/rateLimit.js). Unknown emails and wrong
+// passwords get the same answer.
+router.post('/login', loginLimit, validate({ body: loginBody }), async (req, res) => {
+    const { email, password } = req.body;
+    
+    try {
+        await assertNotLocked(email);
+    } catch (error) {
+        throw await loginFailed(req, null, error);
+    }
+    
+    const user = await User.findOne({ email });
+    const isPasswordValid = user
+        ? await user.comparePassword(password)
+        : await bcrypt.compare(password, DUMMY_PASSWORD_HASH).then(() => false);
+    
+    if (!isPasswordValid) {
+        const lock = await recordFailure(email);
+        const error = lock
+            ? lockedError(lock.resetAt)
+            : new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+        throw await loginFailed(req, user, error);
+    }
+    
+    await recordSuccess(email);
+    
+    if (user.active === false) {
+        throw await loginFailed(req, user, new ForbiddenError('This account has been deactivated', 'ACCOUNT_INACTIVE'));
+    }
+    
+    // Start a session (access + refresh token)
+    const tokens = await issueTokens(user, clientInfo(req));
+    
+    await audit(req, {
+        actor: { id: user._id, role: user.role },
+        action: 'auth.login',
+        target: userTarget(user)
+    });
+    
+    res.json({
+        success: true,
+        message: 'Login successful',
+        token: tokens.accessToken,
+        ...tokens,
+        user: userSummary(user)
+    });
+});
+
+// 3. REFRESH TOKENS (rotates the refresh token)
+router.post('/refresh', validate({ body: refreshBody }), async (req, res) => {
+    let tokens;
+    try {
+        tokens = await refreshTokens(req.body.refreshToken, clientInfo(req));
+    } catch (error) {
+        // A replayed refresh token means it was probably stolen
+        if (error.code === 'REFRESH_TOKEN_REUSED') {
+            await audit(req, {
+                action: 'auth.refresh_token_reused',
+                outcome: 'FAILURE',
+                target: { type: 'session', id: req.body.refreshToken.split('.')[0] }
+            });
+        }
+        throw error;
+    }
+    
+    res.json({
+        success: true,
+        message: 'Token refreshed successfully',
+        token: tokens.accessToken,
+        ...tokens
+    });
+});
+
+// 4. LOGOUT (current session)
+router.post('/logout', auth, async (req, res) => {
+    await revokeSession(req.user.sid, 'logout');
+    await audit(req, { action: 'auth.logout', target: { type: 'session', id: req.user.sid } });
+    
+    res.json({
+        success: true,
+        message: 'Logged out successfully'
+    });
+});
+
+// 5. LOGOUT ALL DEVICES
+router.post('/logout-all', auth, async (req, res) => {
+    const count = await revokeAllSessions(req.user.userId, 'logout_all');
+    await audit(req, { action: 'auth.logout_all', metadata: { sessions: count } });
+    
+    res.json({
+        success: true,
+        message: 'Logged out from all devices',
+        count
+    });
+});
+
+// 6. LIST ACTIVE SESSIONS
+router.get('/sessions', auth, async (req, res) => {
+    const sessions = await listSessions(req.user.userId);
+    
+    res.json({
+        success: true,
+        count: sessions.length,
+        currentSessionId: req.user.sid,
+        sessions
+    });
+});
+
+// 7. REVOKE ONE OF YOUR SESSIONS
+router.delete('/sessions/:sessionId', auth, validate({ params: sessionParams }), async (req, res) => {
+    const session = await Session.findOne({
+        _id: req.params.sessionId,
+        user: req.user.userId
+    });
+    
+    if (!session) {
+        throw new NotFoundError('Session not found', 'SESSION_NOT_FOUND');
+    }
+    
+    await revokeSession(session._id, 'revoked_by_user');
+    await audit(req, { action: 'auth.session_revoked', target: { type: 'session', id: session._id } });
+    
+    res.json({
+        success: true,
+        message: 'Session revoked successfully'
+    });
+});
+
+// 8. VERIFY EMAIL
+router.post('/verify-email', validate({ body: verifyEmailBody }), async (req, res) => {
+    const user = await verifyEmail(req.body.token);
+    if (!user) {
+        throw new BadRequestError('Verification link is invalid or has expired', 'INVALID_OR_EXPIRED_TOKEN');
+    }
+    
+    await audit(req, {
+        actor: { id: user._id, role: user.role },
+        action: 'auth.email_verified',
+        target: userTarget(user)
+    });
+    
+    res.json({
+        success: true,
+        message: 'Email verified successfully',
+        user
+    });
+});
+
+// 9. RESEND VERIFICATION EMAIL
+router.post('/resend-verification', auth, async (req, res) => {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+    
+    if (user.emailVerified) {
+        throw new BadRequestError('Email is already verified', 'EMAIL_ALREADY_VERIFIED');
+    }
+    
+    await sendVerificationEmail(user);
+    
+    res.json({
+        success: true,
+        message: 'Verification email sent'
+    });
+});
+
+// 10. FORGOT PASSWORD (same answer whether or not the email exists)
+router.post('/forgot-password', passwordResetIpLimit, validate({ body: forgotPasswordBody }), passwordResetEmailLimit, async (req, res) => {
+    await requestPasswordReset(req.body.email);
+    await audit(req, { action: 'auth.password_reset_requested', metadata: { email: req.body.email } });
+    
+    res.json({
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+    });
+});
+
+// 11. RESET PASSWORD (signs out every session)
+router.post('/reset-password', validate({ body: resetPasswordBody }), async (req, res) => {
+    const { token, password } = req.body;
+    
+    const user = await resetPassword(token, password);
+    if (!user) {
+        throw new BadRequestError('Reset link is invalid or has expired', 'INVALID_OR_EXPIRED_TOKEN');
+    }
+    
+    await audit(req, {
+        actor: { id: user._id, role: user.role },
+        action: 'auth.password_reset',
+        target: userTarget(user)
+    });
+    
+    res.json({
+        success: true,
+        message: 'Password reset successfully. Please log in again.'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,149 @@
+const express = require('express');
+const CannedResponse = require('../models/CannedResponse');
+const Ticket = require('../models/Ticket');
+const { auth, hasPermission, requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+const { PLACEHOLDERS, contextFor, renderTemplate } = require('../services/placeholders');
+const { assertCanManage, findVisible, visibleTo } = require('../services/responseLibrary');
+const {
+    createResponseBody,
+    listResponsesQuery,
+    renderResponseQuery,
+    responseParams,
+    updateResponseBody
+} = require('../validators/cannedResponses');
+
+// Mounted at /api/canned-responses
+const router = express.Router();
+
+router.use(auth, requireRole('AGENT', 'ADMIN'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const canManageShared = (req) => hasPermission(req.user.role, 'responses:manage');
+
+const findResponse = (req) => findVisible(CannedResponse, req.params.responseId, req.user.userId, {
+    message: 'Canned response not found',
+    code: 'CANNED_RESPONSE_NOT_FOUND'
+});
+
+const responseTarget = (response) => ({ type: 'canned_response', id: response._id });
+
+// 1. LIST SHARED + OWN PERSONAL RESPONSES (?scope=&q= searches titles)
+router.get('/', validate({ query: listResponsesQuery }), async (req, res) => {
+    const { scope, q } = req.query;
+    const query = visibleTo(req.user.userId);
+    
+    if (scope) query.scope = scope;
+    if (q) query.title = { $regex: escapeRegex(q), $options: 'i' };
+    
+    const responses = await CannedResponse.find(query).sort({ title: 1 });
+    
+    res.json({
+        success: true,
+        count: responses.length,
+        placeholders: Object.keys(PLACEHOLDERS),
+        responses
+    });
+});
+
+// 2. CREATE A RESPONSE (SHARED ONES NEED responses:manage)
+router.post('/', validate({ body: createResponseBody }), async (req, res) => {
+    const { title, body, scope } = req.body;
+    assertCanManage(scope, canManageShared(req));
+    
+    const response = await CannedResponse.create({
+        title,
+        body,
+        scope,
+        owner: scope === 'PERSONAL' ? req.user.userId : null,
+        createdBy: req.user.userId
+    });
+    
+    await audit(req, {
+        action: 'canned_response.created',
+        target: responseTarget(response),
+        metadata: { title: response.title, scope: response.scope }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Canned response created successfully',
+        response
+    });
+});
+
+// 3. VIEW ONE RESPONSE
+router.get('/:responseId', validate({ params: responseParams }), async (req, res) => {
+    const response = await findResponse(req);
+    
+    res.json({
+        success: true,
+        response
+    });
+});
+
+// 4. FILL THE PLACEHOLDERS FOR A TICKET (?ticket=<id>, assigned agent or admin)
+router.get('/:responseId/render', validate({ params: responseParams, query: renderResponseQuery }), async (req, res) => {
+    const response = await findResponse(req);
+    
+    const ticket = await Ticket.findById(req.query.ticket);
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    const isAgent = ticket.assignedAgent && ticket.assignedAgent.toString() === req.user.userId.toString();
+    if (!isAgent && req.user.role !== 'ADMIN') {
+        throw new ForbiddenError('Access denied. You are not a participant of this ticket.', 'NOT_TICKET_PARTICIPANT');
+    }
+    
+    res.json({
+        success: true,
+        body: renderTemplate(response.body, await contextFor(ticket, req.user.userId))
+    });
+});
+
+// 5. UPDATE TITLE / BODY
+router.patch('/:responseId', validate({ params: responseParams, body: updateResponseBody }), async (req, res) => {
+    const response = await findResponse(req);
+    assertCanManage(response.scope, canManageShared(req));
+    const before = response.toObject();
+    
+    response.set(req.body);
+    await response.save();
+    
+    await audit(req, {
+        action: 'canned_response.updated',
+        target: responseTarget(response),
+        changes: diff(before, response.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Canned response updated successfully',
+        response
+    });
+});
+
+// 6. DELETE A RESPONSE
+router.delete('/:responseId', validate({ params: responseParams }), async (req, res) => {
+    const response = await findResponse(req);
+    assertCanManage(response.scope, canManageShared(req));
+    
+    await response.deleteOne();
+    
+    await audit(req, {
+        action: 'canned_response.deleted',
+        target: responseTarget(response),
+        metadata: { title: response.title, scope: response.scope }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Canned response deleted successfully'
+    });
+});
+
+module.exports = router;
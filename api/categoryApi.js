@@ -0,0 +1,104 @@
+const express = require('express');
+const Category = require('../models/Category');
+const Team = require('../models/Team');
+const Ticket = require('../models/Ticket');
+const { auth, hasPermission, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { ConflictError, NotFoundError } = require('../services/errors');
+const { categoryParams, createCategoryBody, updateCategoryBody } = require('../validators/ticketFields');
+
+// Mounted at /api/categories. Everyone signed in can read the taxonomy to
+// fill in ticket forms; admins (categories:manage) maintain it.
+const router = express.Router();
+
+router.use(auth);
+
+const findCategory = async (req) => {
+    const category = await Category.findById(req.params.categoryId);
+    if (!category) {
+        throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+    }
+    return category;
+};
+
+const categoryTarget = (category) => ({ type: 'category', id: category._id });
+
+// 1. LIST CATEGORIES (retired ones only for admins)
+router.get('/', async (req, res) => {
+    const query = hasPermission(req.user.role, 'categories:manage') ? {} : { active: true };
+    const categories = await Category.find(query).sort({ name: 1 });
+    
+    res.json({
+        success: true,
+        count: categories.length,
+        categories
+    });
+});
+
+// 2. CREATE A CATEGORY (ADMIN)
+// A duplicate slug is rejected by the unique index (409 DUPLICATE_KEY)
+router.post('/', requirePermission('categories:manage'), validate({ body: createCategoryBody }), async (req, res) => {
+    const category = await Category.create(req.body);
+    
+    await audit(req, {
+        action: 'category.created',
+        target: categoryTarget(category),
+        metadata: { slug: category.slug, name: category.name }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Category created successfully',
+        category
+    });
+});
+
+// 3. RENAME / DESCRIBE / RETIRE (ADMIN)
+router.patch('/:categoryId', requirePermission('categories:manage'), validate({ params: categoryParams, body: updateCategoryBody }), async (req, res) => {
+    const category = await findCategory(req);
+    const before = category.toObject();
+    
+    category.set(req.body);
+    await category.save();
+    
+    await audit(req, {
+        action: 'category.updated',
+        target: categoryTarget(category),
+        changes: diff(before, category.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Category updated successfully',
+        category
+    });
+});
+
+// 4. DELETE AN UNUSED CATEGORY (ADMIN; retire used ones with active: false)
+router.delete('/:categoryId', requirePermission('categories:manage'), validate({ params: categoryParams }), async (req, res) => {
+    const category = await findCategory(req);
+    
+    const [ticket, team] = await Promise.all([
+        Ticket.exists({ category: category.slug }),
+        Team.exists({ categories: category.slug })
+    ]);
+    if (ticket || team) {
+        throw new ConflictError('Category is used by tickets or teams; retire it instead', 'CATEGORY_IN_USE');
+    }
+    
+    await category.deleteOne();
+    
+    await audit(req, {
+        action: 'category.deleted',
+        target: categoryTarget(category),
+        metadata: { slug: category.slug }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Category deleted successfully'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const CustomField = require('../models/CustomField');
+const Ticket = require('../models/Ticket');
+const { auth, hasPermission, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { ConflictError, NotFoundError, ValidationError } = require('../services/errors');
+const { createFieldBody, fieldParams, updateFieldBody } = require('../validators/ticketFields');
+
+// Mounted at /api/custom-fields. Everyone signed in can read the field
+// definitions to build ticket forms; admins (fields:manage) maintain them.
+// Values are checked by services/ticketFields.js.
+const router = express.Router();
+
+router.use(auth);
+
+const findField = async (req) => {
+    const field = await CustomField.findById(req.params.fieldId);
+    if (!field) {
+        throw new NotFoundError('Custom field not found', 'CUSTOM_FIELD_NOT_FOUND');
+    }
+    return field;
+};
+
+const fieldTarget = (field) => ({ type: 'custom_field', id: field._id });
+
+// 1. LIST FIELDS (inactive ones only for admins)
+router.get('/', async (req, res) => {
+    const query = hasPermission(req.user.role, 'fields:manage') ? {} : { active: true };
+    const fields = await CustomField.find(query).sort({ label: 1 });
+    
+    res.json({
+        success: true,
+        count: fields.length,
+        fields
+    });
+});
+
+// 2. DEFINE A FIELD (ADMIN)
+// A duplicate key is rejected by the unique index (409 DUPLICATE_KEY)
+router.post('/', requirePermission('fields:manage'), validate({ body: createFieldBody }), async (req, res) => {
+    const field = await CustomField.create(req.body);
+    
+    await audit(req, {
+        action: 'custom_field.created',
+        target: fieldTarget(field),
+        metadata: { key: field.key, type: field.type }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Custom field created successfully',
+        field
+    });
+});
+
+// 3. UPDATE LABEL / OPTIONS / REQUIRED / ACTIVE (ADMIN)
+// Removing an option leaves it on tickets that already have it
+router.patch('/:fieldId', requirePermission('fields:manage'), validate({ params: fieldParams, body: updateFieldBody }), async (req, res) => {
+    const field = await findField(req);
+    
+    if (req.body.options !== undefined && (field.type !== 'SELECT' || req.body.options.length === 0)) {
+        throw new ValidationError('Request validation failed', [{
+            location: 'body',
+            path: 'options',
+            message: field.type === 'SELECT' ? 'SELECT fields need at least one option' : 'Only SELECT fields have options'
+        }]);
+    }
+    
+    const before = field.toObject();
+    
+    field.set(req.body);
+    await field.save();
+    
+    await audit(req, {
+        action: 'custom_field.updated',
+        target: fieldTarget(field),
+        changes: diff(before, field.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Custom field updated successfully',
+        field
+    });
+});
+
+// 4. DELETE AN UNUSED FIELD (ADMIN; deactivate fields tickets already use)
+router.delete('/:fieldId', requirePermission('fields:manage'), validate({ params: fieldParams }), async (req, res) => {
+    const field = await findField(req);
+    
+    if (await Ticket.exists({ [`customFields.${field.key}`]: { $exists: true } })) {
+        throw new ConflictError('Tickets have values for this field; deactivate it instead', 'CUSTOM_FIELD_IN_USE');
+    }
+    
+    await field.deleteOne();
+    
+    await audit(req, {
+        action: 'custom_field.deleted',
+        target: fieldTarget(field),
+        metadata: { key: field.key }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Custom field deleted successfully'
+    });
+});
+
+module.exports = router;
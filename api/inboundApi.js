@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config/inbound');
+const { BadRequestError, NotFoundError, UnauthorizedError } = require('../services/errors');
+const { ingest } = require('../services/inbound');
+
+// Mounted at /api/inbound. Called by the mail provider, not by users:
+// requests authenticate with the shared INBOUND_WEBHOOK_SECRET.
+const router = express.Router();
+
+const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const requireWebhookSecret = (req, res, next) => {
+    if (!config.webhookSecret) {
+        throw new NotFoundError('Inbound email webhook is not enabled', 'INBOUND_WEBHOOK_DISABLED');
+    }
+    
+    const given = req.get('X-Inbound-Secret');
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(config.webhookSecret))) {
+        throw new UnauthorizedError('Invalid inbound webhook secret', 'INVALID_WEBHOOK_SECRET');
+    }
+    next();
+};
+
+// 1. RECEIVE ONE RAW EMAIL (Content-Type: message/rfc822)
+// Always 200 once the message is handled, including ignored and rejected
+// ones, so the provider only retries real failures (5xx)
+router.post('/email', requireWebhookSecret, express.raw({
+    type: ['message/rfc822', 'text/plain', 'application/octet-stream'],
+    limit: `${config.maxMessageSizeMB}mb`
+}), async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new BadRequestError('Send the raw email as the request body (message/rfc822)', 'EMAIL_REQUIRED');
+    }
+    
+    const result = await ingest(req.body, { channel: 'WEBHOOK' });
+    
+    res.json({
+        success: true,
+        ...result
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,92 @@
+const express = require('express');
+const { auth, requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { publishedCategories, readArticle, searchArticles, toPublic } = require('../services/kb');
+const { createSuggestion, markAnswered, recordView } = require('../services/kb/suggestions');
+const {
+    answeredBody,
+    listArticlesQuery,
+    readArticleQuery,
+    slugParams,
+    suggestBody,
+    suggestionParams
+} = require('../validators/kb');
+const kbManageApi = require('./kbManageApi');
+
+// Mounted at /api/kb. Published articles are readable without signing in;
+// suggestions are for customers drafting a ticket. Authoring lives under
+// /api/kb/manage (./kbManageApi.js).
+const router = express.Router();
+
+router.use('/manage', kbManageApi);
+
+// 1. LIST / SEARCH PUBLISHED ARTICLES
+// ?q=full text&category=&page=&limit= (best match first with q)
+router.get('/articles', validate({ query: listArticlesQuery }), async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    const { articles, total } = await searchArticles({ ...req.query, page, limit });
+    
+    res.json({
+        success: true,
+        count: articles.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        articles
+    });
+});
+
+// 2. CATEGORIES WITH PUBLISHED ARTICLES
+router.get('/categories', async (req, res) => {
+    const categories = await publishedCategories();
+    
+    res.json({
+        success: true,
+        count: categories.length,
+        categories
+    });
+});
+
+// 3. READ A PUBLISHED ARTICLE
+// ?suggestion= records that a suggested article was opened
+router.get('/articles/:slug', validate({ params: slugParams, query: readArticleQuery }), async (req, res) => {
+    const article = await readArticle(req.params.slug);
+    await recordView(article, req.query.suggestion);
+    
+    res.json({
+        success: true,
+        article: toPublic(article, { withBody: true })
+    });
+});
+
+// 4. SUGGEST ARTICLES FOR A TICKET DRAFT (CUSTOMER)
+// Send the issueDetails about to be submitted; the returned suggestion id
+// goes on article links and on "this answered my question"
+router.post('/suggestions', auth, requireRole('CUSTOMER'), validate({ body: suggestBody }), async (req, res) => {
+    const { suggestion, articles } = await createSuggestion({ id: req.user.userId }, req.body);
+    
+    res.status(201).json({
+        success: true,
+        suggestion: suggestion._id,
+        count: articles.length,
+        articles
+    });
+});
+
+// 5. THE SUGGESTIONS ANSWERED MY QUESTION (CUSTOMER)
+// Optionally names the suggested article that helped
+router.post('/suggestions/:suggestionId/answered', auth, requireRole('CUSTOMER'), validate({ params: suggestionParams, body: answeredBody }), async (req, res) => {
+    const suggestion = await markAnswered(req.params.suggestionId, req.user.userId, req.body.article);
+    
+    res.json({
+        success: true,
+        message: 'Glad we could help',
+        suggestion: {
+            id: suggestion._id,
+            outcome: suggestion.outcome,
+            answeredBy: suggestion.answeredBy || null
+        }
+    });
+});
+
+module.exports = router;
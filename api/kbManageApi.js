@@ -0,0 +1,232 @@
+const express = require('express');
+const Article = require('../models/Article');
+const ArticleVersion = require('../models/ArticleVersion');
+const { auth, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const {
+    createArticle,
+    findArticle,
+    findVersion,
+    publishArticle,
+    restoreVersion,
+    unpublishArticle,
+    updateArticle
+} = require('../services/kb');
+const {
+    articleParams,
+    createArticleBody,
+    manageArticlesQuery,
+    updateArticleBody,
+    versionParams
+} = require('../validators/kb');
+
+// Mounted at /api/kb/manage (see ./kbApi.js). Agents and admins write
+// articles (kb:write) and publish them (kb:publish); deleting one is for
+// admins (kb:manage). Edits never touch what readers see until published.
+const router = express.Router();
+
+router.use(auth, requirePermission('kb:write'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const actorOf = (req) => ({ id: req.user.userId, role: req.user.role });
+
+const articleTarget = (article) => ({ type: 'article', id: article._id });
+
+// Audited separately from the body, which is too long to diff
+const AUDITED_FIELDS = ['title', 'summary', 'category', 'version'];
+
+// 1. LIST ARTICLES, DRAFTS INCLUDED (newest change first)
+// ?status=&q= (searches draft titles)&category=&page=&limit=
+router.get('/', validate({ query: manageArticlesQuery }), async (req, res) => {
+    const { status, q, category, page = 1, limit = 20 } = req.query;
+    const query = {};
+    
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (q) query.title = { $regex: escapeRegex(q), $options: 'i' };
+    
+    const [total, articles] = await Promise.all([
+        Article.countDocuments(query),
+        Article.find(query)
+            .select('-body -published.body')
+            .populate('updatedBy', 'name email')
+            .sort({ updatedAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    res.json({
+        success: true,
+        count: articles.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        articles
+    });
+});
+
+// 2. CREATE A DRAFT (the slug defaults to one made from the title)
+// A slug already in use is rejected by the unique index (409 DUPLICATE_KEY)
+router.post('/', validate({ body: createArticleBody }), async (req, res) => {
+    const article = await createArticle(req.body, actorOf(req));
+    
+    await audit(req, {
+        action: 'article.created',
+        target: articleTarget(article),
+        metadata: { slug: article.slug, title: article.title }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Article created successfully',
+        article
+    });
+});
+
+// 3. GET AN ARTICLE (latest draft and published copy)
+router.get('/:articleId', validate({ params: articleParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    
+    res.json({
+        success: true,
+        article
+    });
+});
+
+// 4. EDIT AN ARTICLE (saved as a new version; `note` describes the change)
+router.patch('/:articleId', validate({ params: articleParams, body: updateArticleBody }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const { note, ...changes } = req.body;
+    const before = article.toObject();
+    
+    const changed = await updateArticle(article, changes, actorOf(req), note);
+    
+    if (changed) {
+        await audit(req, {
+            action: 'article.updated',
+            target: articleTarget(article),
+            changes: diff(before, article.toObject(), AUDITED_FIELDS),
+            metadata: { bodyChanged: before.body !== article.body, note }
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: changed ? 'Article updated successfully' : 'No changes',
+        article
+    });
+});
+
+// 5. PUBLISH THE LATEST VERSION (kb:publish)
+router.post('/:articleId/publish', requirePermission('kb:publish'), validate({ params: articleParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const previous = article.published ? article.published.version : null;
+    
+    await publishArticle(article, actorOf(req));
+    
+    await audit(req, {
+        action: 'article.published',
+        target: articleTarget(article),
+        metadata: { slug: article.slug, version: article.version, previousVersion: previous }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Article published successfully',
+        article
+    });
+});
+
+// 6. TAKE AN ARTICLE OFFLINE (kb:publish; the draft is kept)
+router.post('/:articleId/unpublish', requirePermission('kb:publish'), validate({ params: articleParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const version = article.published && article.published.version;
+    
+    await unpublishArticle(article);
+    
+    await audit(req, {
+        action: 'article.unpublished',
+        target: articleTarget(article),
+        metadata: { slug: article.slug, version }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Article unpublished successfully',
+        article
+    });
+});
+
+// 7. VERSION HISTORY (newest first, without bodies)
+router.get('/:articleId/versions', validate({ params: articleParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const versions = await ArticleVersion.find({ article: article._id })
+        .select('-body')
+        .populate('editedBy', 'name email')
+        .sort({ version: -1 });
+    
+    res.json({
+        success: true,
+        count: versions.length,
+        publishedVersion: article.published ? article.published.version : null,
+        versions
+    });
+});
+
+// 8. GET ONE VERSION
+router.get('/:articleId/versions/:version', validate({ params: versionParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const version = await findVersion(article, req.params.version);
+    
+    res.json({
+        success: true,
+        version
+    });
+});
+
+// 9. RESTORE AN OLD VERSION AS THE LATEST DRAFT
+router.post('/:articleId/versions/:version/restore', validate({ params: versionParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    const before = article.toObject();
+    
+    const changed = await restoreVersion(article, req.params.version, actorOf(req));
+    
+    if (changed) {
+        await audit(req, {
+            action: 'article.restored',
+            target: articleTarget(article),
+            changes: diff(before, article.toObject(), AUDITED_FIELDS),
+            metadata: { restoredVersion: req.params.version }
+        });
+    }
+    
+    res.json({
+        success: true,
+        message: changed ? `Version ${req.params.version} restored as version ${article.version}` : 'No changes',
+        article
+    });
+});
+
+// 10. DELETE AN ARTICLE AND ITS HISTORY (ADMIN)
+// Unpublish instead to keep the history
+router.delete('/:articleId', requirePermission('kb:manage'), validate({ params: articleParams }), async (req, res) => {
+    const article = await findArticle(req.params.articleId);
+    
+    await article.deleteOne();
+    await ArticleVersion.deleteMany({ article: article._id });
+    
+    await audit(req, {
+        action: 'article.deleted',
+        target: articleTarget(article),
+        metadata: { slug: article.slug, title: article.title, versions: article.version }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Article deleted successfully'
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const Macro = require('../models/Macro');
+const { auth, hasPermission, requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { assertCanManage, findVisible, visibleTo } = require('../services/responseLibrary');
+const {
+    createMacroBody,
+    listMacrosQuery,
+    macroParams,
+    updateMacroBody
+} = require('../validators/macros');
+
+// Mounted at /api/macros. Macros are applied with
+// POST /api/tickets/:id/macros/:macroId/apply (api/ticketApi.js).
+const router = express.Router();
+
+router.use(auth, requireRole('AGENT', 'ADMIN'));
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const canManageShared = (req) => hasPermission(req.user.role, 'macros:manage');
+
+const findMacro = (req) => findVisible(Macro, req.params.macroId, req.user.userId, {
+    message: 'Macro not found',
+    code: 'MACRO_NOT_FOUND'
+});
+
+const macroTarget = (macro) => ({ type: 'macro', id: macro._id });
+
+// 1. LIST SHARED + OWN PERSONAL MACROS (?scope=&q= searches names)
+router.get('/', validate({ query: listMacrosQuery }), async (req, res) => {
+    const { scope, q } = req.query;
+    const query = visibleTo(req.user.userId);
+    
+    if (scope) query.scope = scope;
+    if (q) query.name = { $regex: escapeRegex(q), $options: 'i' };
+    
+    const macros = await Macro.find(query).sort({ name: 1 });
+    
+    res.json({
+        success: true,
+        count: macros.length,
+        macros
+    });
+});
+
+// 2. CREATE A MACRO (SHARED ONES NEED macros:manage)
+router.post('/', validate({ body: createMacroBody }), async (req, res) => {
+    const { name, description, scope, actions } = req.body;
+    assertCanManage(scope, canManageShared(req));
+    
+    const macro = await Macro.create({
+        name,
+        description,
+        scope,
+        actions,
+        owner: scope === 'PERSONAL' ? req.user.userId : null,
+        createdBy: req.user.userId
+    });
+    
+    await audit(req, {
+        action: 'macro.created',
+        target: macroTarget(macro),
+        metadata: { name: macro.name, scope: macro.scope }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Macro created successfully',
+        macro
+    });
+});
+
+// 3. VIEW ONE MACRO
+router.get('/:macroId', validate({ params: macroParams }), async (req, res) => {
+    const macro = await findMacro(req);
+    
+    res.json({
+        success: true,
+        macro
+    });
+});
+
+// 4. UPDATE NAME / DESCRIPTION / ACTIONS (actions are replaced as a whole)
+router.patch('/:macroId', validate({ params: macroParams, body: updateMacroBody }), async (req, res) => {
+    const macro = await findMacro(req);
+    assertCanManage(macro.scope, canManageShared(req));
+    const before = macro.toObject();
+    
+    macro.set(req.body);
+    await macro.save();
+    
+    await audit(req, {
+        action: 'macro.updated',
+        target: macroTarget(macro),
+        changes: diff(before, macro.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Macro updated successfully',
+        macro
+    });
+});
+
+// 5. DELETE A MACRO
+router.delete('/:macroId', validate({ params: macroParams }), async (req, res) => {
+    const macro = await findMacro(req);
+    assertCanManage(macro.scope, canManageShared(req));
+    
+    await macro.deleteOne();
+    
+    await audit(req, {
+        action: 'macro.deleted',
+        target: macroTarget(macro),
+        metadata: { name: macro.name, scope: macro.scope }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Macro deleted successfully'
+    });
+});
+
+module.exports = router;
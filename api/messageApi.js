@@ -0,0 +1,124 @@
+const express = require('express');
+const Message = require('../models/Message');
+const { auth } = require('../middlewares/auth');
+const { requireTicketParticipant } = require('../middlewares/ticketAccess');
+const { validate } = require('../middlewares/validate');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+const { uploadFiles } = require('../middlewares/upload');
+const { audit } = require('../services/audit');
+const { postMessage } = require('../services/messages');
+const { idParams } = require('../validators/common');
+const { editMessageBody, listMessagesQuery, messageParams, postMessageBody } = require('../validators/messages');
+
+// Mounted at /api/tickets/:id/messages
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, validate({ params: idParams }), requireTicketParticipant);
+
+// LIST MESSAGES (oldest first, paged)
+router.get('/', validate({ query: listMessagesQuery }), async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const query = { ticket: req.ticket._id };
+    
+    // Customers never see internal notes
+    if (req.user.role === 'CUSTOMER') {
+        query.internal = false;
+    }
+    
+    const [total, messages] = await Promise.all([
+        Message.countDocuments(query),
+        Message.find(query)
+            .populate('author', 'name email')
+            .sort({ createdAt: 1, _id: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    await audit(req, {
+        action: 'ticket.messages_viewed',
+        target: { type: 'ticket', id: req.ticket._id },
+        metadata: { page, count: messages.length }
+    });
+    
+    res.json({
+        success: true,
+        count: messages.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        messages
+    });
+});
+
+// POST A REPLY OR INTERNAL NOTE
+// Accepts JSON, or multipart/form-data with attachments in the "files" field
+router.post('/', uploadFiles, validate({ body: postMessageBody }), async (req, res) => {
+    const { body, internal } = req.body;
+    
+    if (internal && req.user.role === 'CUSTOMER') {
+        throw new ForbiddenError('Only agents can add internal notes', 'INTERNAL_NOTE_FORBIDDEN');
+    }
+    
+    const ticket = req.ticket;
+    const { message, attachments } = await postMessage(ticket, { body, internal, files: req.files }, {
+        id: req.user.userId,
+        role: req.user.role
+    });
+    
+    await audit(req, {
+        action: 'ticket.message_added',
+        target: { type: 'ticket', id: ticket._id },
+        metadata: { message: message._id, internal: message.internal, attachments: attachments.length }
+    });
+    
+    await message.populate('author', 'name email');
+    
+    res.status(201).json({
+        success: true,
+        message: internal ? 'Internal note added successfully' : 'Reply posted successfully',
+        data: message,
+        attachments
+    });
+});
+
+// EDIT OWN MESSAGE (previous body is kept in editHistory)
+router.patch('/:messageId', validate({ params: messageParams, body: editMessageBody }), async (req, res) => {
+    const { messageId } = req.params;
+    const { body } = req.body;
+    
+    const message = await Message.findOne({
+        _id: messageId,
+        ticket: req.ticket._id
+    });
+    
+    if (!message) {
+        throw new NotFoundError('Message not found', 'MESSAGE_NOT_FOUND');
+    }
+    
+    if (message.author.toString() !== req.user.userId.toString()) {
+        throw new ForbiddenError('You can only edit your own messages', 'NOT_MESSAGE_AUTHOR');
+    }
+    
+    message.editHistory.push({
+        body: message.body,
+        editedAt: new Date()
+    });
+    message.body = body;
+    
+    await message.save();
+    await audit(req, {
+        action: 'ticket.message_edited',
+        target: { type: 'ticket', id: req.ticket._id },
+        metadata: { message: message._id }
+    });
+    await message.populate('author', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Message updated successfully',
+        data: message
+    });
+});
+
+module.exports = router;
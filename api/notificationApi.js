@@ -0,0 +1,124 @@
+const express = require('express');
+const Notification = require('../models/Notification');
+const User = require('../models/UserModel');
+const { auth } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { NotFoundError } = require('../services/errors');
+const { idParams } = require('../validators/common');
+const { listNotificationsQuery, updatePreferencesBody } = require('../validators/notifications');
+
+// Mounted at /api/notifications
+const router = express.Router();
+
+router.use(auth);
+
+// 1. LIST NOTIFICATIONS (?unread=true&page=1&limit=20)
+router.get('/', validate({ query: listNotificationsQuery }), async (req, res) => {
+    const { page = 1, limit = 20, unread } = req.query;
+    
+    const query = { user: req.user.userId };
+    if (unread) {
+        query.readAt = { $exists: false };
+    }
+    
+    const [total, unreadCount, notifications] = await Promise.all([
+        Notification.countDocuments(query),
+        Notification.countDocuments({ user: req.user.userId, readAt: { $exists: false } }),
+        Notification.find(query)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    res.json({
+        success: true,
+        count: notifications.length,
+        total,
+        unreadCount,
+        page,
+        pages: Math.ceil(total / limit),
+        notifications
+    });
+});
+
+// 2. UNREAD COUNT
+router.get('/unread-count', async (req, res) => {
+    const unreadCount = await Notification.countDocuments({
+        user: req.user.userId,
+        readAt: { $exists: false }
+    });
+    
+    res.json({
+        success: true,
+        unreadCount
+    });
+});
+
+// 3. MARK ALL AS READ
+router.patch('/read-all', async (req, res) => {
+    const result = await Notification.updateMany(
+        { user: req.user.userId, readAt: { $exists: false } },
+        { readAt: new Date() }
+    );
+    
+    res.json({
+        success: true,
+        message: 'All notifications marked as read',
+        count: result.modifiedCount
+    });
+});
+
+// 4. GET PREFERENCES
+router.get('/preferences', async (req, res) => {
+    const user = await User.findById(req.user.userId).select('notificationPreferences');
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+    
+    res.json({
+        success: true,
+        preferences: user.notificationPreferences
+    });
+});
+
+// 5. UPDATE PREFERENCES, e.g. { "statusChanged": { "email": false } }
+router.put('/preferences', validate({ body: updatePreferencesBody }), async (req, res) => {
+    const updates = {};
+    
+    for (const [key, channels] of Object.entries(req.body)) {
+        for (const [channel, enabled] of Object.entries(channels || {})) {
+            if (enabled !== undefined) {
+                updates[`notificationPreferences.${key}.${channel}`] = enabled;
+            }
+        }
+    }
+    
+    const user = await User.findByIdAndUpdate(req.user.userId, { $set: updates }, { new: true })
+        .select('notificationPreferences');
+    
+    res.json({
+        success: true,
+        message: 'Notification preferences updated',
+        preferences: user.notificationPreferences
+    });
+});
+
+// 6. MARK ONE AS READ
+router.patch('/:id/read', validate({ params: idParams }), async (req, res) => {
+    const notification = await Notification.findOneAndUpdate(
+        { _id: req.params.id, user: req.user.userId },
+        { $set: { readAt: new Date() } },
+        { new: true }
+    );
+    
+    if (!notification) {
+        throw new NotFoundError('Notification not found', 'NOTIFICATION_NOT_FOUND');
+    }
+    
+    res.json({
+        success: true,
+        notification
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { auth } = require('../middlewares/auth');
+const { openStream } = require('../services/realtime');
+
+// Mounted at /api/realtime
+const router = express.Router();
+
+// EventSource cannot send headers, so the token may come as ?access_token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.header('Authorization') && req.query.access_token) {
+        req.headers.authorization = `Bearer ${req.query.access_token}`;
+    }
+    next();
+};
+
+// SSE STREAM OF TICKET EVENTS
+// Events: ticket.created, ticket.status_changed, ticket.reassigned, ticket.message_added,
+// plus resync (client should refetch), token_expired and ready.
+// Errors after the stream opened just end it (see middlewares/errorHandler.js).
+router.get('/stream', tokenFromQuery, auth, (req, res) => openStream(req, res));
+
+module.exports = router;
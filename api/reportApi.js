@@ -0,0 +1,53 @@
+const express = require('express');
+const { auth, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { GROUP_BY, REPORTS, parseOptions, reportRows } = require('../services/reports');
+const { streamCsv } = require('../services/reports/csv');
+const { reportParams, reportQuery } = require('../validators/reports');
+
+// Mounted at /api/reports
+const router = express.Router();
+
+router.use(auth, requirePermission('reports:read'));
+
+// 1. LIST AVAILABLE REPORTS
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        reports: Object.entries(REPORTS).map(([name, report]) => ({
+            name,
+            defaultGroupBy: report.defaultGroupBy,
+            groupBy: report.groupBy || GROUP_BY,
+            columns: report.columns
+        }))
+    });
+});
+
+// 2. RUN A REPORT (?from=&to=&groupBy=agent|status|priority|day|week|none&format=json|csv)
+router.get('/:report', validate({ params: reportParams, query: reportQuery }), async (req, res) => {
+    const report = REPORTS[req.params.report];
+    const options = parseOptions(req.query, report);
+    const rows = reportRows(report, options);
+    
+    if (req.query.format === 'csv') {
+        const day = (date) => date.toISOString().slice(0, 10);
+        const filename = `${req.params.report}-${day(options.from)}-${day(options.to)}.csv`;
+        return streamCsv(res, report.columns, rows, filename);
+    }
+    
+    const results = [];
+    for await (const row of rows) {
+        results.push(row);
+    }
+    
+    res.json({
+        success: true,
+        report: req.params.report,
+        from: options.from,
+        to: options.to,
+        groupBy: options.groupBy,
+        rows: results
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,55 @@
+const express = require('express');
+const { auth } = require('../middlewares/auth');
+const { requireTicketParticipant } = require('../middlewares/ticketAccess');
+const { validate } = require('../middlewares/validate');
+const { findSurvey, isExpired, submitSurvey } = require('../services/csat');
+const { idParams } = require('../validators/common');
+const { submitSurveyBody } = require('../validators/surveys');
+
+// Mounted at /api/tickets/:id/survey
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, validate({ params: idParams }), requireTicketParticipant);
+
+const present = (survey) => ({
+    id: survey._id,
+    status: survey.status === 'PENDING' && isExpired(survey) ? 'EXPIRED' : survey.status,
+    rating: survey.rating,
+    comment: survey.comment,
+    agent: survey.agent,
+    resolvedAt: survey.resolvedAt,
+    answeredAt: survey.answeredAt,
+    expiresAt: survey.expiresAt,
+    reopenedAt: survey.reopenedAt
+});
+
+// 1. GET THE SURVEY FOR THE CURRENT RESOLUTION (read-only)
+router.get('/', async (req, res) => {
+    const survey = await findSurvey(req.ticket);
+    
+    res.json({
+        success: true,
+        survey: survey ? present(survey) : null,
+        // Latest rating, kept across reopens
+        csat: req.ticket.csat && req.ticket.csat.rating ? req.ticket.csat : null
+    });
+});
+
+// 2. ANSWER THE SURVEY (CUSTOMER ONLY, ONCE PER RESOLUTION)
+router.post('/', validate({ body: submitSurveyBody }), async (req, res) => {
+    const { rating, comment } = req.body;
+    
+    const survey = await submitSurvey(req.ticket, {
+        customerId: req.user.userId,
+        rating,
+        comment
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Thank you for your feedback',
+        survey: present(survey)
+    });
+});
+
+module.exports = router;
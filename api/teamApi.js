@@ -0,0 +1,203 @@
+const express = require('express');
+const Team = require('../models/Team');
+const User = require('../models/UserModel');
+const { auth, requireRole, requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, auditListing, diff } = require('../services/audit');
+const { ConflictError, ForbiddenError, NotFoundError } = require('../services/errors');
+const { listTickets } = require('../services/ticketQuery');
+const { listTicketsQuery } = require('../validators/tickets');
+const {
+    addMemberBody,
+    createTeamBody,
+    memberParams,
+    teamParams,
+    updateTeamBody
+} = require('../validators/teams');
+
+// Mounted at /api/teams
+const router = express.Router();
+
+router.use(auth, requireRole('AGENT', 'ADMIN'));
+
+const findTeam = async (req) => {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+        throw new NotFoundError('Team not found', 'TEAM_NOT_FOUND');
+    }
+    return team;
+};
+
+const teamTarget = (team) => ({ type: 'team', id: team._id });
+
+// Categories already routed to another team
+const assertCategoriesFree = async (categories, teamId) => {
+    const others = await Team.find({ _id: { $ne: teamId }, categories: { $in: categories } }).select('categories');
+    const conflicts = categories.filter(category => others.some(team => team.categories.includes(category)));
+    if (conflicts.length > 0) {
+        throw new ConflictError(`Categories already routed to another team: ${conflicts.join(', ')}`, 'CATEGORY_CONFLICT');
+    }
+};
+
+// 1. LIST TEAMS
+router.get('/', async (req, res) => {
+    const teams = await Team.find().sort({ name: 1 });
+    
+    res.json({
+        success: true,
+        count: teams.length,
+        teams
+    });
+});
+
+// 2. CREATE TEAM (ADMIN)
+// A duplicate name is rejected by the unique index (409 DUPLICATE_KEY)
+router.post('/', requirePermission('teams:manage'), validate({ body: createTeamBody }), async (req, res) => {
+    const { name, description, categories } = req.body;
+    
+    await assertCategoriesFree(categories);
+    
+    const team = await Team.create({ name, description, categories });
+    
+    await audit(req, {
+        action: 'team.created',
+        target: teamTarget(team),
+        metadata: { name: team.name, categories: team.categories }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Team created successfully',
+        team
+    });
+});
+
+// 3. UPDATE TEAM (ADMIN)
+router.patch('/:teamId', requirePermission('teams:manage'), validate({ params: teamParams, body: updateTeamBody }), async (req, res) => {
+    const { name, description, categories, active } = req.body;
+    
+    const team = await findTeam(req);
+    const before = team.toObject();
+    
+    if (categories !== undefined) {
+        await assertCategoriesFree(categories, team._id);
+        team.categories = categories;
+    }
+    
+    if (name !== undefined) team.name = name;
+    if (description !== undefined) team.description = description;
+    if (active !== undefined) team.active = active;
+    
+    await team.save();
+    
+    await audit(req, {
+        action: 'team.updated',
+        target: teamTarget(team),
+        changes: diff(before, team.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Team updated successfully',
+        team
+    });
+});
+
+// 4. LIST MEMBERS
+router.get('/:teamId/members', validate({ params: teamParams }), async (req, res) => {
+    const team = await findTeam(req);
+    
+    const members = await User.find({ teams: team._id, role: 'AGENT', active: { $ne: false } })
+        .select('name email availability tier');
+    
+    res.json({
+        success: true,
+        count: members.length,
+        members
+    });
+});
+
+// 5. ADD MEMBER (ADMIN)
+router.post('/:teamId/members', requirePermission('teams:manage'), validate({ params: teamParams, body: addMemberBody }), async (req, res) => {
+    const team = await findTeam(req);
+    
+    const agent = await User.findOneAndUpdate(
+        { _id: req.body.userId, role: 'AGENT' },
+        { $addToSet: { teams: team._id } },
+        { new: true }
+    ).select('name email teams');
+    
+    if (!agent) {
+        throw new NotFoundError('Agent not found', 'AGENT_NOT_FOUND');
+    }
+    
+    await audit(req, {
+        action: 'team.member_added',
+        target: teamTarget(team),
+        metadata: { agent: agent._id, email: agent.email }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Agent added to team',
+        agent
+    });
+});
+
+// 6. REMOVE MEMBER (ADMIN)
+router.delete('/:teamId/members/:userId', requirePermission('teams:manage'), validate({ params: memberParams }), async (req, res) => {
+    const team = await findTeam(req);
+    
+    const agent = await User.findOneAndUpdate(
+        { _id: req.params.userId, teams: team._id },
+        { $pull: { teams: team._id } },
+        { new: true }
+    ).select('name email teams');
+    
+    if (!agent) {
+        throw new NotFoundError('Agent is not a member of this team', 'NOT_TEAM_MEMBER');
+    }
+    
+    await audit(req, {
+        action: 'team.member_removed',
+        target: teamTarget(team),
+        metadata: { agent: agent._id, email: agent.email }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Agent removed from team',
+        agent
+    });
+});
+
+// 7. UNASSIGNED QUEUE (team members and admins; same filters/paging as GET /api/tickets)
+router.get('/:teamId/queue', validate({ params: teamParams, query: listTicketsQuery }), async (req, res) => {
+    const team = await findTeam(req);
+    
+    if (req.user.role !== 'ADMIN') {
+        const member = await User.exists({ _id: req.user.userId, teams: team._id });
+        if (!member) {
+            throw new ForbiddenError('Access denied. You are not a member of this team.', 'NOT_TEAM_MEMBER');
+        }
+    }
+    
+    const result = await listTickets(
+        { sort: '-priority,createdAt', ...req.query },
+        {
+            scope: { team: team._id, assignedAgent: null, status: { $nin: ['RESOLVED', 'CLOSED'] } },
+            viewerRole: req.user.role,
+            populate: [['customer', 'name email']]
+        }
+    );
+    
+    await auditListing(req, result.tickets);
+    
+    res.json({
+        success: true,
+        count: result.tickets.length,
+        ...result
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,324 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const { auth, requireRole } = require('../middlewares/auth');
+const { rateLimit } = require('../middlewares/rateLimit');
+const { uploadFiles } = require('../middlewares/upload');
+const { validate } = require('../middlewares/validate');
+const Macro = require('../models/Macro');
+const { audit, auditListing, diff } = require('../services/audit');
+const { applyMacro } = require('../services/macros');
+const { findVisible } = require('../services/responseLibrary');
+const { claimTicket } = require('../services/teams');
+const { breakdownTickets, listTickets } = require('../services/ticketQuery');
+const { streamCsv } = require('../services/reports/csv');
+const {
+    createTicket,
+    reassignTicket,
+    reopenTicket,
+    updateStatus,
+    updateTicketFields
+} = require('../services/tickets');
+const { idParams } = require('../validators/common');
+const { applyMacroParams } = require('../validators/macros');
+const {
+    createTicketBody,
+    listTicketsQuery,
+    reassignTicketBody,
+    reopenTicketBody,
+    ticketBreakdownQuery,
+    updateStatusBody,
+    updateTicketBody
+} = require('../validators/tickets');
+const limits = require('../config/rateLimit');
+const messageApi = require('./messageApi');
+const attachmentApi = require('./attachmentApi');
+const surveyApi = require('./surveyApi');
+const transferApi = require('./transferApi');
+
+// Mounted at /api/tickets. Business rules live in services/tickets.js.
+const router = express.Router();
+
+const actorOf = (req) => ({ id: req.user.userId, role: req.user.role });
+
+const ticketTarget = (ticket) => ({ type: 'ticket', id: ticket._id });
+
+// Customers see their own tickets, agents their assigned ones, admins all
+const viewerScope = (req) => {
+    if (req.user.role === 'CUSTOMER') {
+        return { customer: new mongoose.Types.ObjectId(req.user.userId) };
+    }
+    if (req.user.role === 'AGENT') {
+        return { assignedAgent: new mongoose.Types.ObjectId(req.user.userId) };
+    }
+    return {};
+};
+
+// Audit fields for the transition the service just appended
+const lastStatusChange = (ticket) => {
+    const entry = ticket.statusHistory[ticket.statusHistory.length - 1];
+    return {
+        changes: [{ field: 'status', from: entry.from, to: entry.to }],
+        metadata: { reason: entry.reason }
+    };
+};
+
+// Per customer, to stop ticket spam
+const createTicketLimit = rateLimit({
+    name: 'tickets:customer',
+    limit: limits.tickets.customerMax,
+    windowMinutes: limits.tickets.customerWindowMinutes,
+    key: req => req.user.userId.toString(),
+    message: 'You have opened too many tickets recently, please try again later'
+});
+
+// 1. CREATE TICKET (CUSTOMER ONLY)
+// Accepts JSON, or multipart/form-data with attachments in the "files" field
+router.post('/', auth, requireRole('CUSTOMER'), createTicketLimit, uploadFiles, validate({ body: createTicketBody }), async (req, res) => {
+    const { ticket, attachments } = await createTicket({ ...req.body, files: req.files }, actorOf(req));
+    
+    await audit(req, {
+        action: 'ticket.created',
+        target: ticketTarget(ticket),
+        metadata: {
+            priority: ticket.priority,
+            category: ticket.category,
+            assignedAgent: ticket.assignedAgent,
+            team: ticket.team,
+            attachments: attachments.length
+        }
+    });
+    
+    // Populate data for response
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    await ticket.populate('team', 'name');
+    
+    res.status(201).json({
+        success: true,
+        message: 'Ticket created successfully',
+        ticket,
+        attachments
+    });
+});
+
+// 2. GET CUSTOMER'S TICKETS
+router.get('/my-tickets', auth, requireRole('CUSTOMER'), validate({ query: listTicketsQuery }), async (req, res) => {
+    const result = await listTickets(req.query, {
+        scope: { customer: new mongoose.Types.ObjectId(req.user.userId) },
+        viewerRole: req.user.role,
+        populate: [['assignedAgent', 'name email']]
+    });
+    
+    await auditListing(req, result.tickets);
+    
+    res.json({
+        success: true,
+        count: result.tickets.length,
+        ...result
+    });
+});
+
+// 3. GET AGENT'S ASSIGNED TICKETS
+router.get('/assigned', auth, requireRole('AGENT'), validate({ query: listTicketsQuery }), async (req, res) => {
+    const result = await listTickets(req.query, {
+        scope: { assignedAgent: new mongoose.Types.ObjectId(req.user.userId) },
+        viewerRole: req.user.role,
+        populate: [['customer', 'name email']]
+    });
+    
+    await auditListing(req, result.tickets);
+    
+    res.json({
+        success: true,
+        count: result.tickets.length,
+        ...result
+    });
+});
+
+// 4. GET ALL TICKETS (ADMIN/AGENT VIEW)
+router.get('/', auth, validate({ query: listTicketsQuery }), async (req, res) => {
+    // Filters: status, priority, slaState, assignedAgent, customer, team,
+    // category, tags, cf.<key>, unassigned, createdFrom/createdTo,
+    // updatedFrom/updatedTo, q (full-text)
+    // Paging: sort=-priority,createdAt, limit, cursor
+    const result = await listTickets(req.query, {
+        scope: viewerScope(req),
+        viewerRole: req.user.role,
+        populate: [['customer', 'name email'], ['assignedAgent', 'name email']]
+    });
+    
+    await auditListing(req, result.tickets);
+    
+    res.json({
+        success: true,
+        count: result.tickets.length,
+        ...result
+    });
+});
+
+// 5. TICKET COUNTS PER CATEGORY / TAG / STATUS / PRIORITY / CUSTOM FIELD
+// (?by=category|tag|status|priority|cf.<key>, the filters of step 4, format=json|csv)
+router.get('/breakdown', auth, validate({ query: ticketBreakdownQuery }), async (req, res) => {
+    const rows = await breakdownTickets(req.query, {
+        scope: viewerScope(req),
+        viewerRole: req.user.role
+    });
+    
+    if (req.query.format === 'csv') {
+        const filename = `tickets-by-${req.query.by.replace(/[^\w-]/g, '-')}.csv`;
+        return streamCsv(res, ['group', 'count', 'open'], rows, filename);
+    }
+    
+    res.json({
+        success: true,
+        by: req.query.by,
+        rows
+    });
+});
+
+// 6. UPDATE TICKET STATUS (AGENT ONLY)
+router.patch('/:id/status', auth, requireRole('AGENT'), validate({ params: idParams, body: updateStatusBody }), async (req, res) => {
+    const ticket = await updateStatus(req.params.id, req.body, actorOf(req));
+    await audit(req, { action: 'ticket.status_changed', target: ticketTarget(ticket), ...lastStatusChange(ticket) });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Ticket status updated successfully',
+        ticket
+    });
+});
+
+// 7. UPDATE CATEGORY, TAGS AND CUSTOM FIELDS (ASSIGNED AGENT OR ADMIN)
+router.patch('/:id', auth, requireRole('AGENT', 'ADMIN'), validate({ params: idParams, body: updateTicketBody }), async (req, res) => {
+    const { ticket, before } = await updateTicketFields(req.params.id, req.body, actorOf(req));
+    
+    await audit(req, {
+        action: 'ticket.updated',
+        target: ticketTarget(ticket),
+        changes: diff(before, ticket.toObject({ flattenMaps: true }), Object.keys(req.body))
+    });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Ticket updated successfully',
+        ticket
+    });
+});
+
+// 8. REOPEN A RESOLVED TICKET (CUSTOMER ONLY, WITHIN THE REOPEN WINDOW)
+router.patch('/:id/reopen', auth, requireRole('CUSTOMER'), validate({ params: idParams, body: reopenTicketBody }), async (req, res) => {
+    const ticket = await reopenTicket(req.params.id, req.body, actorOf(req));
+    await audit(req, { action: 'ticket.reopened', target: ticketTarget(ticket), ...lastStatusChange(ticket) });
+    
+    await ticket.populate('assignedAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Ticket reopened successfully',
+        ticket
+    });
+});
+
+// 9. REASSIGN TICKET (AGENT ONLY)
+router.patch('/:id/reassign', auth, requireRole('AGENT'), validate({ params: idParams, body: reassignTicketBody }), async (req, res) => {
+    const ticket = await reassignTicket(req.params.id, req.body, actorOf(req));
+    const move = ticket.reassignmentHistory[ticket.reassignmentHistory.length - 1];
+    
+    await audit(req, {
+        action: 'ticket.reassigned',
+        target: ticketTarget(ticket),
+        changes: [{ field: 'assignedAgent', from: move.fromAgent, to: move.toAgent }],
+        metadata: { kind: move.kind, reason: move.reason }
+    });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    await ticket.populate('reassignmentHistory.fromAgent', 'name email');
+    await ticket.populate('reassignmentHistory.toAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: 'Ticket reassigned successfully',
+        ticket
+    });
+});
+
+// 10. CLAIM AN UNASSIGNED TICKET FROM ONE OF YOUR TEAM QUEUES (AGENT ONLY)
+router.post('/:id/claim', auth, requireRole('AGENT'), validate({ params: idParams }), async (req, res) => {
+    const agent = await User.findById(req.user.userId);
+    const ticket = await claimTicket(req.params.id, agent);
+    
+    await audit(req, {
+        action: 'ticket.claimed',
+        target: ticketTarget(ticket),
+        changes: [{ field: 'assignedAgent', from: null, to: agent._id }],
+        metadata: { team: ticket.team }
+    });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    await ticket.populate('team', 'name');
+    
+    res.json({
+        success: true,
+        message: 'Ticket claimed successfully',
+        ticket
+    });
+});
+
+// 11. APPLY A MACRO (ASSIGNED AGENT ONLY, SAME STATUS RULES AS STEP 6)
+router.post('/:id/macros/:macroId/apply', auth, requireRole('AGENT'), validate({ params: applyMacroParams }), async (req, res) => {
+    const macro = await findVisible(Macro, req.params.macroId, req.user.userId, {
+        message: 'Macro not found',
+        code: 'MACRO_NOT_FOUND'
+    });
+    const { ticket, message, applied } = await applyMacro(req.params.id, macro, actorOf(req));
+    
+    const changes = [];
+    if (applied.tags.length > 0) {
+        const tags = ticket.tags.toObject();
+        changes.push({ field: 'tags', from: tags.filter(tag => !applied.tags.includes(tag)), to: tags });
+    }
+    if (applied.status) {
+        changes.push({ field: 'status', ...applied.status });
+    }
+    
+    await audit(req, {
+        action: 'ticket.macro_applied',
+        target: ticketTarget(ticket),
+        changes,
+        metadata: { macro: macro._id, name: macro.name, message: message ? message._id : null }
+    });
+    
+    await ticket.populate('customer', 'name email');
+    await ticket.populate('assignedAgent', 'name email');
+    
+    res.json({
+        success: true,
+        message: `Macro "${macro.name}" applied`,
+        applied,
+        data: message,
+        ticket
+    });
+});
+
+// 12. TRANSFER REQUESTS (PROPOSE / ACCEPT / DECLINE / CANCEL)
+router.use('/:id/transfer', transferApi);
+
+// 13. TICKET CONVERSATION (CUSTOMER + ASSIGNED AGENT)
+router.use('/:id/messages', messageApi);
+
+// 14. TICKET ATTACHMENTS (LIST + DOWNLOAD)
+router.use('/:id/attachments', attachmentApi);
+
+// 15. SATISFACTION SURVEY (CUSTOMER ANSWERS ONCE PER RESOLUTION)
+router.use('/:id/survey', surveyApi);
+
+module.exports = router;
@@ -0,0 +1,212 @@
+const express = require('express');
+const Ticket = require('../models/Ticket');
+const User = require('../models/UserModel');
+const config = require('../config/reassignment');
+const { auth, requireRole } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { BadRequestError, ConflictError, ForbiddenError, NotFoundError } = require('../services/errors');
+const { audit } = require('../services/audit');
+const { TICKET_EVENTS, publish } = require('../services/events');
+const {
+    applyReassignment,
+    checkPolicy,
+    findTargetAgent,
+    recordTransferOutcome,
+    transferExpired
+} = require('../services/reassignment');
+const { idParams } = require('../validators/common');
+const { declineTransferBody, requestTransferBody } = require('../validators/transfers');
+
+// Mounted at /api/tickets/:id/transfer
+const router = express.Router({ mergeParams: true });
+
+router.use(auth, requireRole('AGENT'), validate({ params: idParams }));
+
+const loadTicket = async (req) => {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    return ticket;
+};
+
+const ticketTarget = (ticket) => ({ type: 'ticket', id: ticket._id });
+
+const populateTicket = async (ticket) => {
+    await ticket.populate('assignedAgent', 'name email');
+    await ticket.populate('pendingTransfer.toAgent', 'name email');
+    return ticket;
+};
+
+// 1. REQUEST A TRANSFER (current agent proposes, receiving agent decides)
+router.post('/', validate({ body: requestTransferBody }), async (req, res) => {
+    const { toAgentId, reason } = req.body;
+    
+    const ticket = await loadTicket(req);
+    
+    if (String(ticket.assignedAgent) !== req.user.userId.toString()) {
+        throw new ForbiddenError('Only the assigned agent can request a transfer', 'NOT_ASSIGNED_AGENT');
+    }
+    
+    if (toAgentId === req.user.userId.toString()) {
+        throw new BadRequestError('Cannot transfer a ticket to yourself', 'SELF_TRANSFER');
+    }
+    
+    if (ticket.pendingTransfer && !transferExpired(ticket)) {
+        throw new ConflictError('A transfer request is already pending for this ticket', 'TRANSFER_PENDING');
+    }
+    
+    const [currentAgent, toAgent] = await Promise.all([
+        User.findById(req.user.userId),
+        findTargetAgent(toAgentId)
+    ]);
+    
+    // Fail now rather than when the receiving agent accepts
+    const kind = checkPolicy(ticket, { fromAgent: currentAgent, toAgent, reason });
+    
+    const now = new Date();
+    ticket.pendingTransfer = {
+        toAgent: toAgent._id,
+        requestedBy: req.user.userId,
+        reason: reason || undefined,
+        kind,
+        requestedAt: now,
+        expiresAt: new Date(now.getTime() + config.transferRequestTtlHours * 60 * 60 * 1000)
+    };
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.TRANSFER_REQUESTED, {
+        ticket,
+        toAgent: toAgent._id,
+        kind,
+        reason,
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    
+    await audit(req, {
+        action: 'ticket.transfer_requested',
+        target: ticketTarget(ticket),
+        metadata: { toAgent: toAgent._id, kind, reason }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Transfer requested successfully',
+        ticket: await populateTicket(ticket)
+    });
+});
+
+// Load the ticket and make sure the caller is the agent the transfer is waiting on
+const loadIncoming = async (req) => {
+    const ticket = await loadTicket(req);
+    
+    if (!ticket.pendingTransfer || ticket.pendingTransfer.toAgent.toString() !== req.user.userId.toString()) {
+        throw new NotFoundError('No pending transfer for you on this ticket', 'TRANSFER_NOT_FOUND');
+    }
+    
+    if (transferExpired(ticket)) {
+        recordTransferOutcome(ticket, {
+            outcome: 'EXPIRED',
+            actor: { id: req.user.userId, role: req.user.role }
+        });
+        await ticket.save();
+        await audit(req, { action: 'ticket.transfer_expired', outcome: 'FAILURE', target: ticketTarget(ticket) });
+        throw new ConflictError('This transfer request has expired', 'TRANSFER_EXPIRED');
+    }
+    
+    return ticket;
+};
+
+// 2. ACCEPT A TRANSFER
+router.post('/accept', async (req, res) => {
+    const ticket = await loadIncoming(req);
+    
+    const [fromAgent, toAgent] = await Promise.all([
+        User.findById(ticket.assignedAgent),
+        findTargetAgent(req.user.userId)
+    ]);
+    const reason = ticket.pendingTransfer.reason;
+    
+    await applyReassignment(ticket, {
+        fromAgent,
+        toAgent,
+        reason,
+        outcome: 'ACCEPTED',
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    
+    await audit(req, {
+        action: 'ticket.transfer_accepted',
+        target: ticketTarget(ticket),
+        changes: [{ field: 'assignedAgent', from: fromAgent && fromAgent._id, to: toAgent._id }],
+        metadata: { reason }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Transfer accepted',
+        ticket: await populateTicket(ticket)
+    });
+});
+
+// 3. DECLINE A TRANSFER
+router.post('/decline', validate({ body: declineTransferBody }), async (req, res) => {
+    const { reason } = req.body;
+    
+    if (config.requireReason && !reason) {
+        throw new BadRequestError('A reason is required to decline a transfer', 'REASON_REQUIRED');
+    }
+    
+    const ticket = await loadIncoming(req);
+    
+    const requestedBy = ticket.pendingTransfer.requestedBy;
+    recordTransferOutcome(ticket, {
+        outcome: 'DECLINED',
+        reason,
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.TRANSFER_DECLINED, {
+        ticket,
+        requestedBy,
+        reason,
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    
+    await audit(req, {
+        action: 'ticket.transfer_declined',
+        target: ticketTarget(ticket),
+        metadata: { requestedBy, reason }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Transfer declined',
+        ticket: await populateTicket(ticket)
+    });
+});
+
+// 4. CANCEL YOUR OWN TRANSFER REQUEST
+router.delete('/', async (req, res) => {
+    const ticket = await loadTicket(req);
+    
+    if (!ticket.pendingTransfer || ticket.pendingTransfer.requestedBy.toString() !== req.user.userId.toString()) {
+        throw new NotFoundError('No pending transfer requested by you on this ticket', 'TRANSFER_NOT_FOUND');
+    }
+    
+    recordTransferOutcome(ticket, {
+        outcome: 'CANCELLED',
+        actor: { id: req.user.userId, role: req.user.role }
+    });
+    await ticket.save();
+    await audit(req, { action: 'ticket.transfer_cancelled', target: ticketTarget(ticket) });
+    
+    res.json({
+        success: true,
+        message: 'Transfer request cancelled',
+        ticket: await populateTicket(ticket)
+    });
+});
+
+module.exports = router;
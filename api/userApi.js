@@ -1,77 +1,49 @@
-require('dotenv').config();
 const express = require('express');
-const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const User = require('../models/UserModel');
+const { auth } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { NotFoundError } = require('../services/errors');
+const { updateProfileBody } = require('../validators/users');
 
-
+// Mounted at /api/users. Sign-up and login live in authApi.
 const router = express.Router();
 
-
-
-router.post('/signup', async (req, res) => {
-    console.log("req.body:",req.body)
-    const name = req.body.name
-    const email = req.body.email
-    const role = req.body.role
-    const age = req.body.age
-    const password = req.body.password
-   
-    if(!email || !password ){
-        return res.json({"message":"invalid request"})
+// 1. GET CURRENT USER
+router.get('/me', auth, async (req, res) => {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
     
-    //validation email
-    const userCheck = await User.findOne({email:email})
-    console.log("userCheck:",userCheck)
-    if(userCheck){
-        return res.json({"message":"email is already exist"})
-    }
-    const hashedPassword = await bcrypt.hash(password, 10)
-    const user = new User({
-        name: name,
-        email: email,
-        role: role,
-        age: age,
-        password: hashedPassword
-    })
-    await user.save()
-    res.json({"message":"success"})
-})
-
-
-module.exports = router
-
-router.post("/login",async (req,res) => {
-    if(!req.body){
-        return res.json({"message":"invalid request body"})
+    res.json({
+        success: true,
+        user
+    });
+});
+
+// 2. UPDATE OWN PROFILE (NAME / AGE)
+router.patch('/me', auth, validate({ body: updateProfileBody }), async (req, res) => {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+        throw new NotFoundError('User not found', 'USER_NOT_FOUND');
     }
     
-    const email = req.body.email
-    const password = req.body.password
+    const before = user.toObject();
+    user.set(req.body);
+    await user.save();
     
-    if(!email){
-        return res.json({"message":"email is required"})
-    }
+    await audit(req, {
+        action: 'user.profile_updated',
+        target: { type: 'user', id: user._id },
+        changes: diff(before, user.toObject(), Object.keys(req.body))
+    });
     
-    const user = await User.findOne({ email:email })
-    if(!user){
-        return res.json({"message":"email is invaild"})
-    }
-    const isPasswordMatching  = await bcrypt.compare(password,user.password)
-    if(!isPasswordMatching){
-        return res.json({"message":"password invaild"})
-    }
-    try{
-    const token = jwt.sign(
-        {user: user._id}, process.env.SECRET_CODE,
-        {expiresIn:"1h"}
-
-    )
-    return res.json({message:"login successful",token : token})
-}catch(err){
-    console.log(err)
-    return res.json({"message":"server error"})
-}
-
-})
\ No newline at end of file
+    res.json({
+        success: true,
+        message: 'Profile updated successfully',
+        user
+    });
+});
+
+module.exports = router;
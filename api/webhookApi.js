@@ -0,0 +1,207 @@
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requirePermission } = require('../middlewares/auth');
+const { validate } = require('../middlewares/validate');
+const { audit, diff } = require('../services/audit');
+const { NotFoundError } = require('../services/errors');
+const { generateSecret, redeliver } = require('../services/webhooks');
+const {
+    createWebhookBody,
+    deliveryParams,
+    listDeliveriesQuery,
+    updateWebhookBody,
+    webhookParams
+} = require('../validators/webhooks');
+
+// Mounted at /api/admin/webhooks (behind the admin router's auth)
+const router = express.Router();
+
+router.use(requirePermission('webhooks:manage'));
+
+const findWebhook = async (req) => {
+    const webhook = await Webhook.findById(req.params.webhookId);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found', 'WEBHOOK_NOT_FOUND');
+    }
+    return webhook;
+};
+
+const findDelivery = async (req) => {
+    const delivery = await WebhookDelivery.findOne({
+        _id: req.params.deliveryId,
+        webhook: req.params.webhookId
+    });
+    if (!delivery) {
+        throw new NotFoundError('Delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+    return delivery;
+};
+
+const webhookTarget = (webhook) => ({ type: 'webhook', id: webhook._id });
+
+const REDELIVERY_MESSAGES = {
+    SUCCEEDED: 'Delivery succeeded',
+    PENDING: 'Delivery failed, it will be retried',
+    FAILED: 'Delivery failed'
+};
+
+// The secret is only ever shown here, right after it was generated
+const withSecret = (webhook, secret) => ({ ...webhook.toObject(), secret });
+
+// 1. LIST WEBHOOKS
+router.get('/', async (req, res) => {
+    const webhooks = await Webhook.find().sort({ createdAt: -1 });
+    
+    res.json({
+        success: true,
+        count: webhooks.length,
+        webhooks
+    });
+});
+
+// 2. REGISTER A WEBHOOK (the response carries the signing secret, once)
+router.post('/', validate({ body: createWebhookBody }), async (req, res) => {
+    const secret = generateSecret();
+    const webhook = await Webhook.create({ ...req.body, secret, createdBy: req.user.userId });
+    
+    await audit(req, {
+        action: 'webhook.created',
+        target: webhookTarget(webhook),
+        metadata: { url: webhook.url, events: webhook.events }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: 'Webhook created successfully',
+        webhook: withSecret(webhook, secret)
+    });
+});
+
+// 3. VIEW ONE WEBHOOK
+router.get('/:webhookId', validate({ params: webhookParams }), async (req, res) => {
+    const webhook = await findWebhook(req);
+    
+    res.json({
+        success: true,
+        webhook
+    });
+});
+
+// 4. UPDATE URL / EVENTS / DESCRIPTION / ACTIVE
+router.patch('/:webhookId', validate({ params: webhookParams, body: updateWebhookBody }), async (req, res) => {
+    const webhook = await findWebhook(req);
+    const before = webhook.toObject();
+    
+    webhook.set(req.body);
+    await webhook.save();
+    
+    await audit(req, {
+        action: 'webhook.updated',
+        target: webhookTarget(webhook),
+        changes: diff(before, webhook.toObject(), Object.keys(req.body))
+    });
+    
+    res.json({
+        success: true,
+        message: 'Webhook updated successfully',
+        webhook
+    });
+});
+
+// 5. ROTATE THE SIGNING SECRET (the old one stops working immediately)
+router.post('/:webhookId/rotate-secret', validate({ params: webhookParams }), async (req, res) => {
+    const webhook = await findWebhook(req);
+    const secret = generateSecret();
+    
+    webhook.secret = secret;
+    await webhook.save();
+    
+    await audit(req, { action: 'webhook.secret_rotated', target: webhookTarget(webhook) });
+    
+    res.json({
+        success: true,
+        message: 'Webhook secret rotated successfully',
+        webhook: withSecret(webhook, secret)
+    });
+});
+
+// 6. DELETE A WEBHOOK (pending retries are dropped, the log is kept)
+router.delete('/:webhookId', validate({ params: webhookParams }), async (req, res) => {
+    const webhook = await findWebhook(req);
+    
+    await webhook.deleteOne();
+    await WebhookDelivery.updateMany(
+        { webhook: webhook._id, status: 'PENDING' },
+        { $set: { status: 'FAILED' }, $unset: { nextAttemptAt: 1 } }
+    );
+    
+    await audit(req, {
+        action: 'webhook.deleted',
+        target: webhookTarget(webhook),
+        metadata: { url: webhook.url }
+    });
+    
+    res.json({
+        success: true,
+        message: 'Webhook deleted successfully'
+    });
+});
+
+// 7. DELIVERY LOG (newest first, ?status=&event=&page=&limit=)
+router.get('/:webhookId/deliveries', validate({ params: webhookParams, query: listDeliveriesQuery }), async (req, res) => {
+    const { page = 1, limit = 20, status, event } = req.query;
+    const query = { webhook: req.params.webhookId };
+    
+    if (status) query.status = status;
+    if (event) query.event = event;
+    
+    const [total, deliveries] = await Promise.all([
+        WebhookDelivery.countDocuments(query),
+        WebhookDelivery.find(query)
+            .select('-payload')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+    ]);
+    
+    res.json({
+        success: true,
+        count: deliveries.length,
+        total,
+        page,
+        pages: Math.ceil(total / limit),
+        deliveries
+    });
+});
+
+// 8. ONE DELIVERY WITH ITS PAYLOAD AND EVERY ATTEMPT
+router.get('/:webhookId/deliveries/:deliveryId', validate({ params: deliveryParams }), async (req, res) => {
+    const delivery = await findDelivery(req);
+    
+    res.json({
+        success: true,
+        delivery
+    });
+});
+
+// 9. REDELIVER (sends the same payload again as a new delivery)
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', validate({ params: deliveryParams }), async (req, res) => {
+    const [webhook, delivery] = await Promise.all([findWebhook(req), findDelivery(req)]);
+    
+    const copy = await redeliver(delivery);
+    
+    await audit(req, {
+        action: 'webhook.redelivered',
+        target: webhookTarget(webhook),
+        metadata: { delivery: delivery._id, redelivery: copy._id, status: copy.status }
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: REDELIVERY_MESSAGES[copy.status],
+        delivery: copy
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,123 @@
+const express = require('express');
+const cors = require('cors');
+const authApi = require('./api/authApi');
+const userApi = require('./api/userApi');
+const ticketApi = require('./api/ticketApi');
+const agentApi = require('./api/agentApi');
+const notificationApi = require('./api/notificationApi');
+const teamApi = require('./api/teamApi');
+const realtimeApi = require('./api/realtimeApi');
+const adminApi = require('./api/adminApi');
+const reportApi = require('./api/reportApi');
+const inboundApi = require('./api/inboundApi');
+const cannedResponseApi = require('./api/cannedResponseApi');
+const macroApi = require('./api/macroApi');
+const categoryApi = require('./api/categoryApi');
+const customFieldApi = require('./api/customFieldApi');
+const kbApi = require('./api/kbApi');
+const config = require('./config/server');
+const { legacyPaths } = require('./middlewares/legacyPaths');
+const { errorHandler, notFoundHandler } = require('./middlewares/errorHandler');
+const { registerNotificationHandlers } = require('./services/notifications');
+const { registerRealtimeHandlers } = require('./services/realtime');
+const { registerCsatHandlers } = require('./services/csat');
+const { registerWebhookHandlers } = require('./services/webhooks');
+const { registerKnowledgeBaseHandlers } = require('./services/kb/suggestions');
+
+// Event subscribers are process-wide, so they are registered once no matter
+// how many apps are created (tests build one per suite).
+let unsubscribers = null;
+
+const registerSubscribers = () => {
+    if (!unsubscribers) {
+        unsubscribers = [
+            registerNotificationHandlers(),
+            registerRealtimeHandlers(),
+            registerCsatHandlers(),
+            registerWebhookHandlers(),
+            registerKnowledgeBaseHandlers()
+        ].flat();
+    }
+};
+
+const unregisterSubscribers = () => {
+    (unsubscribers || []).forEach(unsubscribe => unsubscribe());
+    unsubscribers = null;
+};
+
+// Build the Express app. It neither connects to MongoDB nor listens:
+// server.js does both, tests hand it to supertest, and other hosts can
+// mount it as a sub-app.
+const createApp = () => {
+    registerSubscribers();
+    
+    const app = express();
+    app.set('trust proxy', config.trustProxy);
+    
+    app.use(cors());
+    app.use(express.json());
+    app.use(legacyPaths);
+    
+    // 1. REGISTER, LOGIN, TOKENS, SESSIONS AND ACCOUNT RECOVERY
+    app.use('/api/auth', authApi);
+    
+    // 2. CURRENT USER PROFILE
+    app.use('/api/users', userApi);
+    
+    // 3. TICKETS (WITH MESSAGES, ATTACHMENTS, TRANSFERS AND SURVEYS)
+    app.use('/api/tickets', ticketApi);
+    
+    // 4. AGENT DIRECTORY AND SETTINGS
+    app.use('/api/agents', agentApi);
+    
+    // 5. IN-APP NOTIFICATIONS + PREFERENCES
+    app.use('/api/notifications', notificationApi);
+    
+    // 6. TEAMS, MEMBERSHIP AND TEAM QUEUES
+    app.use('/api/teams', teamApi);
+    
+    // 7. REAL-TIME TICKET EVENTS (SERVER-SENT EVENTS)
+    app.use('/api/realtime', realtimeApi);
+    
+    // 8. ADMINISTRATION (USERS + GLOBAL TICKET OVERSIGHT)
+    app.use('/api/admin', adminApi);
+    
+    // 9. METRICS + REPORTING (JSON OR CSV)
+    app.use('/api/reports', reportApi);
+    
+    // 10. INBOUND EMAIL WEBHOOK (MAIL PROVIDER -> TICKETS AND REPLIES)
+    app.use('/api/inbound', inboundApi);
+    
+    // 11. CANNED RESPONSES (SHARED + PERSONAL REPLY TEMPLATES)
+    app.use('/api/canned-responses', cannedResponseApi);
+    
+    // 12. MACROS (APPLIED WITH POST /api/tickets/:id/macros/:macroId/apply)
+    app.use('/api/macros', macroApi);
+    
+    // 13. TICKET CATEGORY TAXONOMY
+    app.use('/api/categories', categoryApi);
+    
+    // 14. CUSTOM TICKET FIELDS
+    app.use('/api/custom-fields', customFieldApi);
+    
+    // 15. KNOWLEDGE BASE (PUBLIC ARTICLES, SUGGESTIONS AND AUTHORING)
+    app.use('/api/kb', kbApi);
+    
+    // Health Check
+    app.get('/api/health', (req, res) => {
+        res.json({
+            success: true,
+            status: 'OK',
+            message: 'Support Ticket System is running',
+            timestamp: new Date().toISOString()
+        });
+    });
+    
+    // Unknown routes and every error end here (see README "Errors")
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    
+    return app;
+};
+
+module.exports = { createApp, unregisterSubscribers };
@@ -0,0 +1,13 @@
+require("dotenv").config()
+const { nonNegative } = require("./parse")
+
+// Ticket auto-assignment settings
+module.exports = {
+    // round-robin | least-open | skill-based
+    strategy: process.env.ASSIGNMENT_STRATEGY || 'least-open',
+    // Max OPEN/IN_PROGRESS tickets per agent when the agent has no own limit
+    // (0 leaves such agents out of auto-assignment and claims)
+    defaultCapacity: nonNegative(process.env.AGENT_DEFAULT_CAPACITY, 20, { integer: true }),
+    // Fall back to AWAY agents when nobody ONLINE has free capacity
+    allowAwayAgents: process.env.ASSIGNMENT_ALLOW_AWAY !== 'false'
+}
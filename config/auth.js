@@ -0,0 +1,11 @@
+require("dotenv").config()
+
+// Token and session settings
+module.exports = {
+    jwtSecret: process.env.JWT_SECRET || process.env.SECRET_CODE,
+    // jsonwebtoken duration string, e.g. "15m"
+    accessTokenTtl: process.env.ACCESS_TOKEN_TTL || "15m",
+    refreshTokenTtlDays: parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    // Rotated refresh tokens remembered per session for reuse detection
+    refreshTokenHistory: parseInt(process.env.REFRESH_TOKEN_HISTORY, 10) || 10
+}
@@ -0,0 +1,9 @@
+require("dotenv").config()
+
+// Customer satisfaction surveys
+module.exports = {
+    // How long after resolution the customer can answer the survey
+    surveyWindowDays: parseFloat(process.env.CSAT_SURVEY_WINDOW_DAYS) || 14,
+    // Ratings at or above this count as "satisfied" in the CSAT score
+    satisfiedRating: parseInt(process.env.CSAT_SATISFIED_RATING, 10) || 4
+}
@@ -1,8 +1,6 @@
 require("dotenv").config()
 const mongoose = require("mongoose")    
 
-module.exports = () => {
-    mongoose.connect(process.env.DB_URL)
-        .then(() => { console.log("database connected") })
-        .catch((err) => { console.log(err) })
-}
+// Resolves once connected; the caller decides what a failed connection means
+module.exports = (url = process.env.DB_URL) => mongoose.connect(url)
+    .then(() => { console.log("database connected") })
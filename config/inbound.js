@@ -0,0 +1,11 @@
+require("dotenv").config()
+
+// Inbound email gateway (services/inbound)
+module.exports = {
+    // Maildir polled for new messages (new/ -> cur/); polling is off when unset
+    maildir: process.env.INBOUND_MAILDIR || null,
+    pollIntervalSeconds: parseInt(process.env.INBOUND_POLL_INTERVAL_SECONDS, 10) || 60,
+    // Shared secret for POST /api/inbound/email; the webhook is off when unset
+    webhookSecret: process.env.INBOUND_WEBHOOK_SECRET || null,
+    maxMessageSizeMB: parseFloat(process.env.INBOUND_MAX_MESSAGE_SIZE_MB) || 25
+}
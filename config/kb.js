@@ -0,0 +1,13 @@
+require("dotenv").config()
+const { nonNegative } = require("./parse")
+
+// Knowledge base search and article suggestions (services/kb)
+module.exports = {
+    // Articles returned for a ticket draft
+    suggestionLimit: parseInt(process.env.KB_SUGGESTION_LIMIT, 10) || 5,
+    // Weaker full-text matches than this are not suggested
+    suggestionMinScore: nonNegative(process.env.KB_SUGGESTION_MIN_SCORE, 1),
+    // A ticket opened this soon after suggestions counts against them; a
+    // customer shown articles who opens no ticket in time counts as deflected
+    deflectionWindowHours: parseFloat(process.env.KB_DEFLECTION_WINDOW_HOURS) || 24
+}
@@ -0,0 +1,21 @@
+require("dotenv").config()
+const path = require("path")
+
+// Outbound mail settings
+module.exports = {
+    // smtp | file | console
+    transport: process.env.MAIL_TRANSPORT || "console",
+    from: process.env.MAIL_FROM || "Support <support@localhost>",
+    // Base URL of the web client, used to build links in emails
+    appUrl: process.env.APP_URL || "http://localhost:3000",
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    },
+    fileDir: process.env.MAIL_FILE_DIR || path.join(__dirname, "..", "tmp", "mail"),
+    emailVerificationTtlHours: parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48,
+    passwordResetTtlMinutes: parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60
+}
@@ -0,0 +1,10 @@
+// Numbers >= 0 from the environment (0 is a valid setting, e.g. to turn
+// something off); anything else -> fallback. integer: whole numbers only;
+// max: values above it -> fallback.
+const nonNegative = (value, fallback, { integer = false, max = Infinity } = {}) => {
+    const n = parseFloat(value)
+    if (!Number.isFinite(n) || n < 0 || n > max) return fallback
+    return integer && !Number.isInteger(n) ? fallback : n
+}
+
+module.exports = { nonNegative }
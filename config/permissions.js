@@ -0,0 +1,17 @@
+// Permissions granted to each role. ADMIN gets every permission via '*'.
+module.exports = {
+    CUSTOMER: [
+        'tickets:create',
+        'tickets:read:own',
+        'tickets:reopen:own'
+    ],
+    AGENT: [
+        'agents:read',
+        'tickets:read:assigned',
+        'tickets:update:assigned',
+        'tickets:reassign:assigned',
+        'kb:write',
+        'kb:publish'
+    ],
+    ADMIN: ['*']
+}
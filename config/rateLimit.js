@@ -0,0 +1,39 @@
+require("dotenv").config()
+
+// Request throttling and login lockout
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    // memory (per process) | mongo (shared by every instance)
+    store: process.env.RATE_LIMIT_STORE || "memory",
+    login: {
+        // Login attempts per client IP, successful or not
+        ipMax: parseInt(process.env.RATE_LIMIT_LOGIN_IP_MAX, 10) || 20,
+        ipWindowMinutes: parseInt(process.env.RATE_LIMIT_LOGIN_IP_WINDOW_MINUTES, 10) || 15
+    },
+    register: {
+        ipMax: parseInt(process.env.RATE_LIMIT_REGISTER_IP_MAX, 10) || 10,
+        ipWindowMinutes: parseInt(process.env.RATE_LIMIT_REGISTER_IP_WINDOW_MINUTES, 10) || 60
+    },
+    passwordReset: {
+        // Reset emails requested per client IP, and per email address
+        ipMax: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_IP_MAX, 10) || 10,
+        ipWindowMinutes: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_IP_WINDOW_MINUTES, 10) || 60,
+        emailMax: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_EMAIL_MAX, 10) || 3,
+        emailWindowMinutes: parseInt(process.env.RATE_LIMIT_PASSWORD_RESET_EMAIL_WINDOW_MINUTES, 10) || 60
+    },
+    tickets: {
+        // New tickets per customer
+        customerMax: parseInt(process.env.RATE_LIMIT_TICKETS_MAX, 10) || 10,
+        customerWindowMinutes: parseInt(process.env.RATE_LIMIT_TICKETS_WINDOW_MINUTES, 10) || 60
+    },
+    lockout: {
+        // Failed logins for one email within the window that lock it
+        threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+        failureWindowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+        // The first lockout lasts baseMinutes, each further one twice as long, up to maxMinutes
+        baseMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 5,
+        maxMinutes: parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 10) || 24 * 60,
+        // A lockout stops counting towards the next one after this long
+        resetHours: parseInt(process.env.LOGIN_LOCKOUT_RESET_HOURS, 10) || 24
+    }
+}
@@ -0,0 +1,11 @@
+require("dotenv").config()
+
+// Server-Sent Events settings. Live delivery only reaches streams on the
+// publishing process, so a single instance is supported (see README).
+module.exports = {
+    // How long events are kept for clients that reconnect
+    retentionHours: parseFloat(process.env.REALTIME_RETENTION_HOURS) || 24,
+    heartbeatSeconds: parseFloat(process.env.REALTIME_HEARTBEAT_SECONDS) || 25,
+    // Max events replayed on reconnect before asking the client to resync
+    replayLimit: parseInt(process.env.REALTIME_REPLAY_LIMIT, 10) || 500
+}
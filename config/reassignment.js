@@ -0,0 +1,15 @@
+require("dotenv").config()
+const { nonNegative } = require("./parse")
+
+// Reassignment and escalation policy
+module.exports = {
+    // Moves between agents of the same (or a lower) tier
+    maxReassignments: nonNegative(process.env.REASSIGNMENT_MAX, 1, { integer: true }),
+    // Moves to an agent of a higher tier
+    maxEscalations: nonNegative(process.env.REASSIGNMENT_MAX_ESCALATIONS, 2, { integer: true }),
+    // Highest support tier agents can belong to (tier 1 = front line)
+    maxTier: parseInt(process.env.SUPPORT_MAX_TIER, 10) || 3,
+    requireReason: process.env.REASSIGNMENT_REQUIRE_REASON !== "false",
+    // Pending transfer requests expire after this many hours
+    transferRequestTtlHours: parseFloat(process.env.TRANSFER_REQUEST_TTL_HOURS) || 24
+}
@@ -0,0 +1,17 @@
+require("dotenv").config()
+
+// "true", a hop count or a list of trusted proxy addresses (see Express "trust proxy")
+const trustProxy = (value) => {
+    if (!value || value === "false") return false
+    if (value === "true") return true
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value
+}
+
+// HTTP server settings
+module.exports = {
+    port: parseInt(process.env.PORT, 10) || 3000,
+    // How long in-flight requests get to finish on SIGTERM/SIGINT before the process exits anyway
+    shutdownTimeoutSeconds: parseFloat(process.env.SHUTDOWN_TIMEOUT_SECONDS) || 10,
+    // Needed behind a load balancer so rate limits see the client IP, not the proxy's
+    trustProxy: trustProxy(process.env.TRUST_PROXY)
+}
@@ -0,0 +1,34 @@
+require("dotenv").config()
+const { nonNegative } = require("./parse")
+
+// Default SLA targets per ticket priority, in minutes.
+// Override with SLA_POLICIES, e.g. {"URGENT":{"firstResponseMinutes":15,"resolutionMinutes":240}}
+const defaultPolicies = {
+    LOW: { firstResponseMinutes: 24 * 60, resolutionMinutes: 7 * 24 * 60 },
+    MEDIUM: { firstResponseMinutes: 8 * 60, resolutionMinutes: 3 * 24 * 60 },
+    HIGH: { firstResponseMinutes: 2 * 60, resolutionMinutes: 24 * 60 },
+    URGENT: { firstResponseMinutes: 30, resolutionMinutes: 4 * 60 }
+}
+
+const parsePolicies = () => {
+    if (!process.env.SLA_POLICIES) return defaultPolicies
+    try {
+        const overrides = JSON.parse(process.env.SLA_POLICIES)
+        const policies = { ...defaultPolicies }
+        for (const priority of Object.keys(overrides)) {
+            policies[priority] = { ...policies[priority], ...overrides[priority] }
+        }
+        return policies
+    } catch (err) {
+        console.log("Invalid SLA_POLICIES, using defaults:", err.message)
+        return defaultPolicies
+    }
+}
+
+module.exports = {
+    policies: parsePolicies(),
+    // Share of a target's time that may elapse before the ticket is AT_RISK,
+    // between 0 and 1
+    atRiskThreshold: nonNegative(process.env.SLA_AT_RISK_THRESHOLD, 0.75, { max: 1 }),
+    checkIntervalSeconds: parseFloat(process.env.SLA_CHECK_INTERVAL_SECONDS) || 60
+}
@@ -0,0 +1,9 @@
+require("dotenv").config()
+
+// Ticket lifecycle settings
+module.exports = {
+    // How long a customer may reopen a RESOLVED ticket; afterwards it auto-closes
+    reopenWindowHours: parseFloat(process.env.TICKET_REOPEN_WINDOW_HOURS) || 72,
+    // How often the auto-close job looks for expired RESOLVED tickets
+    autoCloseIntervalMinutes: parseFloat(process.env.TICKET_AUTO_CLOSE_INTERVAL_MINUTES) || 15
+}
@@ -0,0 +1,27 @@
+require("dotenv").config()
+const path = require("path")
+
+const defaultMimeTypes = [
+    "image/png",
+    "image/jpeg",
+    "image/gif",
+    "image/webp",
+    "application/pdf",
+    "text/plain",
+    "text/csv",
+    "application/json",
+    "application/zip",
+    "application/gzip"
+]
+
+// Attachment upload and storage settings
+module.exports = {
+    maxFileSizeMB: parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 10,
+    maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 5,
+    allowedMimeTypes: process.env.UPLOAD_ALLOWED_MIME_TYPES
+        ? process.env.UPLOAD_ALLOWED_MIME_TYPES.split(",").map(t => t.trim()).filter(Boolean)
+        : defaultMimeTypes,
+    // Storage backend name, see services/storage
+    storageDriver: process.env.STORAGE_DRIVER || "local",
+    localDir: process.env.STORAGE_LOCAL_DIR || path.join(__dirname, "..", "uploads")
+}
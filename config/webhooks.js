@@ -0,0 +1,14 @@
+require("dotenv").config()
+
+// Outbound webhook delivery (services/webhooks)
+module.exports = {
+    // Attempts per delivery before it is marked FAILED
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // Wait before the first retry; doubles after every failed attempt
+    backoffBaseSeconds: parseFloat(process.env.WEBHOOK_BACKOFF_BASE_SECONDS) || 30,
+    backoffMaxSeconds: parseFloat(process.env.WEBHOOK_BACKOFF_MAX_SECONDS) || 6 * 60 * 60,
+    timeoutSeconds: parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10,
+    // How often the queue is checked for due retries
+    pollIntervalSeconds: parseFloat(process.env.WEBHOOK_POLL_INTERVAL_SECONDS) || 15,
+    batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE, 10) || 20
+}
@@ -1,14 +1,2 @@
-require("dotenv").config()  
-const express = require("express")
-const connectDB = require("./config/db")
-const userApi = require("./api/userApi")
-const app = express()
-app.use(express.json())
-connectDB()
-
-app.use("/users", userApi)
-
-
-app.listen(process.env.PORT, () => {
-    console.log("server is running on 3000")
-})
\ No newline at end of file
+// Entry point for `npm start`; see server.js
+require("./server").main()
@@ -0,0 +1,21 @@
+// Unit tests run without a database. Integration tests share one in-memory
+// MongoDB per run (started in globalSetup), each test file in its own database.
+module.exports = {
+    projects: [
+        {
+            displayName: 'unit',
+            testEnvironment: 'node',
+            setupFiles: ['<rootDir>/tests/setup/env.js'],
+            testMatch: ['<rootDir>/tests/unit/**/*.test.js']
+        },
+        {
+            displayName: 'integration',
+            testEnvironment: 'node',
+            globalSetup: '<rootDir>/tests/setup/globalSetup.js',
+            globalTeardown: '<rootDir>/tests/setup/globalTeardown.js',
+            setupFiles: ['<rootDir>/tests/setup/env.js'],
+            setupFilesAfterEnv: ['<rootDir>/tests/setup/db.js'],
+            testMatch: ['<rootDir>/tests/integration/**/*.test.js']
+        }
+    ]
+};
@@ -0,0 +1,40 @@
+const Ticket = require('../models/Ticket');
+const config = require('../config/tickets');
+const { transitionStatus } = require('../services/ticketStatus');
+const { TICKET_EVENTS, publish } = require('../services/events');
+
+// Close RESOLVED tickets whose reopen window has passed
+const closeExpiredResolvedTickets = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - config.reopenWindowHours * 60 * 60 * 1000);
+    const tickets = await Ticket.find({ status: 'RESOLVED', resolvedAt: { $lte: cutoff } });
+    
+    for (const ticket of tickets) {
+        const reason = 'Automatically closed after the reopen window expired';
+        transitionStatus(ticket, 'CLOSED', { role: 'SYSTEM', reason, now });
+        await ticket.save();
+        
+        publish(TICKET_EVENTS.STATUS_CHANGED, {
+            ticket,
+            from: 'RESOLVED',
+            to: 'CLOSED',
+            reason,
+            actor: { role: 'SYSTEM' }
+        });
+    }
+    
+    return tickets.length;
+};
+
+const startAutoCloseJob = () => {
+    const run = () => closeExpiredResolvedTickets()
+        .then(count => {
+            if (count > 0) console.log(`Auto-closed ${count} resolved ticket(s)`);
+        })
+        .catch(err => console.error('Auto-close job error:', err));
+    
+    const timer = setInterval(run, config.autoCloseIntervalMinutes * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { closeExpiredResolvedTickets, startAutoCloseJob };
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/inbound');
+const { AppError } = require('../services/errors');
+const { ingest } = require('../services/inbound');
+
+// Maildir delivery: the MTA writes each message to tmp/ and moves it to new/.
+// Handled messages are moved to cur/ with the Seen flag (Trashed as well when
+// the message could not be read), so nothing is processed twice. Messages
+// that failed for a reason that may pass (no agents, database down) stay in
+// new/ for the next run.
+const pollMaildir = async (dir = config.maildir) => {
+    await Promise.all(['tmp', 'new', 'cur'].map(sub => fs.promises.mkdir(path.join(dir, sub), { recursive: true })));
+    
+    const names = (await fs.promises.readdir(path.join(dir, 'new'))).filter(name => !name.startsWith('.')).sort();
+    const counts = { processed: 0, failed: 0 };
+    
+    for (const name of names) {
+        const file = path.join(dir, 'new', name);
+        let flags = 'S';
+        
+        try {
+            const result = await ingest(await fs.promises.readFile(file), { channel: 'MAILDIR' });
+            console.log(`Inbound mail ${name}: ${result.outcome}${result.reason ? ` (${result.reason})` : ''}`);
+        } catch (error) {
+            if (!(error instanceof AppError && error.statusCode < 500)) {
+                console.error(`Inbound mail ${name} failed, will retry:`, error);
+                counts.failed += 1;
+                continue;
+            }
+            console.error(`Inbound mail ${name} rejected: ${error.message}`);
+            flags = 'ST';
+        }
+        
+        await fs.promises.rename(file, path.join(dir, 'cur', `${name}:2,${flags}`));
+        counts.processed += 1;
+    }
+    
+    return counts;
+};
+
+// Returns null when no maildir is configured
+const startInboundMailPoller = () => {
+    if (!config.maildir) return null;
+    
+    let running = false;
+    const run = () => {
+        // A slow run (many or large messages) must not overlap the next one
+        if (running) return;
+        running = true;
+        pollMaildir()
+            .catch(err => console.error('Inbound mail poller error:', err))
+            .finally(() => {
+                running = false;
+            });
+    };
+    
+    const timer = setInterval(run, config.pollIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { pollMaildir, startInboundMailPoller };
@@ -0,0 +1,36 @@
+const Ticket = require('../models/Ticket');
+const config = require('../config/sla');
+const sla = require('../services/sla');
+
+// Re-evaluate running tickets and persist any AT_RISK/BREACHED changes
+const checkSlaStates = async (now = new Date()) => {
+    const cursor = Ticket.find({
+        status: { $in: ['OPEN', 'IN_PROGRESS'] },
+        'sla.resolutionDueAt': { $exists: true },
+        'sla.resolutionBreached': { $ne: true }
+    }).cursor();
+    
+    let changed = 0;
+    for await (const ticket of cursor) {
+        if (sla.evaluate(ticket, now)) {
+            await ticket.save();
+            changed += 1;
+        }
+    }
+    
+    return changed;
+};
+
+const startSlaMonitor = () => {
+    const run = () => checkSlaStates()
+        .then(count => {
+            if (count > 0) console.log(`SLA monitor updated ${count} ticket(s)`);
+        })
+        .catch(err => console.error('SLA monitor error:', err));
+    
+    const timer = setInterval(run, config.checkIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { checkSlaStates, startSlaMonitor };
@@ -0,0 +1,26 @@
+const config = require('../config/webhooks');
+const { processDueDeliveries } = require('../services/webhooks');
+
+// Retry webhook deliveries whose backoff has passed
+const startWebhookDispatcher = () => {
+    let running = false;
+    const run = () => {
+        // Slow receivers must not make runs overlap
+        if (running) return;
+        running = true;
+        processDueDeliveries()
+            .then(count => {
+                if (count > 0) console.log(`Retried ${count} webhook deliver${count === 1 ? 'y' : 'ies'}`);
+            })
+            .catch(err => console.error('Webhook dispatcher error:', err))
+            .finally(() => {
+                running = false;
+            });
+    };
+    
+    const timer = setInterval(run, config.pollIntervalSeconds * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = { startWebhookDispatcher };
@@ -1,52 +1,62 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/authService');
+const { ForbiddenError, UnauthorizedError } = require('../services/errors');
 
 const auth = async (req, res, next) => {
-    try {
-        // Get token from header
-        const authHeader = req.header('Authorization');
-        
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({ 
-                success: false,
-                error: 'Access denied. No token provided.' 
-            });
+    // Get token from header
+    const authHeader = req.header('Authorization');
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new UnauthorizedError('Access denied. No token provided.', 'TOKEN_MISSING');
+    }
+    
+    const token = authHeader.replace('Bearer ', '');
+    
+    // Verify token, session and account status (throws AuthError)
+    req.user = await verifyAccessToken(token);
+    
+    next();
+};
+
+const ROLE_PERMISSIONS = require('../config/permissions');
+
+const hasPermission = (role, permission) => {
+    const granted = ROLE_PERMISSIONS[role] || [];
+    return granted.includes('*') || granted.includes(permission);
+};
+
+// Role-based middleware, e.g. requireRole('AGENT') or requireRole('AGENT', 'ADMIN')
+const requireRole = (...roles) => {
+    const allowed = roles.flat();
+    
+    return (req, res, next) => {
+        if (!req.user) {
+            throw new UnauthorizedError();
         }
         
-        const token = authHeader.replace('Bearer ', '');
-        
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || process.env.SECRET_CODE);
+        if (!allowed.includes(req.user.role)) {
+            throw new ForbiddenError(`Access denied. ${allowed.join(' or ')} role required.`, 'ROLE_REQUIRED');
+        }
         
-        // Attach user to request
-        req.user = decoded;
         next();
-    } catch (error) {
-        return res.status(401).json({ 
-            success: false,
-            error: 'Invalid or expired token' 
-        });
-    }
+    };
 };
 
-// Role-based middleware
-const requireRole = (role) => {
+// Permission-based middleware; every listed permission is required
+const requirePermission = (...permissions) => {
+    const required = permissions.flat();
+    
     return (req, res, next) => {
         if (!req.user) {
-            return res.status(401).json({ 
-                success: false,
-                error: 'Authentication required' 
-            });
+            throw new UnauthorizedError();
         }
         
-        if (req.user.role !== role) {
-            return res.status(403).json({ 
-                success: false,
-                error: `Access denied. ${role} role required.` 
-            });
+        const missing = required.filter(permission => !hasPermission(req.user.role, permission));
+        if (missing.length > 0) {
+            throw new ForbiddenError(`Access denied. Missing permission: ${missing.join(', ')}`, 'PERMISSION_REQUIRED');
         }
         
         next();
     };
 };
 
-module.exports = { auth, requireRole };
\ No newline at end of file
+module.exports = { auth, requireRole, requirePermission, hasPermission };
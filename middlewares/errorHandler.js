@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { AppError } = require('../services/errors');
+
+// Turn any error into { statusCode, body } following the documented envelope:
+// { success: false, error: 'Human readable message', code: 'MACHINE_CODE', details? }
+const toResponse = (err) => {
+    if (err instanceof AppError) {
+        return {
+            statusCode: err.statusCode,
+            body: { success: false, error: err.message, code: err.code, details: err.details }
+        };
+    }
+    
+    if (err instanceof mongoose.Error.ValidationError) {
+        return {
+            statusCode: 400,
+            body: {
+                success: false,
+                error: 'Validation failed',
+                code: 'VALIDATION_FAILED',
+                details: Object.values(err.errors).map(item => ({
+                    location: 'body',
+                    path: item.path,
+                    message: item.message
+                }))
+            }
+        };
+    }
+    
+    if (err instanceof mongoose.Error.CastError) {
+        const isId = err.kind === 'ObjectId';
+        return {
+            statusCode: 400,
+            body: {
+                success: false,
+                error: isId ? `Invalid id: ${err.value}` : `Invalid value for ${err.path}`,
+                code: isId ? 'INVALID_ID' : 'INVALID_VALUE',
+                details: [{ path: err.path, message: err.message }]
+            }
+        };
+    }
+    
+    // Unique index violation
+    if (err && err.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {});
+        return {
+            statusCode: 409,
+            body: {
+                success: false,
+                error: fields.length > 0 ? `${fields.join(', ')} already exists` : 'Duplicate value',
+                code: 'DUPLICATE_KEY',
+                details: fields.map(path => ({ path, message: `${path} must be unique` }))
+            }
+        };
+    }
+    
+    // Errors raised by express.json()
+    if (err && err.type === 'entity.parse.failed') {
+        return {
+            statusCode: 400,
+            body: { success: false, error: 'Malformed JSON body', code: 'INVALID_JSON' }
+        };
+    }
+    if (err && err.type === 'entity.too.large') {
+        return {
+            statusCode: 413,
+            body: { success: false, error: 'Request body too large', code: 'PAYLOAD_TOO_LARGE' }
+        };
+    }
+    if (err && Number.isInteger(err.status) && err.status >= 400 && err.status < 500) {
+        return {
+            statusCode: err.status,
+            body: { success: false, error: err.message, code: 'BAD_REQUEST' }
+        };
+    }
+    
+    return {
+        statusCode: 500,
+        body: { success: false, error: 'Internal server error', code: 'INTERNAL_ERROR' }
+    };
+};
+
+// Unknown routes
+const notFoundHandler = (req, res) => {
+    res.status(404).json({ 
+        success: false,
+        error: `Route ${req.method} ${req.path} not found`,
+        code: 'ROUTE_NOT_FOUND' 
+    });
+};
+
+// Single error middleware; register after every router. Express recognises
+// error middleware by its four arguments, so `next` stays in the signature.
+const errorHandler = (err, req, res, next) => {
+    const { statusCode, body } = toResponse(err);
+    
+    if (statusCode >= 500) {
+        console.error(`${req.method} ${req.originalUrl} error:`, err);
+    }
+    
+    // Streaming responses (CSV, SSE) can only be cut short
+    if (res.headersSent) {
+        return res.destroy();
+    }
+    
+    if (err && err.retryAfter !== undefined) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+    
+    res.status(statusCode).json(body);
+};
+
+module.exports = { errorHandler, notFoundHandler, toResponse };
@@ -0,0 +1,20 @@
+// Paths served before the routers were split up. They are rewritten to
+// their current location so old clients keep working.
+const LEGACY_PATHS = {
+    'POST /api/register': '/api/auth/register',
+    'POST /api/login': '/api/auth/login',
+    'GET /api/me': '/api/users/me',
+    'POST /users/signup': '/api/auth/register',
+    'POST /users/login': '/api/auth/login'
+};
+
+const legacyPaths = (req, res, next) => {
+    const target = LEGACY_PATHS[`${req.method} ${req.path}`];
+    if (target) {
+        const query = req.url.indexOf('?');
+        req.url = query === -1 ? target : target + req.url.slice(query);
+    }
+    next();
+};
+
+module.exports = { LEGACY_PATHS, legacyPaths };
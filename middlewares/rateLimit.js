@@ -0,0 +1,28 @@
+const config = require('../config/rateLimit');
+const { consume } = require('../services/rateLimit');
+const { TooManyRequestsError } = require('../services/errors');
+
+// Limit requests per key, e.g.
+// rateLimit({ name: 'login', limit: 20, windowMinutes: 15, key: req => req.ip }).
+// Sends RateLimit-Limit / -Remaining / -Reset headers and answers 429 with
+// Retry-After once the limit is used up. A null key skips the limit.
+const rateLimit = ({ name, limit, windowMinutes, key = req => req.ip, message }) => async (req, res, next) => {
+    const id = config.enabled ? key(req) : null;
+    if (id === null || id === undefined) return next();
+    
+    const result = await consume(`${name}:${id}`, { limit, windowMs: windowMinutes * 60 * 1000 });
+    
+    res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(result.retryAfter)
+    });
+    
+    if (!result.allowed) {
+        throw new TooManyRequestsError(message || 'Too many requests, please try again later', 'RATE_LIMITED', result.retryAfter);
+    }
+    
+    next();
+};
+
+module.exports = { rateLimit };
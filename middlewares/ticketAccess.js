@@ -0,0 +1,25 @@
+const Ticket = require('../models/Ticket');
+const { ForbiddenError, NotFoundError } = require('../services/errors');
+
+// Load :id ticket and allow only its customer, assigned agent or an admin through.
+// The ticket is attached to req.ticket for the next handlers.
+// Expects :id to have been validated (validators/common.js idParams).
+const requireTicketParticipant = async (req, res, next) => {
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    const userId = req.user.userId.toString();
+    const isCustomer = ticket.customer.toString() === userId;
+    const isAgent = ticket.assignedAgent && ticket.assignedAgent.toString() === userId;
+    
+    if (!isCustomer && !isAgent && req.user.role !== 'ADMIN') {
+        throw new ForbiddenError('Access denied. You are not a participant of this ticket.', 'NOT_TICKET_PARTICIPANT');
+    }
+    
+    req.ticket = ticket;
+    next();
+};
+
+module.exports = { requireTicketParticipant };
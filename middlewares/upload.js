@@ -0,0 +1,43 @@
+const multer = require('multer');
+const config = require('../config/uploads');
+const { BadRequestError, PayloadTooLargeError } = require('../services/errors');
+
+// Files are buffered in memory (bounded by the size limit) and then handed to
+// the storage backend, so the backend never depends on multer.
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.floor(config.maxFileSizeMB * 1024 * 1024),
+        files: config.maxFiles
+    },
+    fileFilter: (req, file, cb) => {
+        if (!config.allowedMimeTypes.includes(file.mimetype)) {
+            const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+            error.message = `File type ${file.mimetype} is not allowed`;
+            return cb(error);
+        }
+        cb(null, true);
+    }
+});
+
+// Accept up to maxFiles files in the "files" field of a multipart body.
+// JSON requests pass straight through.
+const uploadFiles = (req, res, next) => {
+    upload.array('files', config.maxFiles)(req, res, (err) => {
+        if (!err) return next();
+        
+        if (err instanceof multer.MulterError) {
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return next(new PayloadTooLargeError(`File too large. Maximum size is ${config.maxFileSizeMB} MB`, 'FILE_TOO_LARGE'));
+            }
+            if (err.code === 'LIMIT_FILE_COUNT') {
+                return next(new BadRequestError(`Too many files. Maximum is ${config.maxFiles}`, 'TOO_MANY_FILES'));
+            }
+            return next(new BadRequestError(err.message, 'INVALID_UPLOAD'));
+        }
+        
+        next(err);
+    });
+};
+
+module.exports = { uploadFiles };
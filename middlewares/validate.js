@@ -0,0 +1,47 @@
+const { ValidationError } = require('../services/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+const issueDetails = (location, error) => error.issues.map(issue => ({
+    location,
+    path: issue.path.join('.'),
+    message: issue.message
+}));
+
+// Validate req.params / req.query / req.body against zod schemas, e.g.
+// validate({ params: idParams, body: createTicketBody }).
+// Parsed query and body values (with coercions and defaults applied) replace
+// the raw ones; params are only checked because Express resets them per layer.
+const validate = (schemas) => (req, res, next) => {
+    const details = [];
+    
+    for (const location of LOCATIONS) {
+        const schema = schemas[location];
+        if (!schema) continue;
+        
+        const input = location === 'body' ? (req.body || {}) : req[location];
+        const result = schema.safeParse(input);
+        
+        if (!result.success) {
+            details.push(...issueDetails(location, result.error));
+        } else if (location === 'query') {
+            // req.query is a getter in Express 5
+            Object.defineProperty(req, 'query', {
+                value: result.data,
+                writable: true,
+                configurable: true,
+                enumerable: true
+            });
+        } else if (location === 'body') {
+            req.body = result.data;
+        }
+    }
+    
+    if (details.length > 0) {
+        return next(new ValidationError('Request validation failed', details));
+    }
+    
+    next();
+};
+
+module.exports = { validate };
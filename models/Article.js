@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Copy of one version that readers see; editing the article does not change
+// it until the article is published again
+const publishedSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    summary: {
+        type: String
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String
+    },
+    publishedAt: {
+        type: Date,
+        required: true
+    },
+    publishedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
+// Knowledge base article (services/kb). Title, summary, body and category
+// are the latest draft; every change is kept in models/ArticleVersion.js.
+const articleSchema = new mongoose.Schema({
+    // Public URL part, fixed once created
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true,
+        immutable: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    summary: {
+        type: String,
+        trim: true
+    },
+    // Markdown
+    body: {
+        type: String,
+        required: true
+    },
+    // Slug of a Category (models/Category.js)
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    // PUBLISHED while `published` holds a version readers can see
+    status: {
+        type: String,
+        enum: ['DRAFT', 'PUBLISHED'],
+        default: 'DRAFT'
+    },
+    // Latest version number (1 on creation)
+    version: {
+        type: Number,
+        default: 1
+    },
+    published: {
+        type: publishedSchema,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    views: {
+        type: Number,
+        default: 0
+    },
+    // Suggestions customers confirmed this article answered
+    deflections: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Full-text search over what readers see
+articleSchema.index(
+    { 'published.title': 'text', 'published.summary': 'text', 'published.body': 'text' },
+    { name: 'article_search', weights: { 'published.title': 10, 'published.summary': 4, 'published.body': 1 } }
+);
+articleSchema.index({ status: 1, 'published.category': 1, 'published.publishedAt': -1 });
+
+module.exports = mongoose.model('Article', articleSchema);
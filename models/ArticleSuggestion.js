@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Articles suggested to a customer drafting a ticket, and what happened
+// next (services/kb/suggestions.js):
+// - ANSWERED: the customer said an article answered their question
+// - TICKET_CREATED: they opened a ticket within the deflection window
+// - PENDING: neither (yet); past the window it counts as deflected when
+//   articles were suggested
+const articleSuggestionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The draft issueDetails, shortened
+    query: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String
+    },
+    articles: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+    }],
+    // Suggested articles the customer opened
+    viewedArticles: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+    }],
+    outcome: {
+        type: String,
+        enum: ['PENDING', 'ANSWERED', 'TICKET_CREATED'],
+        default: 'PENDING'
+    },
+    answeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article'
+    },
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+    },
+    resolvedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+articleSuggestionSchema.index({ user: 1, outcome: 1, createdAt: -1 });
+articleSuggestionSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('ArticleSuggestion', articleSuggestionSchema);
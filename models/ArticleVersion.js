@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One saved state of an article (version 1 is the article as created)
+const articleVersionSchema = new mongoose.Schema({
+    article: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    summary: {
+        type: String
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String
+    },
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // e.g. "Restored version 2"
+    note: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+articleVersionSchema.index({ article: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ArticleVersion', articleVersionSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const attachmentSchema = new mongoose.Schema({
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true,
+        index: true
+    },
+    // Set when the file was sent with a reply rather than the ticket itself
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    // Copied from the message so customers can be kept away from internal files
+    internal: {
+        type: Boolean,
+        default: false
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    originalName: {
+        type: String,
+        required: true
+    },
+    mimeType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    storageDriver: {
+        type: String,
+        required: true
+    },
+    storageKey: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Storage details are internal
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storageDriver;
+        delete ret.storageKey;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
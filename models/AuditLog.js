@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail (services/audit.js). Each entry stores the hash of
+// the previous one, so editing or deleting an entry breaks the chain.
+const auditLogSchema = new mongoose.Schema({
+    // Position in the hash chain, 1-based and gapless
+    seq: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    at: {
+        type: Date,
+        required: true
+    },
+    // null for anonymous requests (e.g. a failed login)
+    actor: {
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        role: {
+            type: String
+        }
+    },
+    // e.g. 'auth.login', 'ticket.status_changed', 'user.role_changed'
+    action: {
+        type: String,
+        required: true
+    },
+    target: {
+        type: {
+            type: String
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId
+        }
+    },
+    outcome: {
+        type: String,
+        enum: ['SUCCESS', 'FAILURE'],
+        default: 'SUCCESS'
+    },
+    // [{ field, from, to }]
+    changes: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, {
+    minimize: false
+});
+
+auditLogSchema.index({ at: -1 });
+auditLogSchema.index({ 'actor.id': 1, at: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, at: -1 });
+auditLogSchema.index({ action: 1, at: -1 });
+
+// Entries are only ever inserted
+const refuse = function() {
+    throw new Error('Audit log entries cannot be modified or deleted');
+};
+
+for (const operation of ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete']) {
+    auditLogSchema.pre(operation, refuse);
+}
+
+auditLogSchema.pre('save', function() {
+    if (!this.isNew) {
+        refuse();
+    }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
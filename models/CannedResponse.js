@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Reusable reply text with {{placeholders}} (services/placeholders.js).
+// SHARED responses are visible to every agent and managed by admins;
+// PERSONAL ones belong to their owner alone.
+const cannedResponseSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    scope: {
+        type: String,
+        enum: ['SHARED', 'PERSONAL'],
+        required: true
+    },
+    // Set for PERSONAL responses only
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+cannedResponseSchema.index({ scope: 1, owner: 1, title: 1 });
+
+module.exports = mongoose.model('CannedResponse', cannedResponseSchema);
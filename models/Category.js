@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Admin-managed ticket category. Tickets store the slug in `category`, which
+// is also what teams route on (models/Team.js).
+const categorySchema = new mongoose.Schema({
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Retired categories stay on old tickets but cannot be chosen for new ones
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Named monotonically increasing sequences
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+counterSchema.statics.next = async function(name) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Admin-defined ticket field. Values live in Ticket.customFields under `key`
+// and are checked by services/ticketFields.js.
+const customFieldSchema = new mongoose.Schema({
+    // Fixed once created, like the type, so stored values keep their meaning
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        immutable: true
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['TEXT', 'NUMBER', 'SELECT', 'DATE'],
+        required: true,
+        immutable: true
+    },
+    // Allowed values of a SELECT field
+    options: [{
+        type: String,
+        trim: true
+    }],
+    // Must be filled in when a ticket is created, and cannot be cleared later
+    required: {
+        type: Boolean,
+        default: false
+    },
+    // Inactive fields keep their values but are no longer accepted
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
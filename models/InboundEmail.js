@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One record per inbound email handled by services/inbound. The unique
+// Message-ID stops a message delivered twice (webhook retries, a maildir
+// file seen again) from creating a second ticket or reply.
+const inboundEmailSchema = new mongoose.Schema({
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    channel: {
+        type: String,
+        enum: ['MAILDIR', 'WEBHOOK'],
+        required: true
+    },
+    from: {
+        type: String,
+        lowercase: true
+    },
+    subject: {
+        type: String
+    },
+    outcome: {
+        type: String,
+        // PROCESSING until the message has been handled
+        enum: ['PROCESSING', 'TICKET_CREATED', 'REPLY_ADDED', 'IGNORED', 'REJECTED'],
+        required: true
+    },
+    // Why the message was ignored or rejected, e.g. BOUNCE, AUTO_REPLY, SENDER_MISMATCH
+    reason: {
+        type: String
+    },
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+    },
+    message: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message'
+    },
+    // Files left out because of their type or size
+    skippedAttachments: [{
+        type: String
+    }]
+}, {
+    timestamps: true
+});
+
+inboundEmailSchema.index({ ticket: 1 });
+inboundEmailSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('InboundEmail', inboundEmailSchema);
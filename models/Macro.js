@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../services/ticketStatus');
+
+// Reply posted by a macro; body is a template with {{placeholders}}
+const macroReplySchema = new mongoose.Schema({
+    body: {
+        type: String,
+        required: true
+    },
+    internal: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// Several ticket actions applied in one go (services/macros.js). Scope and
+// ownership work like canned responses.
+const macroSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    scope: {
+        type: String,
+        enum: ['SHARED', 'PERSONAL'],
+        required: true
+    },
+    // Set for PERSONAL macros only
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Applied in this order: reply, tags, status
+    actions: {
+        reply: {
+            type: macroReplySchema,
+            default: null
+        },
+        addTags: [{
+            type: String,
+            trim: true,
+            lowercase: true
+        }],
+        status: {
+            type: String,
+            enum: STATUSES
+        },
+        statusReason: {
+            type: String,
+            trim: true
+        }
+    }
+}, {
+    timestamps: true
+});
+
+macroSchema.index({ scope: 1, owner: 1, name: 1 });
+
+module.exports = mongoose.model('Macro', macroSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const messageSchema = new mongoose.Schema({
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true,
+        index: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    authorRole: {
+        type: String,
+        enum: ['CUSTOMER', 'AGENT', 'ADMIN'],
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Internal notes are only visible to agents and admins
+    internal: {
+        type: Boolean,
+        default: false
+    },
+    source: {
+        type: String,
+        enum: ['WEB', 'EMAIL'],
+        default: 'WEB'
+    },
+    editHistory: [{
+        body: {
+            type: String
+        },
+        editedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+messageSchema.index({ ticket: 1, createdAt: 1 });
+messageSchema.index({ body: 'text' });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// In-app notification shown to a single user
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Event that caused it, e.g. ticket.status_changed
+    type: {
+        type: String,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String
+    },
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+    },
+    readAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ user: 1, readAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Counter used by the mongo rate limit store (services/rateLimit/mongoStore.js).
+// MongoDB removes it once its window is over.
+const rateLimitSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+});
+
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
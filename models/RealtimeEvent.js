@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const config = require('../config/realtime');
+
+// Events pushed to connected clients, kept for a while so reconnecting
+// clients can replay what they missed (SSE Last-Event-ID)
+const realtimeEventSchema = new mongoose.Schema({
+    seq: {
+        type: Number,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+    },
+    // Users allowed to receive the event
+    audience: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Roles that receive it regardless of audience (e.g. ADMIN)
+    roles: [{
+        type: String
+    }],
+    data: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: config.retentionHours * 60 * 60
+    }
+});
+
+realtimeEventSchema.index({ audience: 1, seq: 1 });
+
+module.exports = mongoose.model('RealtimeEvent', realtimeEventSchema);
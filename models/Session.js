@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One session per login (device). The refresh token rotates on every use;
+// only hashes are stored.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hashes of already rotated tokens; seeing one again means the token leaked
+    previousTokenHashes: [{
+        type: String
+    }],
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    revokedReason: {
+        type: String
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB drop sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.refreshTokenHash;
+        delete ret.previousTokenHashes;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
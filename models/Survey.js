@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// One customer satisfaction survey per resolution of a ticket
+const surveySchema = new mongoose.Schema({
+    ticket: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true
+    },
+    customer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Agent who resolved the ticket; the rating is credited to them
+    agent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    priority: {
+        type: String
+    },
+    // Identifies the resolution this survey belongs to
+    resolvedAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['PENDING', 'ANSWERED', 'CANCELLED'],
+        default: 'PENDING'
+    },
+    rating: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    comment: {
+        type: String,
+        trim: true,
+        maxlength: 2000
+    },
+    answeredAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Set when the ticket is reopened after this survey was answered
+    reopenedAt: {
+        type: Date
+    },
+    // Set when a later survey on the same ticket is answered; superseded
+    // ratings no longer count towards CSAT
+    supersededAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+surveySchema.index({ ticket: 1, resolvedAt: 1 }, { unique: true });
+surveySchema.index({ status: 1, answeredAt: -1 });
+surveySchema.index({ agent: 1, answeredAt: -1 });
+
+module.exports = mongoose.model('Survey', surveySchema);
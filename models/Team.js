@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Group of agents with a shared queue (e.g. Billing, Technical).
+// Tickets whose category is listed here land in the team's queue.
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    categories: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+teamSchema.index({ categories: 1 });
+
+module.exports = mongoose.model('Team', teamSchema);
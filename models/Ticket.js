@@ -1,31 +1,213 @@
 const mongoose = require('mongoose');
 
+// Transfer proposed by the current agent, waiting for the receiving agent
+const transferRequestSchema = new mongoose.Schema({
+    toAgent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    kind: {
+        type: String,
+        enum: ['LATERAL', 'ESCALATION']
+    },
+    requestedAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date
+    }
+}, { _id: false });
+
 const ticketSchema = new mongoose.Schema({
     customer: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Empty while the ticket waits in a team queue
     assignedAgent: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true
+        default: null
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team',
+        default: null
+    },
+    // Slug of a Category (models/Category.js), checked by services/ticketFields.js
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    // Free-form labels (e.g. added by macros)
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    // Values of admin-defined fields (models/CustomField.js) by field key,
+    // typed and checked by services/ticketFields.js
+    customFields: {
+        type: Map,
+        of: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    claimedAt: {
+        type: Date
     },
     issueDetails: {
         type: String,
         required: true,
         trim: true
     },
+    // Where the ticket came from (EMAIL: services/inbound)
+    source: {
+        type: String,
+        enum: ['WEB', 'EMAIL'],
+        default: 'WEB'
+    },
+    requiredSkills: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
     status: {
         type: String,
-        enum: ['OPEN', 'IN_PROGRESS', 'RESOLVED', 'CLOSED'],
+        enum: ['OPEN', 'IN_PROGRESS', 'WAITING_ON_CUSTOMER', 'RESOLVED', 'CLOSED'],
         default: 'OPEN'
     },
+    priority: {
+        type: String,
+        enum: ['LOW', 'MEDIUM', 'HIGH', 'URGENT'],
+        default: 'MEDIUM'
+    },
+    // Numeric mirror of priority so lists can sort by it (LOW=1 ... URGENT=4)
+    priorityRank: {
+        type: Number,
+        default: 2
+    },
+    sla: {
+        policy: {
+            type: String
+        },
+        firstResponseTargetMinutes: {
+            type: Number
+        },
+        resolutionTargetMinutes: {
+            type: Number
+        },
+        firstResponseDueAt: {
+            type: Date
+        },
+        resolutionDueAt: {
+            type: Date
+        },
+        firstRespondedAt: {
+            type: Date
+        },
+        // Set while the clock is stopped (waiting on customer, resolved, closed)
+        pausedAt: {
+            type: Date
+        },
+        pausedMs: {
+            type: Number,
+            default: 0
+        },
+        state: {
+            type: String,
+            enum: ['OK', 'AT_RISK', 'BREACHED'],
+            default: 'OK'
+        },
+        firstResponseBreached: {
+            type: Boolean,
+            default: false
+        },
+        resolutionBreached: {
+            type: Boolean,
+            default: false
+        },
+        breachedAt: {
+            type: Date
+        }
+    },
+    statusHistory: [{
+        from: {
+            type: String
+        },
+        to: {
+            type: String
+        },
+        // Empty for transitions made by the system (e.g. auto-close)
+        actor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        actorRole: {
+            type: String,
+            enum: ['CUSTOMER', 'AGENT', 'SYSTEM']
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    resolvedAt: {
+        type: Date
+    },
+    closedAt: {
+        type: Date
+    },
+    // Latest answered satisfaction survey (see models/Survey.js)
+    csat: {
+        survey: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Survey'
+        },
+        rating: {
+            type: Number,
+            min: 1,
+            max: 5
+        },
+        comment: {
+            type: String
+        },
+        ratedAt: {
+            type: Date
+        },
+        // The customer reopened the ticket after rating it
+        reopenedAt: {
+            type: Date
+        }
+    },
+    // Lateral moves; the limit lives in config/reassignment.js
     reassignmentCount: {
         type: Number,
         default: 0,
-        min: 0,
-        max: 1 
+        min: 0
+    },
+    // Moves to a higher support tier
+    escalationCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    pendingTransfer: {
+        type: transferRequestSchema,
+        default: null
     },
     reassignmentHistory: [{
         fromAgent: {
@@ -36,6 +218,30 @@ const ticketSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        // Who performed the reassignment when it was not the previous agent
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: {
+            type: String,
+            trim: true
+        },
+        kind: {
+            type: String,
+            enum: ['LATERAL', 'ESCALATION']
+        },
+        // REASSIGNED = direct move, the rest are transfer request decisions
+        outcome: {
+            type: String,
+            enum: ['REASSIGNED', 'ACCEPTED', 'DECLINED', 'CANCELLED', 'EXPIRED', 'FORCED'],
+            default: 'REASSIGNED'
+        },
+        // Admin override of the reassignment limit
+        forced: {
+            type: Boolean,
+            default: false
+        },
         timestamp: {
             type: Date,
             default: Date.now
@@ -45,4 +251,22 @@ const ticketSchema = new mongoose.Schema({
     timestamps: true
 });
 
+const PRIORITY_RANKS = { LOW: 1, MEDIUM: 2, HIGH: 3, URGENT: 4 };
+
+ticketSchema.pre('validate', function() {
+    this.priorityRank = PRIORITY_RANKS[this.priority] || PRIORITY_RANKS.MEDIUM;
+});
+
+// List endpoints filter by owner and sort by date/priority; _id keeps cursors stable
+ticketSchema.index({ customer: 1, createdAt: -1, _id: -1 });
+ticketSchema.index({ assignedAgent: 1, createdAt: -1, _id: -1 });
+ticketSchema.index({ assignedAgent: 1, status: 1, priorityRank: -1 });
+ticketSchema.index({ status: 1, createdAt: -1 });
+ticketSchema.index({ priorityRank: -1, createdAt: -1 });
+ticketSchema.index({ 'sla.state': 1, status: 1 });
+ticketSchema.index({ 'pendingTransfer.toAgent': 1 });
+ticketSchema.index({ tags: 1 });
+ticketSchema.index({ team: 1, assignedAgent: 1, priorityRank: -1, createdAt: 1 });
+ticketSchema.index({ issueDetails: 'text' });
+
 module.exports = mongoose.model('Ticket', ticketSchema);
\ No newline at end of file
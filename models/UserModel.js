@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Channels a user wants for one kind of notification
+const channelPreferenceSchema = new mongoose.Schema({
+    email: {
+        type: Boolean,
+        default: true
+    },
+    inApp: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -15,7 +27,7 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['CUSTOMER', 'AGENT'],
+        enum: ['CUSTOMER', 'AGENT', 'ADMIN'],
         default: 'CUSTOMER'
     },
     age: {
@@ -27,6 +39,67 @@ const userSchema = new mongoose.Schema({
         required: true,
         minlength: 6
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // Deactivated users cannot log in and are never assigned tickets
+    active: {
+        type: Boolean,
+        default: true
+    },
+    deactivatedAt: {
+        type: Date
+    },
+    notificationPreferences: {
+        ticketCreated: {
+            type: channelPreferenceSchema,
+            default: () => ({})
+        },
+        statusChanged: {
+            type: channelPreferenceSchema,
+            default: () => ({})
+        },
+        reassigned: {
+            type: channelPreferenceSchema,
+            default: () => ({})
+        },
+        messageAdded: {
+            type: channelPreferenceSchema,
+            default: () => ({})
+        }
+    },
+    // Agent routing attributes (ignored for customers)
+    availability: {
+        type: String,
+        enum: ['ONLINE', 'AWAY', 'OFFLINE'],
+        default: 'ONLINE'
+    },
+    skills: [{
+        type: String,
+        trim: true,
+        lowercase: true
+    }],
+    teams: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    }],
+    // Support tier (1 = front line); moving a ticket to a higher tier is an escalation
+    tier: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    maxOpenTickets: {
+        type: Number,
+        min: 0
+    },
+    lastAssignedAt: {
+        type: Date
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -34,10 +107,9 @@ const userSchema = new mongoose.Schema({
 });
 
 // Hash password before saving
-userSchema.pre('save', async function(next) {
-    if (!this.isModified('password')) return next();
+userSchema.pre('save', async function() {
+    if (!this.isModified('password')) return;
     this.password = await bcrypt.hash(this.password, 10);
-    next();
 });
 
 // Compare password method
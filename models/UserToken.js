@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens for email verification and password reset.
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['EMAIL_VERIFICATION', 'PASSWORD_RESET'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
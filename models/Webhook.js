@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { TICKET_EVENTS } = require('../services/events');
+
+// An admin-registered URL that receives the selected ticket events
+// (services/webhooks)
+const webhookSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    events: [{
+        type: String,
+        enum: Object.values(TICKET_EVENTS)
+    }],
+    // HMAC key for the X-Webhook-Signature header. Only returned when the
+    // webhook is created or the secret is rotated.
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
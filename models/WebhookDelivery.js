@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// One event for one webhook. Doubles as the delivery queue (PENDING entries
+// whose nextAttemptAt has passed are sent by jobs/webhookDelivery.js) and as
+// the delivery log shown to admins.
+const attemptSchema = new mongoose.Schema({
+    at: {
+        type: Date,
+        required: true
+    },
+    // Absent when no response arrived (timeout, connection refused)
+    statusCode: {
+        type: Number
+    },
+    error: {
+        type: String
+    },
+    durationMs: {
+        type: Number
+    },
+    // First KB of the receiver's answer
+    responseBody: {
+        type: String
+    }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // The JSON body sent, identical on every attempt
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // DELIVERING while an attempt is in flight (until lockedUntil)
+    status: {
+        type: String,
+        enum: ['PENDING', 'DELIVERING', 'SUCCEEDED', 'FAILED'],
+        default: 'PENDING'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date
+    },
+    lockedUntil: {
+        type: Date
+    },
+    attemptLog: [attemptSchema],
+    deliveredAt: {
+        type: Date
+    },
+    // Set on copies made by the redeliver action
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
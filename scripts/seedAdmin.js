@@ -0,0 +1,52 @@
+// Create the first ADMIN account, or promote an existing user to ADMIN.
+//
+// Usage:
+//   npm run seed:admin -- --email admin@example.com --password secret123 --name "Admin"
+// ADMIN_EMAIL / ADMIN_PASSWORD / ADMIN_NAME env variables work as well.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+
+const readArg = (name) => {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+const main = async () => {
+    const email = readArg('email') || process.env.ADMIN_EMAIL;
+    const password = readArg('password') || process.env.ADMIN_PASSWORD;
+    const name = readArg('name') || process.env.ADMIN_NAME || 'Administrator';
+    
+    if (!email) {
+        throw new Error('An email is required (--email or ADMIN_EMAIL)');
+    }
+    
+    await mongoose.connect(process.env.DB_URL);
+    
+    const existing = await User.findOne({ email: email.toLowerCase() });
+    if (existing) {
+        existing.role = 'ADMIN';
+        existing.active = true;
+        existing.deactivatedAt = undefined;
+        if (password) existing.password = password;
+        await existing.save();
+        console.log(`Promoted ${existing.email} to ADMIN`);
+        return;
+    }
+    
+    if (!password || password.length < 6) {
+        throw new Error('A password of at least 6 characters is required (--password or ADMIN_PASSWORD)');
+    }
+    
+    const admin = new User({ name, email, password, role: 'ADMIN' });
+    await admin.save();
+    console.log(`Created ADMIN ${admin.email}`);
+};
+
+main()
+    .then(() => mongoose.disconnect())
+    .catch(async (err) => {
+        console.error('Seeding admin failed:', err.message);
+        await mongoose.disconnect();
+        process.exitCode = 1;
+    });
@@ -0,0 +1,68 @@
+const User = require('../models/UserModel');
+const config = require('../config/mail');
+const { consumeToken, createToken } = require('./accountTokens');
+const { sendTemplate } = require('./mailer');
+const { revokeAllSessions } = require('./authService');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+const sendVerificationEmail = async (user) => {
+    const token = await createToken(user._id, 'EMAIL_VERIFICATION', config.emailVerificationTtlHours * HOUR);
+    await sendTemplate('emailVerification', user.email, { name: user.name, token });
+};
+
+// Returns the verified user, or null when the token is invalid/expired/used
+const verifyEmail = async (token) => {
+    const record = await consumeToken(token, 'EMAIL_VERIFICATION');
+    if (!record) return null;
+    
+    return User.findByIdAndUpdate(
+        record.user,
+        { emailVerified: true, emailVerifiedAt: new Date() },
+        { new: true }
+    ).select('-password');
+};
+
+// Silently does nothing for unknown or inactive accounts so the endpoint
+// can't be used to discover registered emails. The email is not awaited:
+// its latency or a mail failure would tell real accounts apart.
+const requestPasswordReset = async (email) => {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (!user || user.active === false) return;
+    
+    const token = await createToken(user._id, 'PASSWORD_RESET', config.passwordResetTtlMinutes * MINUTE);
+    sendTemplate('passwordReset', user.email, { name: user.name, token })
+        .catch(err => console.error('Password reset email error:', err));
+};
+
+// Returns the updated user, or null when the token is invalid/expired/used
+const resetPassword = async (token, password) => {
+    const record = await consumeToken(token, 'PASSWORD_RESET');
+    if (!record) return null;
+    
+    const user = await User.findById(record.user);
+    if (!user || user.active === false) return null;
+    
+    user.password = password;
+    // Whoever received the reset email controls the address
+    if (!user.emailVerified) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    
+    await revokeAllSessions(user._id, 'password_reset');
+    
+    sendTemplate('passwordChanged', user.email, { name: user.name })
+        .catch(err => console.error('Password changed email error:', err));
+    
+    return user;
+};
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword,
+    sendVerificationEmail,
+    verifyEmail
+};
@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a token for the user, invalidating older unused ones of the same type.
+// Returns the raw token, which is only ever sent to the user.
+const createToken = async (userId, type, ttlMs) => {
+    await UserToken.deleteMany({ user: userId, type, usedAt: { $exists: false } });
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    await UserToken.create({
+        user: userId,
+        type,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMs)
+    });
+    return token;
+};
+
+// Atomically mark a valid token as used. Returns the token document or null.
+const consumeToken = (token, type) => {
+    if (!token || typeof token !== 'string') return null;
+    
+    return UserToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            type,
+            usedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+    );
+};
+
+module.exports = { consumeToken, createToken };
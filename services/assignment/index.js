@@ -0,0 +1,80 @@
+const User = require('../../models/UserModel');
+const Ticket = require('../../models/Ticket');
+const config = require('../../config/assignment');
+
+// Statuses that count towards an agent's workload
+const ACTIVE_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+// Strategy signature: (candidates, ticket) => candidate
+// candidate = { agent, openTickets, capacity }
+const strategies = {
+    'round-robin': require('./strategies/roundRobin'),
+    'least-open': require('./strategies/leastOpen'),
+    'skill-based': require('./strategies/skillBased')
+};
+
+const registerStrategy = (name, strategy) => {
+    strategies[name] = strategy;
+};
+
+// Map of agentId -> number of active tickets
+const getOpenTicketCounts = async (agentIds) => {
+    const rows = await Ticket.aggregate([
+        { $match: { assignedAgent: { $in: agentIds }, status: { $in: ACTIVE_STATUSES } } },
+        { $group: { _id: '$assignedAgent', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Agents that are not offline and still below their capacity.
+// ONLINE agents win; AWAY agents are only used when no ONLINE agent is free.
+const getCandidates = async () => {
+    const agents = await User.find({
+        role: 'AGENT',
+        active: { $ne: false },
+        availability: { $ne: 'OFFLINE' }
+    });
+    if (agents.length === 0) return [];
+
+    const counts = await getOpenTicketCounts(agents.map(agent => agent._id));
+
+    const withCapacity = agents
+        .map(agent => ({
+            agent,
+            openTickets: counts.get(agent._id.toString()) || 0,
+            capacity: agent.maxOpenTickets ?? config.defaultCapacity
+        }))
+        .filter(c => c.openTickets < c.capacity);
+
+    const online = withCapacity.filter(c => c.agent.availability === 'ONLINE');
+    if (online.length > 0) return online;
+
+    return config.allowAwayAgents
+        ? withCapacity.filter(c => c.agent.availability === 'AWAY')
+        : [];
+};
+
+// Choose an agent for a new ticket. Returns null when nobody can take it.
+const assignAgent = async (ticket = {}, options = {}) => {
+    const name = options.strategy || config.strategy;
+    const strategy = strategies[name];
+    if (!strategy) {
+        throw new Error(`Unknown assignment strategy: ${name}`);
+    }
+
+    const candidates = await getCandidates();
+    if (candidates.length === 0) return null;
+
+    const chosen = strategy(candidates, ticket);
+    if (!chosen) return null;
+
+    await User.updateOne({ _id: chosen.agent._id }, { lastAssignedAt: new Date() });
+    return chosen.agent;
+};
+
+module.exports = {
+    ACTIVE_STATUSES,
+    assignAgent,
+    getOpenTicketCounts,
+    registerStrategy
+};
@@ -0,0 +1,10 @@
+const roundRobin = require('./roundRobin');
+
+// Pick the agent with the fewest OPEN/IN_PROGRESS tickets.
+// Ties are broken round-robin so equally loaded agents take turns.
+const leastOpen = (candidates) => {
+    const lowest = Math.min(...candidates.map(c => c.openTickets));
+    return roundRobin(candidates.filter(c => c.openTickets === lowest));
+};
+
+module.exports = leastOpen;
@@ -0,0 +1,14 @@
+// Pick the agent who received a ticket least recently.
+// lastAssignedAt lives on the user document, so the rotation survives
+// restarts and is shared between server instances.
+const roundRobin = (candidates) => {
+    const sorted = [...candidates].sort((a, b) => {
+        const aTime = a.agent.lastAssignedAt ? a.agent.lastAssignedAt.getTime() : 0;
+        const bTime = b.agent.lastAssignedAt ? b.agent.lastAssignedAt.getTime() : 0;
+        if (aTime !== bTime) return aTime - bTime;
+        return a.agent._id.toString().localeCompare(b.agent._id.toString());
+    });
+    return sorted[0];
+};
+
+module.exports = roundRobin;
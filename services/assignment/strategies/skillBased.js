@@ -0,0 +1,20 @@
+const leastOpen = require('./leastOpen');
+
+// Pick the agent covering most of the ticket's required skills.
+// Falls back to least-open when the ticket has no skills or nobody matches.
+const skillBased = (candidates, ticket = {}) => {
+    const required = (ticket.requiredSkills || []).map(s => s.toLowerCase());
+    if (required.length === 0) return leastOpen(candidates);
+
+    const scored = candidates.map(c => ({
+        candidate: c,
+        score: required.filter(skill => (c.agent.skills || []).includes(skill)).length
+    }));
+
+    const best = Math.max(...scored.map(s => s.score));
+    if (best === 0) return leastOpen(candidates);
+
+    return leastOpen(scored.filter(s => s.score === best).map(s => s.candidate));
+};
+
+module.exports = skillBased;
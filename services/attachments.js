@@ -0,0 +1,39 @@
+const Attachment = require('../models/Attachment');
+const { getStorage } = require('./storage');
+
+// Store multer files and create their Attachment records.
+// If anything fails, files already written are removed again.
+const saveAttachments = async (files, { ticket, message, internal = false, uploadedBy }) => {
+    if (!files || files.length === 0) return [];
+    
+    const storage = getStorage();
+    const stored = [];
+    
+    try {
+        for (const file of files) {
+            const storageKey = await storage.save(file.buffer);
+            stored.push(storageKey);
+            
+            const attachment = new Attachment({
+                ticket,
+                message,
+                internal,
+                uploadedBy,
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size,
+                storageDriver: storage.name,
+                storageKey
+            });
+            await attachment.save();
+        }
+    } catch (error) {
+        await Promise.all(stored.map(key => storage.remove(key).catch(() => {})));
+        await Attachment.deleteMany({ storageKey: { $in: stored } });
+        throw error;
+    }
+    
+    return Attachment.find({ storageKey: { $in: stored } }).sort({ createdAt: 1 });
+};
+
+module.exports = { saveAttachments };
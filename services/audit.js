@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// Append-only, hash-chained audit trail of security and ticket actions.
+//
+// Every entry's hash covers its own fields plus the previous entry's hash,
+// so changing, removing or reordering entries is detected by verifyChain().
+// Entries are appended one at a time per process; the unique seq index
+// makes concurrent writers from other instances retry instead of forking
+// the chain.
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// Plain JSON, so what is hashed is exactly what MongoDB hands back later
+const plain = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Stable JSON: object keys sorted at every level
+const canonical = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+// The fields a hash covers, normalised the same way for new and stored entries
+const hashedFields = (entry) => ({
+    seq: entry.seq,
+    at: new Date(entry.at).toISOString(),
+    actor: entry.actor && entry.actor.id
+        ? { id: idOf(entry.actor.id), role: entry.actor.role || null }
+        : null,
+    action: entry.action,
+    target: entry.target && entry.target.type
+        ? { type: entry.target.type, id: idOf(entry.target.id) }
+        : null,
+    outcome: entry.outcome,
+    changes: entry.changes === undefined ? null : entry.changes,
+    metadata: entry.metadata === undefined ? null : entry.metadata,
+    ip: entry.ip || null,
+    userAgent: entry.userAgent || null,
+    prevHash: entry.prevHash
+});
+
+const hashEntry = (entry) => crypto
+    .createHash('sha256')
+    .update(canonical(hashedFields(entry)))
+    .digest('hex');
+
+// [{ field, from, to }] for the fields whose value differs
+const diff = (before, after, fields) => fields
+    .map(field => ({ field, from: plain(before[field]), to: plain(after[field]) }))
+    .filter(change => canonical(change.from) !== canonical(change.to));
+
+const insert = async (fields) => {
+    for (let attempt = 1; ; attempt++) {
+        const last = await AuditLog.findOne().sort({ seq: -1 }).select('seq hash').lean();
+        const entry = {
+            ...fields,
+            seq: last ? last.seq + 1 : 1,
+            prevHash: last ? last.hash : GENESIS_HASH
+        };
+        entry.hash = hashEntry(entry);
+    
+        try {
+            return await AuditLog.create(entry);
+        } catch (error) {
+            // Another instance took this seq; link to its entry instead
+            if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) throw error;
+        }
+    }
+};
+
+let queue = Promise.resolve();
+
+// Append an entry. actor: { id, role } or null; target: { type, id } or null.
+const record = ({ actor, action, target, outcome = 'SUCCESS', changes, metadata, ip, userAgent }) => {
+    const fields = {
+        at: new Date(),
+        actor: actor && actor.id ? { id: idOf(actor.id), role: actor.role } : null,
+        action,
+        target: target && target.type ? { type: target.type, id: idOf(target.id) } : null,
+        outcome,
+        changes: changes === undefined ? null : plain(changes),
+        metadata: metadata === undefined ? null : plain(metadata),
+        ip,
+        userAgent
+    };
+    
+    const appended = queue.catch(() => {}).then(() => insert(fields));
+    queue = appended;
+    return appended;
+};
+
+// Record an action taken in a request: actor, IP and user agent come from req
+const audit = (req, entry) => record({
+    actor: req.user ? { id: req.user.userId, role: req.user.role } : null,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...entry
+});
+
+// Record a ticket list read: one entry per request, naming the tickets shown
+const auditListing = (req, tickets) => audit(req, {
+    action: 'ticket.listed',
+    metadata: { tickets: tickets.map(ticket => ticket._id), query: req.query }
+});
+
+// Walk the chain in seq order and recompute every hash.
+// Returns { valid, checked, brokenAt?, reason? }.
+const verifyChain = async () => {
+    let expectedSeq = 1;
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+    
+    const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+    for await (const entry of cursor) {
+        const broken = (reason) => ({ valid: false, checked, brokenAt: entry.seq, reason });
+    
+        if (entry.seq !== expectedSeq) {
+            await cursor.close();
+            return broken(`Expected entry ${expectedSeq}, found ${entry.seq}`);
+        }
+        if (entry.prevHash !== prevHash) {
+            await cursor.close();
+            return broken('Entry does not link to the previous entry');
+        }
+        if (hashEntry(entry) !== entry.hash) {
+            await cursor.close();
+            return broken('Entry contents do not match its hash');
+        }
+    
+        prevHash = entry.hash;
+        expectedSeq++;
+        checked++;
+    }
+    
+    return { valid: true, checked };
+};
+
+module.exports = {
+    GENESIS_HASH,
+    audit,
+    auditListing,
+    diff,
+    hashEntry,
+    record,
+    verifyChain
+};
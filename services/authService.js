@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/UserModel');
+const config = require('../config/auth');
+const { AppError } = require('./errors');
+
+class AuthError extends AppError {
+    constructor(message, statusCode = 401, code = 'INVALID_TOKEN') {
+        super(message, { statusCode, code });
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>" so the session can be found
+// without storing the secret itself
+const newRefreshSecret = () => crypto.randomBytes(48).toString('base64url');
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+        throw new AuthError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    return { sessionId, secret };
+};
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user._id,
+        email: user.email,
+        role: user.role,
+        name: user.name,
+        sid: sessionId
+    },
+    config.jwtSecret,
+    { expiresIn: config.accessTokenTtl }
+);
+
+const refreshExpiry = () => new Date(Date.now() + config.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+// Start a new session for a freshly authenticated user
+const issueTokens = async (user, { ip, userAgent } = {}) => {
+    const secret = newRefreshSecret();
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: hashToken(secret),
+        expiresAt: refreshExpiry(),
+        lastUsedAt: new Date(),
+        ip,
+        userAgent
+    });
+    await session.save();
+    
+    return {
+        accessToken: signAccessToken(user, session._id),
+        refreshToken: `${session._id}.${secret}`,
+        expiresIn: config.accessTokenTtl
+    };
+};
+
+const revokeSession = async (sessionId, reason) => {
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+const revokeAllSessions = async (userId, reason) => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new access/refresh pair.
+// Presenting an already rotated token revokes the whole session.
+const refreshTokens = async (refreshToken, { ip, userAgent } = {}) => {
+    const { sessionId, secret } = parseRefreshToken(refreshToken);
+    const session = await Session.findById(sessionId);
+    
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+        throw new AuthError('Session expired or revoked', 401, 'SESSION_REVOKED');
+    }
+    
+    const presentedHash = hashToken(secret);
+    
+    if (session.previousTokenHashes.includes(presentedHash)) {
+        await revokeSession(session._id, 'refresh_token_reuse');
+        console.warn(`Refresh token reuse detected for session ${session._id}`);
+        throw new AuthError('Refresh token reuse detected. Session has been revoked.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+    
+    if (session.refreshTokenHash !== presentedHash) {
+        throw new AuthError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+    }
+    
+    const user = await User.findById(session.user);
+    if (!user || user.active === false) {
+        await revokeSession(session._id, 'user_inactive');
+        throw new AuthError('Account is not active', 403, 'ACCOUNT_INACTIVE');
+    }
+    
+    const nextSecret = newRefreshSecret();
+    
+    // Compare-and-swap on the current hash so two parallel refreshes can't both win
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: { $exists: false } },
+        {
+            refreshTokenHash: hashToken(nextSecret),
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -config.refreshTokenHistory } },
+            expiresAt: refreshExpiry(),
+            lastUsedAt: new Date(),
+            ip,
+            userAgent
+        },
+        { new: true }
+    );
+    
+    if (!rotated) {
+        await revokeSession(session._id, 'refresh_token_reuse');
+        throw new AuthError('Refresh token reuse detected. Session has been revoked.', 401, 'REFRESH_TOKEN_REUSED');
+    }
+    
+    return {
+        accessToken: signAccessToken(user, session._id),
+        refreshToken: `${session._id}.${nextSecret}`,
+        expiresIn: config.accessTokenTtl
+    };
+};
+
+// Verify an access token and make sure its session and user are still valid.
+// Returns the token payload.
+const verifyAccessToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, config.jwtSecret);
+    } catch (error) {
+        throw new AuthError('Invalid or expired token');
+    }
+    
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+        throw new AuthError('Invalid or expired token');
+    }
+    
+    const [session, user] = await Promise.all([
+        Session.findById(decoded.sid).select('revokedAt expiresAt user'),
+        User.findById(decoded.userId).select('active role')
+    ]);
+    
+    if (!session || session.revokedAt || session.user.toString() !== String(decoded.userId)) {
+        throw new AuthError('Session has been revoked', 401, 'SESSION_REVOKED');
+    }
+    
+    if (!user || user.active === false) {
+        throw new AuthError('Account is not active', 401, 'ACCOUNT_INACTIVE');
+    }
+    
+    // A role change made by an admin applies immediately
+    decoded.role = user.role;
+    return decoded;
+};
+
+const listSessions = (userId) => Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+}).sort({ lastUsedAt: -1 });
+
+module.exports = {
+    AuthError,
+    issueTokens,
+    listSessions,
+    refreshTokens,
+    revokeAllSessions,
+    revokeSession,
+    verifyAccessToken
+};
@@ -0,0 +1,156 @@
+const Survey = require('../models/Survey');
+const Ticket = require('../models/Ticket');
+const config = require('../config/csat');
+const { AppError } = require('./errors');
+const { TICKET_EVENTS, publish, subscribe } = require('./events');
+
+const DAY = 24 * 60 * 60 * 1000;
+const ANSWERABLE_STATUSES = ['RESOLVED', 'CLOSED'];
+
+class SurveyError extends AppError {
+    constructor(message, statusCode = 409, code = 'SURVEY_UNAVAILABLE') {
+        super(message, { statusCode, code });
+    }
+}
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const isExpired = (survey, now = new Date()) => survey.expiresAt <= now;
+
+const isResolved = (ticket) => ANSWERABLE_STATUSES.includes(ticket.status) && Boolean(ticket.resolvedAt);
+
+// Survey for the ticket's current resolution if there is one. Read-only:
+// surveys are created when the ticket resolves (see handleStatusChange).
+const findSurvey = (ticket) => (isResolved(ticket)
+    ? Survey.findOne({ ticket: ticket._id, resolvedAt: ticket.resolvedAt })
+    : null);
+
+// Survey for the ticket's current resolution, created on first use.
+// Returns { survey, created }, or { survey: null } when the ticket isn't resolved.
+const openSurvey = async (ticket) => {
+    if (!isResolved(ticket)) {
+        return { survey: null, created: false };
+    }
+    
+    const key = { ticket: ticket._id, resolvedAt: ticket.resolvedAt };
+    const existing = await Survey.findOne(key);
+    if (existing) {
+        return { survey: existing, created: false };
+    }
+    
+    try {
+        const survey = await Survey.create({
+            ...key,
+            customer: idOf(ticket.customer),
+            agent: idOf(ticket.assignedAgent),
+            priority: ticket.priority,
+            expiresAt: new Date(ticket.resolvedAt.getTime() + config.surveyWindowDays * DAY)
+        });
+        return { survey, created: true };
+    } catch (error) {
+        // Created concurrently by the event handler or another request
+        if (error.code === 11000) {
+            return { survey: await Survey.findOne(key), created: false };
+        }
+        throw error;
+    }
+};
+
+// Record the customer's answer. Throws SurveyError when it can't be answered.
+const submitSurvey = async (ticket, { customerId, rating, comment }, now = new Date()) => {
+    if (idOf(ticket.customer) !== idOf(customerId)) {
+        throw new SurveyError('Only the ticket\'s customer can answer its survey', 403, 'FORBIDDEN');
+    }
+    
+    const value = Number(rating);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+        throw new SurveyError('rating must be a whole number from 1 to 5', 400, 'INVALID_RATING');
+    }
+    
+    const { survey } = await openSurvey(ticket);
+    if (!survey || survey.status === 'CANCELLED') {
+        throw new SurveyError('This ticket has no open survey');
+    }
+    if (survey.status === 'ANSWERED') {
+        throw new SurveyError('This survey has already been answered', 409, 'SURVEY_ALREADY_ANSWERED');
+    }
+    if (isExpired(survey, now)) {
+        throw new SurveyError('This survey has expired', 409, 'SURVEY_EXPIRED');
+    }
+    
+    // Conditional update so two concurrent submissions can't both succeed
+    const answered = await Survey.findOneAndUpdate(
+        { _id: survey._id, status: 'PENDING' },
+        { $set: { status: 'ANSWERED', rating: value, comment: comment ? String(comment) : undefined, answeredAt: now } },
+        { new: true, runValidators: true }
+    );
+    if (!answered) {
+        throw new SurveyError('This survey has already been answered', 409, 'SURVEY_ALREADY_ANSWERED');
+    }
+    
+    // An earlier rating of the same ticket no longer reflects the outcome
+    await Survey.updateMany(
+        { ticket: ticket._id, status: 'ANSWERED', _id: { $ne: answered._id }, supersededAt: null },
+        { $set: { supersededAt: now } }
+    );
+    
+    ticket.csat = {
+        survey: answered._id,
+        rating: answered.rating,
+        comment: answered.comment,
+        ratedAt: now
+    };
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.SURVEY_SUBMITTED, {
+        ticket,
+        survey: answered,
+        actor: { id: customerId, role: 'CUSTOMER' }
+    });
+    
+    return answered;
+};
+
+// Ticket left RESOLVED for another round of work: an unanswered survey is
+// withdrawn, an answered one is flagged as followed by a reopen.
+const onReopened = async (ticket, now = new Date()) => {
+    await Survey.updateMany(
+        { ticket: ticket._id, status: 'PENDING' },
+        { $set: { status: 'CANCELLED' } }
+    );
+    
+    if (ticket.csat && ticket.csat.survey && !ticket.csat.reopenedAt) {
+        await Promise.all([
+            Survey.updateOne({ _id: ticket.csat.survey }, { $set: { reopenedAt: now } }),
+            Ticket.updateOne({ _id: ticket._id, 'csat.survey': ticket.csat.survey }, { $set: { 'csat.reopenedAt': now } })
+        ]);
+    }
+};
+
+const handleStatusChange = async ({ ticket, from, to, occurredAt }) => {
+    if (to === 'RESOLVED') {
+        const { survey, created } = await openSurvey(ticket);
+        if (created && !isExpired(survey)) {
+            publish(TICKET_EVENTS.SURVEY_REQUESTED, {
+                ticket,
+                survey,
+                actor: { role: 'SYSTEM' }
+            });
+        }
+    } else if (from === 'RESOLVED' && to !== 'CLOSED') {
+        await onReopened(ticket, occurredAt);
+    }
+};
+
+// Subscribe to status changes. Call once at startup.
+const registerCsatHandlers = () => subscribe(TICKET_EVENTS.STATUS_CHANGED, handleStatusChange);
+
+module.exports = {
+    SurveyError,
+    findSurvey,
+    isExpired,
+    onReopened,
+    openSurvey,
+    registerCsatHandlers,
+    submitSurvey
+};
@@ -0,0 +1,79 @@
+// Application errors. Each carries the HTTP status and the machine-readable
+// code the error middleware (middlewares/errorHandler.js) sends back as
+// { success: false, error, code, details? }.
+class AppError extends Error {
+    constructor(message, { statusCode = 500, code = 'INTERNAL_ERROR', details } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.statusCode = statusCode;
+        this.code = code;
+        if (details !== undefined) {
+            this.details = details;
+        }
+    }
+}
+
+// details: [{ location: 'body' | 'query' | 'params', path, message }]
+class ValidationError extends AppError {
+    constructor(message = 'Request validation failed', details, code = 'VALIDATION_FAILED') {
+        super(message, { statusCode: 400, code, details });
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, code = 'BAD_REQUEST') {
+        super(message, { statusCode: 400, code });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+        super(message, { statusCode: 401, code });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied', code = 'FORBIDDEN') {
+        super(message, { statusCode: 403, code });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', code = 'NOT_FOUND') {
+        super(message, { statusCode: 404, code });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, code = 'CONFLICT') {
+        super(message, { statusCode: 409, code });
+    }
+}
+
+class PayloadTooLargeError extends AppError {
+    constructor(message, code = 'PAYLOAD_TOO_LARGE') {
+        super(message, { statusCode: 413, code });
+    }
+}
+
+// retryAfter (seconds) is sent as the Retry-After header
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests', code = 'RATE_LIMITED', retryAfter) {
+        super(message, { statusCode: 429, code });
+        if (retryAfter !== undefined) {
+            this.retryAfter = retryAfter;
+        }
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    ConflictError,
+    ForbiddenError,
+    NotFoundError,
+    PayloadTooLargeError,
+    TooManyRequestsError,
+    UnauthorizedError,
+    ValidationError
+};
@@ -0,0 +1,54 @@
+const { EventEmitter } = require('events');
+
+// In-process event bus. Ticket routes publish, subsystems subscribe.
+const TICKET_EVENTS = {
+    CREATED: 'ticket.created',
+    STATUS_CHANGED: 'ticket.status_changed',
+    REASSIGNED: 'ticket.reassigned',
+    MESSAGE_ADDED: 'ticket.message_added',
+    CLAIMED: 'ticket.claimed',
+    TRANSFER_REQUESTED: 'ticket.transfer_requested',
+    TRANSFER_DECLINED: 'ticket.transfer_declined',
+    SURVEY_REQUESTED: 'ticket.survey_requested',
+    SURVEY_SUBMITTED: 'ticket.survey_submitted'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+// Deliveries and handler runs not finished yet, see drain()
+const inFlight = new Set();
+
+const track = (promise) => {
+    inFlight.add(promise);
+    promise.finally(() => inFlight.delete(promise));
+};
+
+// Handlers run after the current request finishes and never affect it:
+// a failing subscriber is logged, not rethrown.
+const subscribe = (event, handler) => {
+    const listener = (payload) => {
+        track(Promise.resolve()
+            .then(() => handler(payload, event))
+            .catch(err => console.error(`Event handler for ${event} failed:`, err)));
+    };
+    bus.on(event, listener);
+    return () => bus.off(event, listener);
+};
+
+const publish = (event, payload) => {
+    track(new Promise(resolve => setImmediate(() => {
+        bus.emit(event, { ...payload, occurredAt: new Date() });
+        resolve();
+    })));
+};
+
+// Resolves once every published event has been handled, including events
+// that handlers publish in turn. Used on shutdown and in tests.
+const drain = async () => {
+    while (inFlight.size > 0) {
+        await Promise.allSettled([...inFlight]);
+    }
+};
+
+module.exports = { TICKET_EVENTS, drain, publish, subscribe };
@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { simpleParser } = require('mailparser');
+const InboundEmail = require('../../models/InboundEmail');
+const Ticket = require('../../models/Ticket');
+const User = require('../../models/UserModel');
+const mailConfig = require('../../config/mail');
+const { record } = require('../audit');
+const { AppError, BadRequestError } = require('../errors');
+const { sendTemplate } = require('../mailer');
+const { findTicketReference } = require('../mailer/threading');
+const { postMessage } = require('../messages');
+const { createTicket } = require('../tickets');
+const { attachmentsOf, classify, senderOf, stripQuotedReply } = require('./parse');
+
+// Inbound email gateway: turns raw RFC 822 messages (from the maildir poller
+// in jobs/inboundMail.js or POST /api/inbound/email) into tickets and replies.
+//
+// - A message that references a ticket (X-Ticket-ID, In-Reply-To/References
+//   or a "[Ticket #id]" subject tag) is added to it as a reply, if the sender
+//   is the ticket's customer or assigned agent and the ticket is not CLOSED.
+// - Anything else opens a new ticket for the sender, creating a CUSTOMER
+//   account for unknown addresses.
+// - Bounces, auto-replies and bulk mail are recorded and otherwise ignored.
+//
+// Errors that may go away on a retry (e.g. NO_AGENTS_AVAILABLE, a database
+// outage) are thrown so the message is delivered again; every other outcome
+// is final and recorded in InboundEmail, which also drops duplicates.
+
+const ISSUE_DETAILS_MAX = 10000;
+
+// Failures that will not go away by delivering the message again
+const isPermanent = (error) => (error instanceof AppError && error.statusCode < 500)
+    || error instanceof mongoose.Error.ValidationError;
+
+const ownAddress = () => ((mailConfig.from.match(/<([^>]+)>/) || [])[1] || mailConfig.from).toLowerCase();
+
+const parse = async (raw) => {
+    try {
+        return await simpleParser(raw);
+    } catch (error) {
+        throw new BadRequestError('The email could not be parsed', 'INVALID_EMAIL');
+    }
+};
+
+// Messages without a Message-ID are identified by their content
+const messageIdOf = (mail, raw) => mail.messageId
+    || `<${crypto.createHash('sha256').update(raw).digest('hex')}@inbound>`;
+
+const referencedTicket = async (mail) => {
+    const ticketId = findTicketReference({
+        subject: mail.subject,
+        ticketHeader: mail.headers.get('x-ticket-id'),
+        references: [].concat(mail.inReplyTo || [], mail.references || [])
+    });
+    return ticketId ? Ticket.findById(ticketId) : null;
+};
+
+// Account for a new ticket's sender, creating a customer for unknown addresses.
+// Returns { user } or { reason } when the sender may not open tickets by email.
+const customerFor = async (sender) => {
+    const existing = await User.findOne({ email: sender.address });
+    if (existing) {
+        if (existing.active === false) return { reason: 'ACCOUNT_INACTIVE' };
+        if (existing.role !== 'CUSTOMER') return { reason: 'NOT_A_CUSTOMER' };
+        return { user: existing };
+    }
+    
+    // The customer can choose a password later through "forgot password"
+    const user = await User.create({
+        name: sender.name || sender.address.split('@')[0],
+        email: sender.address,
+        password: crypto.randomBytes(32).toString('hex'),
+        role: 'CUSTOMER'
+    });
+    
+    await record({
+        actor: { id: user._id, role: user.role },
+        action: 'user.provisioned',
+        target: { type: 'user', id: user._id },
+        metadata: { email: user.email, source: 'EMAIL' }
+    });
+    
+    return { user };
+};
+
+const addReply = async (mail, ticket, sender, files) => {
+    const user = await User.findOne({ email: sender.address, active: { $ne: false } });
+    const participants = [ticket.customer, ticket.assignedAgent].filter(Boolean).map(String);
+    if (!user || !participants.includes(user._id.toString())) {
+        return { outcome: 'REJECTED', reason: 'SENDER_MISMATCH', ticket: ticket._id };
+    }
+    
+    const body = stripQuotedReply(mail.text) || (files.length > 0 ? '(attachments only)' : '');
+    if (!body) {
+        return { outcome: 'IGNORED', reason: 'EMPTY', ticket: ticket._id };
+    }
+    
+    const actor = { id: user._id, role: user.role };
+    const { message, attachments } = await postMessage(ticket, { body, files, source: 'EMAIL' }, actor);
+    
+    await record({
+        actor,
+        action: 'ticket.message_added',
+        target: { type: 'ticket', id: ticket._id },
+        metadata: { message: message._id, internal: false, attachments: attachments.length, source: 'EMAIL' }
+    });
+    
+    return { outcome: 'REPLY_ADDED', ticket: ticket._id, message: message._id };
+};
+
+const openTicket = async (mail, sender, files) => {
+    const { user, reason } = await customerFor(sender);
+    if (!user) {
+        return { outcome: 'REJECTED', reason };
+    }
+    
+    const subject = (mail.subject || '').trim();
+    const text = (mail.text || '').trim();
+    const issueDetails = [subject, text].filter(Boolean).join('\n\n').slice(0, ISSUE_DETAILS_MAX);
+    if (!issueDetails && files.length === 0) {
+        return { outcome: 'IGNORED', reason: 'EMPTY' };
+    }
+    
+    const actor = { id: user._id, role: 'CUSTOMER' };
+    const { ticket, attachments } = await createTicket({
+        issueDetails: issueDetails || '(attachments only)',
+        files,
+        source: 'EMAIL'
+    }, actor);
+    
+    await record({
+        actor,
+        action: 'ticket.created',
+        target: { type: 'ticket', id: ticket._id },
+        metadata: {
+            priority: ticket.priority,
+            assignedAgent: ticket.assignedAgent,
+            team: ticket.team,
+            attachments: attachments.length,
+            source: 'EMAIL'
+        }
+    });
+    
+    // Notifications skip the person who acted, so confirm here; the reply
+    // threads back to the ticket
+    sendTemplate('emailTicketReceived', user.email, { name: user.name, ticketId: ticket._id, subject })
+        .catch(err => console.error(`Ticket confirmation to ${user.email} failed:`, err));
+    
+    return { outcome: 'TICKET_CREATED', ticket: ticket._id };
+};
+
+// Process one raw message. channel: 'MAILDIR' | 'WEBHOOK'.
+// Resolves with { outcome, reason?, ticket?, message?, duplicate? }.
+const ingest = async (raw, { channel }) => {
+    const mail = await parse(raw);
+    const messageId = messageIdOf(mail, raw);
+    const sender = senderOf(mail);
+    
+    // Claim the Message-ID first so concurrent deliveries of one message
+    // cannot both open a ticket
+    let entry;
+    try {
+        entry = await InboundEmail.create({
+            messageId,
+            channel,
+            from: sender ? sender.address : undefined,
+            subject: mail.subject,
+            outcome: 'PROCESSING'
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const previous = await InboundEmail.findOne({ messageId }).lean();
+        return {
+            outcome: previous.outcome,
+            reason: previous.reason,
+            ticket: previous.ticket,
+            message: previous.message,
+            duplicate: true
+        };
+    }
+    
+    let result;
+    try {
+        const ignoredAs = classify(mail);
+        const { files, skipped } = attachmentsOf(mail);
+    
+        if (!sender) {
+            result = { outcome: 'REJECTED', reason: 'NO_SENDER' };
+        } else if (ignoredAs) {
+            result = { outcome: 'IGNORED', reason: ignoredAs };
+        } else if (sender.address === ownAddress()) {
+            // Our own notifications coming back
+            result = { outcome: 'IGNORED', reason: 'LOOP' };
+        } else {
+            const ticket = await referencedTicket(mail);
+            result = ticket && ticket.status !== 'CLOSED'
+                ? await addReply(mail, ticket, sender, files)
+                : await openTicket(mail, sender, files);
+        }
+    
+        if (['TICKET_CREATED', 'REPLY_ADDED'].includes(result.outcome)) {
+            result.skippedAttachments = skipped;
+        }
+    } catch (error) {
+        if (!isPermanent(error)) {
+            // Let the message be delivered again
+            await InboundEmail.deleteOne({ _id: entry._id });
+            throw error;
+        }
+        result = { outcome: 'REJECTED', reason: error.code || 'INVALID' };
+    }
+    
+    entry.set(result);
+    await entry.save();
+    
+    return result;
+};
+
+module.exports = { ingest };
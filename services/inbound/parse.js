@@ -0,0 +1,118 @@
+const config = require('../../config/uploads');
+
+// Pure helpers over a mailparser ParsedMail, used by services/inbound.
+
+// Header value as lower-case text ('' when missing). mailparser gives
+// structured headers as { value, params }.
+const headerText = (headers, name) => {
+    const value = headers.get(name);
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object' && 'value' in value) {
+        return String(value.value).toLowerCase();
+    }
+    return String(value).toLowerCase();
+};
+
+const AUTO_REPLY_SUBJECT = /^\s*(auto(matic)?[ -]?reply|auto:|out of (the )?office|abwesenheitsnotiz)/i;
+const DAEMON_SENDER = /^(mailer-daemon|postmaster)@/i;
+
+// Why a message should not become a ticket or reply, or null if it should:
+// BOUNCE (delivery status notifications), AUTO_REPLY (out-of-office and
+// other robots, RFC 3834) or BULK (mailing lists and newsletters)
+const classify = (mail) => {
+    const { headers } = mail;
+    const sender = mail.from && mail.from.value[0] ? mail.from.value[0].address || '' : '';
+    
+    if (headerText(headers, 'content-type') === 'multipart/report'
+        || headers.has('x-failed-recipients')
+        || DAEMON_SENDER.test(sender)) {
+        return 'BOUNCE';
+    }
+    
+    const autoSubmitted = headerText(headers, 'auto-submitted');
+    if ((autoSubmitted && autoSubmitted !== 'no')
+        || headers.has('x-autoreply')
+        || headers.has('x-autorespond')
+        || headerText(headers, 'x-autogenerated') === 'reply'
+        || headerText(headers, 'precedence') === 'auto_reply'
+        || AUTO_REPLY_SUBJECT.test(mail.subject || '')) {
+        return 'AUTO_REPLY';
+    }
+    
+    if (['bulk', 'junk', 'list'].includes(headerText(headers, 'precedence'))
+        // mailparser folds List-Id, List-Unsubscribe etc. into one "list" header
+        || headers.has('list')) {
+        return 'BULK';
+    }
+    
+    return null;
+};
+
+// Lines that start the quoted part of a reply
+const QUOTE_HEADERS = [
+    /^On .+wrote:$/,
+    /^-{2,}\s*Original Message\s*-{2,}$/i,
+    /^_{10,}$/,
+    // Outlook: "From: ..." directly followed by "Sent: ..." or "Date: ..."
+    /^From:\s.+\s(Sent|Date):\s/
+];
+
+// Keep only what the sender wrote: drop the quoted earlier message and the
+// signature. Falls back to the full text if nothing would be left.
+const stripQuotedReply = (text) => {
+    const lines = String(text || '').replace(/\r\n/g, '\n').split('\n');
+    let end = lines.length;
+    
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+        // "On <date>, <name>" is often wrapped before "wrote:"
+        const withNext = `${line} ${(lines[i + 1] || '').trim()}`;
+    
+        if (lines[i] === '-- ' || QUOTE_HEADERS.some(pattern => pattern.test(line) || pattern.test(withNext))) {
+            end = i;
+            break;
+        }
+    }
+    
+    const own = lines.slice(0, end).filter(line => !line.startsWith('>')).join('\n').trim();
+    return own || String(text || '').trim();
+};
+
+// The sender as { address, name }, or null
+const senderOf = (mail) => {
+    const sender = mail.from && mail.from.value[0];
+    if (!sender || !sender.address) return null;
+    return { address: sender.address.toLowerCase(), name: (sender.name || '').trim() };
+};
+
+// Attachments in the shape services/attachments expects from multer, minus
+// inline images (signature logos and the like). Files the upload settings
+// would refuse are left out and named in `skipped`.
+const attachmentsOf = (mail) => {
+    const maxBytes = config.maxFileSizeMB * 1024 * 1024;
+    const files = [];
+    const skipped = [];
+    
+    for (const attachment of mail.attachments || []) {
+        if (attachment.related) continue;
+    
+        const name = attachment.filename || 'attachment';
+        if (!config.allowedMimeTypes.includes(attachment.contentType)
+            || attachment.size > maxBytes
+            || files.length >= config.maxFiles) {
+            skipped.push(name);
+            continue;
+        }
+    
+        files.push({
+            originalname: name,
+            mimetype: attachment.contentType,
+            size: attachment.size,
+            buffer: attachment.content
+        });
+    }
+    
+    return { files, skipped };
+};
+
+module.exports = { attachmentsOf, classify, senderOf, stripQuotedReply };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+const Article = require('../../models/Article');
+const ArticleVersion = require('../../models/ArticleVersion');
+const Category = require('../../models/Category');
+const { ConflictError, NotFoundError } = require('../errors');
+const { checkCategory } = require('../ticketFields');
+
+// Knowledge base articles. Authors edit a draft (title, summary, body,
+// category); every change becomes a new ArticleVersion. Publishing copies
+// the current version into `published`, which is all readers and search
+// ever see, so a published article can be reworked without going offline.
+// Suggestions for ticket drafts live in ./suggestions.js.
+
+const CONTENT_FIELDS = ['title', 'summary', 'body', 'category'];
+
+const contentOf = (source) => ({
+    title: source.title,
+    summary: source.summary,
+    body: source.body,
+    category: source.category
+});
+
+// "Reset your password!" -> "reset-your-password"
+const slugify = (title) => title
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 80)
+    .replace(/^-+|-+$/g, '')
+    || 'article';
+
+const uniqueSlug = async (title) => {
+    const slug = slugify(title);
+    return (await Article.exists({ slug })) ? `${slug}-${crypto.randomBytes(3).toString('hex')}` : slug;
+};
+
+// What readers get: the published copy. The body is left out of lists.
+const toPublic = (article, { withBody = false } = {}) => ({
+    id: article._id,
+    slug: article.slug,
+    title: article.published.title,
+    summary: article.published.summary || null,
+    category: article.published.category || null,
+    version: article.published.version,
+    publishedAt: article.published.publishedAt,
+    ...(withBody && { body: article.published.body })
+});
+
+// Published articles, best match first with `q`, otherwise newest first.
+// Returns { articles, total }.
+const searchArticles = async ({ q, category, page = 1, limit = 20 }) => {
+    const query = { status: 'PUBLISHED' };
+    if (category) query['published.category'] = category;
+    if (q) query.$text = { $search: q };
+    
+    const find = q
+        ? Article.find(query, { score: { $meta: 'textScore' } }).sort({ score: { $meta: 'textScore' } })
+        : Article.find(query).sort({ 'published.publishedAt': -1, _id: -1 });
+    
+    const [total, articles] = await Promise.all([
+        Article.countDocuments(query),
+        find.skip((page - 1) * limit).limit(limit).lean()
+    ]);
+    
+    return { articles: articles.map(article => toPublic(article)), total };
+};
+
+// A published article by slug, counting the view
+const readArticle = async (slug) => {
+    const article = await Article.findOneAndUpdate(
+        { slug, status: 'PUBLISHED' },
+        { $inc: { views: 1 } },
+        { new: true }
+    ).lean();
+    if (!article) {
+        throw new NotFoundError('Article not found', 'ARTICLE_NOT_FOUND');
+    }
+    return article;
+};
+
+// Categories that have published articles: [{ slug, name, articles }].
+// Uncategorised articles are counted under slug null.
+const publishedCategories = async () => {
+    const counts = await Article.aggregate([
+        { $match: { status: 'PUBLISHED' } },
+        { $group: { _id: '$published.category', articles: { $sum: 1 } } }
+    ]);
+    const categories = await Category.find({ slug: { $in: counts.map(row => row._id).filter(Boolean) } }).lean();
+    const names = new Map(categories.map(category => [category.slug, category.name]));
+    
+    // By name, uncategorised last
+    return counts
+        .map(row => ({
+            slug: row._id || null,
+            name: row._id ? names.get(row._id) || row._id : null,
+            articles: row.articles
+        }))
+        .sort((a, b) => (a.slug === null) - (b.slug === null) || String(a.name).localeCompare(String(b.name)));
+};
+
+const findArticle = async (id) => {
+    const article = await Article.findById(id);
+    if (!article) {
+        throw new NotFoundError('Article not found', 'ARTICLE_NOT_FOUND');
+    }
+    return article;
+};
+
+// The unique (article, version) index makes the slower of two concurrent
+// edits fail with 409 DUPLICATE_KEY before the article itself changes
+const saveVersion = (article, version, editedBy, note) => ArticleVersion.create({
+    article: article._id,
+    version,
+    ...contentOf(article),
+    editedBy,
+    note
+});
+
+const createArticle = async ({ slug, title, summary, body, category }, actor) => {
+    await checkCategory(category);
+    
+    const article = new Article({
+        slug: slug || await uniqueSlug(title),
+        title,
+        summary,
+        body,
+        category,
+        createdBy: actor.id,
+        updatedBy: actor.id
+    });
+    await article.save();
+    await saveVersion(article, 1, actor.id);
+    
+    return article;
+};
+
+// Apply content changes as a new version (category null removes it).
+// Resolves with false when nothing actually changed.
+const updateArticle = async (article, changes, actor, note) => {
+    if (changes.category && changes.category !== article.category) {
+        await checkCategory(changes.category);
+    }
+    
+    article.set({ ...changes, ...(changes.category === null && { category: undefined }) });
+    if (!CONTENT_FIELDS.some(field => article.isModified(field))) {
+        return false;
+    }
+    
+    await saveVersion(article, article.version + 1, actor.id, note);
+    article.version += 1;
+    article.updatedBy = actor.id;
+    await article.save();
+    
+    return true;
+};
+
+const publishArticle = async (article, actor) => {
+    if (article.published && article.published.version === article.version) {
+        throw new ConflictError('This version is already published', 'ALREADY_PUBLISHED');
+    }
+    
+    article.published = {
+        version: article.version,
+        ...contentOf(article),
+        publishedAt: new Date(),
+        publishedBy: actor.id
+    };
+    article.status = 'PUBLISHED';
+    await article.save();
+    
+    return article;
+};
+
+const unpublishArticle = async (article) => {
+    if (article.status !== 'PUBLISHED') {
+        throw new ConflictError('Article is not published', 'ARTICLE_NOT_PUBLISHED');
+    }
+    
+    article.published = null;
+    article.status = 'DRAFT';
+    await article.save();
+    
+    return article;
+};
+
+const findVersion = async (article, version) => {
+    const entry = await ArticleVersion.findOne({ article: article._id, version });
+    if (!entry) {
+        throw new NotFoundError('Article version not found', 'ARTICLE_VERSION_NOT_FOUND');
+    }
+    return entry;
+};
+
+// Make an old version the latest draft again (as a new version)
+const restoreVersion = async (article, version, actor) => {
+    const entry = await findVersion(article, version);
+    const restored = contentOf(entry);
+    
+    return updateArticle(article, { ...restored, category: restored.category || null }, actor, `Restored version ${version}`);
+};
+
+module.exports = {
+    createArticle,
+    findArticle,
+    findVersion,
+    publishArticle,
+    publishedCategories,
+    readArticle,
+    restoreVersion,
+    searchArticles,
+    slugify,
+    toPublic,
+    unpublishArticle,
+    updateArticle
+};
@@ -0,0 +1,102 @@
+const Article = require('../../models/Article');
+const ArticleSuggestion = require('../../models/ArticleSuggestion');
+const config = require('../../config/kb');
+const { BadRequestError, ConflictError, NotFoundError } = require('../errors');
+const { TICKET_EVENTS, subscribe } = require('../events');
+const { toPublic } = require('./index');
+
+// Articles suggested while a customer drafts a ticket. Each request is kept
+// as an ArticleSuggestion so the deflection report can tell how often the
+// knowledge base answered a question before it became a ticket.
+
+const HOUR = 60 * 60 * 1000;
+const QUERY_MAX = 1000;
+
+// Best published matches for free text, strongest first
+const suggestArticles = async (text) => {
+    const matches = await Article.find(
+        { status: 'PUBLISHED', $text: { $search: text } },
+        { score: { $meta: 'textScore' } }
+    )
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(config.suggestionLimit)
+        .lean();
+    
+    return matches.filter(article => article.score >= config.suggestionMinScore);
+};
+
+// Record a suggestion request. Returns { suggestion, articles }.
+const createSuggestion = async (user, { issueDetails, category }) => {
+    const articles = await suggestArticles(issueDetails);
+    
+    const suggestion = await ArticleSuggestion.create({
+        user: user.id,
+        query: issueDetails.slice(0, QUERY_MAX),
+        category,
+        articles: articles.map(article => article._id)
+    });
+    
+    return { suggestion, articles: articles.map(article => toPublic(article)) };
+};
+
+// The customer opened a suggested article. Unknown or unrelated suggestion
+// ids are ignored; reading an article never fails because of them.
+const recordView = async (article, suggestionId) => {
+    if (!suggestionId) return;
+    
+    await ArticleSuggestion.updateOne(
+        { _id: suggestionId, articles: article._id },
+        { $addToSet: { viewedArticles: article._id } }
+    );
+};
+
+// The customer confirmed their question was answered, optionally naming the
+// article that did it (which must be one of those suggested)
+const markAnswered = async (suggestionId, userId, articleId) => {
+    const suggestion = await ArticleSuggestion.findOne({ _id: suggestionId, user: userId });
+    if (!suggestion) {
+        throw new NotFoundError('Suggestion not found', 'SUGGESTION_NOT_FOUND');
+    }
+    if (articleId && !suggestion.articles.some(id => id.equals(articleId))) {
+        throw new BadRequestError('That article was not suggested here', 'ARTICLE_NOT_SUGGESTED');
+    }
+    
+    // Conditional update so a ticket created meanwhile wins
+    const answered = await ArticleSuggestion.findOneAndUpdate(
+        { _id: suggestion._id, outcome: 'PENDING' },
+        { $set: { outcome: 'ANSWERED', answeredBy: articleId, resolvedAt: new Date() } },
+        { new: true }
+    );
+    if (!answered) {
+        throw new ConflictError('This suggestion already has an outcome', 'SUGGESTION_RESOLVED');
+    }
+    
+    if (articleId) {
+        await Article.updateOne({ _id: articleId }, { $inc: { deflections: 1 } });
+    }
+    
+    return answered;
+};
+
+// A ticket from a customer settles their open suggestions of the last
+// deflection window: the articles did not help
+const handleTicketCreated = async ({ ticket, occurredAt = new Date() }) => {
+    const since = new Date(occurredAt.getTime() - config.deflectionWindowHours * HOUR);
+    
+    await ArticleSuggestion.updateMany(
+        { user: ticket.customer._id || ticket.customer, outcome: 'PENDING', createdAt: { $gte: since } },
+        { $set: { outcome: 'TICKET_CREATED', ticket: ticket._id, resolvedAt: occurredAt } }
+    );
+};
+
+// Subscribe to new tickets. Call once at startup.
+const registerKnowledgeBaseHandlers = () => subscribe(TICKET_EVENTS.CREATED, handleTicketCreated);
+
+module.exports = {
+    createSuggestion,
+    handleTicketCreated,
+    markAnswered,
+    recordView,
+    registerKnowledgeBaseHandlers,
+    suggestArticles
+};
@@ -0,0 +1,73 @@
+const Ticket = require('../models/Ticket');
+const { NotFoundError } = require('./errors');
+const { TICKET_EVENTS, publish } = require('./events');
+const { postMessage } = require('./messages');
+const { contextFor, renderTemplate } = require('./placeholders');
+const { StatusTransitionError, canTransition, transitionStatus } = require('./ticketStatus');
+
+// Apply a macro's actions to a ticket assigned to the acting agent, under the
+// same rules as PATCH /api/tickets/:id/status. The status change is checked
+// before anything is written, so a macro that cannot run leaves the ticket
+// untouched. A status the ticket already has is skipped.
+// Returns { ticket, message, applied: { reply, tags, status } }.
+const applyMacro = async (ticketId, macro, actor) => {
+    const ticket = await Ticket.findOne({
+        _id: ticketId,
+        assignedAgent: actor.id
+    });
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found or not assigned to you', 'TICKET_NOT_FOUND');
+    }
+    
+    const { reply, addTags, status, statusReason } = macro.actions;
+    const previousStatus = ticket.status;
+    const changeStatus = Boolean(status) && status !== previousStatus;
+    
+    if (changeStatus && !canTransition('AGENT', previousStatus, status)) {
+        throw new StatusTransitionError(`Cannot change ticket status from ${previousStatus} to ${status}`);
+    }
+    
+    let message = null;
+    if (reply) {
+        const body = renderTemplate(reply.body, await contextFor(ticket, actor.id));
+        ({ message } = await postMessage(ticket, { body, internal: reply.internal }, actor));
+    }
+    
+    const tags = (addTags || []).filter(tag => !ticket.tags.includes(tag));
+    ticket.tags.push(...tags);
+    
+    if (changeStatus) {
+        transitionStatus(ticket, status, {
+            actor: actor.id,
+            role: 'AGENT',
+            reason: statusReason || `Macro: ${macro.name}`
+        });
+    }
+    
+    if (ticket.isModified()) {
+        await ticket.save();
+    }
+    
+    if (changeStatus) {
+        publish(TICKET_EVENTS.STATUS_CHANGED, {
+            ticket,
+            from: previousStatus,
+            to: status,
+            reason: ticket.statusHistory[ticket.statusHistory.length - 1].reason,
+            actor
+        });
+    }
+    
+    return {
+        ticket,
+        message,
+        applied: {
+            reply: Boolean(message),
+            tags,
+            status: changeStatus ? { from: previousStatus, to: status } : null
+        }
+    };
+};
+
+module.exports = { applyMacro };
@@ -0,0 +1,52 @@
+const config = require('../../config/mail');
+const templates = require('./templates');
+const {
+    createConsoleTransport,
+    createFileTransport,
+    createSmtpTransport
+} = require('./transports');
+
+const factories = {
+    smtp: () => createSmtpTransport(config.smtp),
+    file: () => createFileTransport({ dir: config.fileDir }),
+    console: () => createConsoleTransport()
+};
+
+let transport;
+
+const getTransport = () => {
+    if (!transport) {
+        const factory = factories[config.transport];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${config.transport}`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+// Swap the transport at runtime (e.g. a capturing transport in tests)
+const setTransport = (custom) => {
+    transport = custom;
+};
+
+const sendMail = async ({ to, subject, text, html, headers, messageId }) => getTransport().send({
+    from: config.from,
+    to,
+    subject,
+    text,
+    html,
+    headers,
+    messageId
+});
+
+// Render a named template and send it
+const sendTemplate = async (name, to, data) => {
+    const template = templates[name];
+    if (!template) {
+        throw new Error(`Unknown mail template: ${name}`);
+    }
+    return sendMail({ to, ...template(data) });
+};
+
+module.exports = { sendMail, sendTemplate, setTransport };
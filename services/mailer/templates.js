@@ -0,0 +1,61 @@
+const config = require('../../config/mail');
+const { subjectTag, ticketThread } = require('./threading');
+
+const link = (pathname, token) => `${config.appUrl}${pathname}?token=${encodeURIComponent(token)}`;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Each template returns { subject, text, html }, plus { headers, messageId }
+// for mail that replies should be threaded back to
+module.exports = {
+    emailVerification: ({ name, token }) => {
+        const url = link('/verify-email', token);
+        return {
+            subject: 'Verify your email address',
+            text: `Hi ${name},\n\nPlease confirm your email address by opening this link:\n${url}\n\nThe link expires in ${config.emailVerificationTtlHours} hours.`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p>Please confirm your email address:</p><p><a href="${escapeHtml(url)}">Verify email</a></p><p>The link expires in ${config.emailVerificationTtlHours} hours.</p>`
+        };
+    },
+    
+    passwordReset: ({ name, token }) => {
+        const url = link('/reset-password', token);
+        return {
+            subject: 'Reset your password',
+            text: `Hi ${name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${url}\n\nThe link expires in ${config.passwordResetTtlMinutes} minutes. If you did not ask for this, you can ignore this email.`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p>We received a request to reset your password.</p><p><a href="${escapeHtml(url)}">Choose a new password</a></p><p>The link expires in ${config.passwordResetTtlMinutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+        };
+    },
+    
+    // Generic ticket notification, used for every ticket lifecycle event
+    ticketNotification: ({ name, title, body, ticketId }) => {
+        const url = `${config.appUrl}/tickets/${ticketId}`;
+        return {
+            subject: `${subjectTag(ticketId)} ${title}`,
+            text: `Hi ${name},\n\n${body}\n\nView the ticket: ${url}`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p>${escapeHtml(body)}</p><p><a href="${escapeHtml(url)}">View the ticket</a></p>`,
+            ...ticketThread(ticketId)
+        };
+    },
+    
+    // Confirms a ticket opened by email; replying adds to the ticket
+    emailTicketReceived: ({ name, ticketId, subject }) => {
+        const url = `${config.appUrl}/tickets/${ticketId}`;
+        const about = subject ? ` about "${subject}"` : '';
+        return {
+            subject: `${subjectTag(ticketId)} We received your request`,
+            text: `Hi ${name},\n\nThanks for contacting support. We opened a ticket for your email${about} and will get back to you soon. You can reply to this email to add more information.\n\nView the ticket: ${url}`,
+            html: `<p>Hi ${escapeHtml(name)},</p><p>Thanks for contacting support. We opened a ticket for your email${escapeHtml(about)} and will get back to you soon. You can reply to this email to add more information.</p><p><a href="${escapeHtml(url)}">View the ticket</a></p>`,
+            ...ticketThread(ticketId)
+        };
+    },
+    
+    passwordChanged: ({ name }) => ({
+        subject: 'Your password was changed',
+        text: `Hi ${name},\n\nYour password was just changed and all sessions were signed out. If this wasn't you, contact support immediately.`,
+        html: `<p>Hi ${escapeHtml(name)},</p><p>Your password was just changed and all sessions were signed out. If this wasn't you, contact support immediately.</p>`
+    })
+};
@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const config = require('../../config/mail');
+
+// Ticket mail carries the ticket id three ways so that replies can be matched
+// back to it (services/inbound): a "[Ticket #id]" subject tag, an X-Ticket-ID
+// header, and a Message-ID that mail clients quote in In-Reply-To/References.
+
+const OBJECT_ID = '[a-f0-9]{24}';
+const SUBJECT_TAG = new RegExp(`\\[Ticket #(${OBJECT_ID})\\]`, 'i');
+const MESSAGE_ID_TAG = new RegExp(`<ticket-(${OBJECT_ID})\\.`, 'i');
+const TICKET_HEADER = new RegExp(`^\\s*(${OBJECT_ID})\\s*$`, 'i');
+
+const mailDomain = () => (config.from.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+
+const subjectTag = (ticketId) => `[Ticket #${ticketId}]`;
+
+// { headers, messageId } to send with a mail about the ticket
+const ticketThread = (ticketId) => ({
+    headers: { 'X-Ticket-ID': String(ticketId) },
+    messageId: `<ticket-${ticketId}.${crypto.randomBytes(8).toString('hex')}@${mailDomain()}>`
+});
+
+// Ticket id referenced by an inbound mail, or null.
+// references: the In-Reply-To and References message ids.
+const findTicketReference = ({ subject, ticketHeader, references = [] }) => {
+    const fromHeader = ticketHeader && String(ticketHeader).match(TICKET_HEADER);
+    if (fromHeader) return fromHeader[1].toLowerCase();
+    
+    for (const reference of references) {
+        const match = String(reference).match(MESSAGE_ID_TAG);
+        if (match) return match[1].toLowerCase();
+    }
+    
+    const fromSubject = subject && subject.match(SUBJECT_TAG);
+    return fromSubject ? fromSubject[1].toLowerCase() : null;
+};
+
+module.exports = { findTicketReference, subjectTag, ticketThread };
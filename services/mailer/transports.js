@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// A transport implements send(message) -> Promise<{ id }>
+// message = { from, to, subject, text, html, headers?, messageId? }
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+    
+    return {
+        name: 'smtp',
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+};
+
+// Writes every message as JSON into `dir` (local development and tests)
+const createFileTransport = ({ dir }) => ({
+    name: 'file',
+    async send(message) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(
+            path.join(dir, `${id}.json`),
+            JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+        );
+        return { id };
+    }
+});
+
+const createConsoleTransport = () => ({
+    name: 'console',
+    async send(message) {
+        console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return { id: `console-${Date.now()}` };
+    }
+});
+
+module.exports = {
+    createConsoleTransport,
+    createFileTransport,
+    createSmtpTransport
+};
@@ -0,0 +1,68 @@
+const Message = require('../models/Message');
+const { saveAttachments } = require('./attachments');
+const { ConflictError } = require('./errors');
+const { TICKET_EVENTS, publish } = require('./events');
+const { recordFirstResponse } = require('./sla');
+const { transitionStatus } = require('./ticketStatus');
+
+// Add a reply or internal note to a ticket the actor may already write to
+// (access checks are the caller's job). Keeps the SLA clock and workflow in
+// step with the conversation and publishes MESSAGE_ADDED. CLOSED tickets
+// take no more messages. Returns { message, attachments }.
+const postMessage = async (ticket, { body, internal = false, files, source }, actor) => {
+    if (ticket.status === 'CLOSED') {
+        throw new ConflictError('This ticket is closed. Please open a new ticket instead.', 'TICKET_CLOSED');
+    }
+    
+    const message = new Message({
+        ticket: ticket._id,
+        author: actor.id,
+        authorRole: actor.role,
+        body,
+        internal,
+        source
+    });
+    
+    await message.save();
+    
+    let attachments;
+    try {
+        attachments = await saveAttachments(files, {
+            ticket: ticket._id,
+            message: message._id,
+            internal: message.internal,
+            uploadedBy: actor.id
+        });
+    } catch (error) {
+        await Message.deleteOne({ _id: message._id });
+        throw error;
+    }
+    
+    if (!message.internal) {
+        if (actor.role !== 'CUSTOMER') {
+            recordFirstResponse(ticket);
+        } else if (ticket.status === 'WAITING_ON_CUSTOMER') {
+            transitionStatus(ticket, 'IN_PROGRESS', {
+                actor: actor.id,
+                role: 'CUSTOMER',
+                reason: 'Customer replied'
+            });
+            publish(TICKET_EVENTS.STATUS_CHANGED, {
+                ticket,
+                from: 'WAITING_ON_CUSTOMER',
+                to: 'IN_PROGRESS',
+                reason: 'Customer replied',
+                actor
+            });
+        }
+        if (ticket.isModified()) {
+            await ticket.save();
+        }
+    }
+    
+    publish(TICKET_EVENTS.MESSAGE_ADDED, { ticket, message, actor });
+    
+    return { message, attachments };
+};
+
+module.exports = { postMessage };
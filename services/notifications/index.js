@@ -0,0 +1,136 @@
+const User = require('../../models/UserModel');
+const Notification = require('../../models/Notification');
+const { TICKET_EVENTS, subscribe } = require('../events');
+const { sendTemplate } = require('../mailer');
+
+// Event type -> key in user.notificationPreferences
+const PREFERENCE_KEYS = {
+    [TICKET_EVENTS.CREATED]: 'ticketCreated',
+    [TICKET_EVENTS.STATUS_CHANGED]: 'statusChanged',
+    [TICKET_EVENTS.REASSIGNED]: 'reassigned',
+    [TICKET_EVENTS.MESSAGE_ADDED]: 'messageAdded',
+    [TICKET_EVENTS.CLAIMED]: 'reassigned',
+    [TICKET_EVENTS.TRANSFER_REQUESTED]: 'reassigned',
+    [TICKET_EVENTS.TRANSFER_DECLINED]: 'reassigned',
+    [TICKET_EVENTS.SURVEY_REQUESTED]: 'statusChanged',
+    [TICKET_EVENTS.SURVEY_SUBMITTED]: 'statusChanged'
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const shortIssue = (ticket) => {
+    const text = ticket.issueDetails || '';
+    return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+// Build { recipients: [userId], title, body } for an event.
+// The user who caused the event is never notified.
+const describe = (event, payload) => {
+    const { ticket, actor } = payload;
+    const customer = idOf(ticket.customer);
+    const agent = idOf(ticket.assignedAgent);
+    
+    switch (event) {
+        case TICKET_EVENTS.CREATED:
+            return {
+                recipients: [customer, agent],
+                title: 'New ticket created',
+                body: `Ticket "${shortIssue(ticket)}" was created.`
+            };
+        case TICKET_EVENTS.STATUS_CHANGED:
+            return {
+                recipients: [customer, agent],
+                title: `Status changed to ${payload.to}`,
+                body: `Ticket "${shortIssue(ticket)}" moved from ${payload.from} to ${payload.to}.`
+            };
+        case TICKET_EVENTS.REASSIGNED:
+            return {
+                recipients: [customer, idOf(payload.fromAgent), idOf(payload.toAgent)],
+                title: 'Ticket reassigned',
+                body: `Ticket "${shortIssue(ticket)}" has been assigned to a different agent.`
+            };
+        case TICKET_EVENTS.MESSAGE_ADDED:
+            return {
+                // Internal notes are for agents only
+                recipients: payload.message.internal ? [agent] : [customer, agent],
+                title: payload.message.internal ? 'New internal note' : 'New reply',
+                body: `A new ${payload.message.internal ? 'internal note' : 'reply'} was added to ticket "${shortIssue(ticket)}".`
+            };
+        case TICKET_EVENTS.CLAIMED:
+            return {
+                recipients: [customer],
+                title: 'An agent picked up your ticket',
+                body: `Ticket "${shortIssue(ticket)}" is now being handled by an agent.`
+            };
+        case TICKET_EVENTS.TRANSFER_REQUESTED:
+            return {
+                recipients: [idOf(payload.toAgent)],
+                title: payload.kind === 'ESCALATION' ? 'Escalation request' : 'Transfer request',
+                body: `You were asked to take over ticket "${shortIssue(ticket)}"${payload.reason ? `: ${payload.reason}` : ''}.`
+            };
+        case TICKET_EVENTS.TRANSFER_DECLINED:
+            return {
+                recipients: [idOf(payload.requestedBy)],
+                title: 'Transfer declined',
+                body: `Your transfer request for ticket "${shortIssue(ticket)}" was declined${payload.reason ? `: ${payload.reason}` : ''}.`
+            };
+        case TICKET_EVENTS.SURVEY_REQUESTED:
+            return {
+                recipients: [customer],
+                title: 'How did we do?',
+                body: `Ticket "${shortIssue(ticket)}" was resolved. Please rate the support you received.`
+            };
+        case TICKET_EVENTS.SURVEY_SUBMITTED:
+            return {
+                recipients: [idOf(payload.survey.agent)],
+                title: `Customer rating: ${payload.survey.rating}/5`,
+                body: `The customer rated ticket "${shortIssue(ticket)}" ${payload.survey.rating}/5.`
+            };
+        default:
+            return null;
+    }
+};
+
+const notify = async (payload, event) => {
+    const description = describe(event, payload);
+    if (!description) return;
+    
+    const actorId = payload.actor ? idOf(payload.actor.id) : null;
+    const recipientIds = [...new Set(description.recipients.filter(Boolean))]
+        .filter(id => id !== actorId);
+    if (recipientIds.length === 0) return;
+    
+    const users = await User.find({ _id: { $in: recipientIds }, active: { $ne: false } })
+        .select('name email notificationPreferences');
+    const preferenceKey = PREFERENCE_KEYS[event];
+    const ticketId = idOf(payload.ticket);
+    
+    await Promise.all(users.map(async (user) => {
+        const preference = (user.notificationPreferences && user.notificationPreferences[preferenceKey]) || {};
+        
+        if (preference.inApp !== false) {
+            await Notification.create({
+                user: user._id,
+                type: event,
+                title: description.title,
+                body: description.body,
+                ticket: ticketId
+            });
+        }
+        
+        if (preference.email !== false) {
+            await sendTemplate('ticketNotification', user.email, {
+                name: user.name,
+                title: description.title,
+                body: description.body,
+                ticketId
+            }).catch(err => console.error(`Notification email to ${user.email} failed:`, err));
+        }
+    }));
+};
+
+// Subscribe to every ticket event. Call once at startup.
+const registerNotificationHandlers = () => Object.values(TICKET_EVENTS)
+    .map(event => subscribe(event, notify));
+
+module.exports = { PREFERENCE_KEYS, notify, registerNotificationHandlers };
@@ -0,0 +1,43 @@
+const User = require('../models/UserModel');
+
+// {{placeholder}} substitution for canned responses and macro replies.
+// Only the names below are allowed; templates are checked when they are
+// saved (validators/cannedResponses.js) so a typo cannot reach a customer.
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+// name -> value read from { ticket, customer, agent }. `agent` is the person
+// using the template, `customer` the ticket's (populated) customer.
+const PLACEHOLDERS = {
+    'ticket.id': ({ ticket }) => ticket._id,
+    'ticket.status': ({ ticket }) => ticket.status,
+    'ticket.priority': ({ ticket }) => ticket.priority,
+    'ticket.category': ({ ticket }) => ticket.category,
+    'customer.name': ({ customer }) => customer && customer.name,
+    'customer.email': ({ customer }) => customer && customer.email,
+    'agent.name': ({ agent }) => agent && agent.name,
+    'agent.email': ({ agent }) => agent && agent.email
+};
+
+const placeholdersIn = (text) => [...text.matchAll(PLACEHOLDER)].map(match => match[1]);
+
+const unknownPlaceholders = (text) => [...new Set(placeholdersIn(text))]
+    .filter(name => !Object.hasOwn(PLACEHOLDERS, name));
+
+// Fill every placeholder; missing values (e.g. no category) become ''
+const renderTemplate = (text, context) => text.replace(PLACEHOLDER, (match, name) => {
+    if (!Object.hasOwn(PLACEHOLDERS, name)) return match;
+    const value = PLACEHOLDERS[name](context);
+    return value === undefined || value === null ? '' : String(value);
+});
+
+// Context for a ticket, used by the agent with id `agentId`
+const contextFor = async (ticket, agentId) => {
+    const [customer, agent] = await Promise.all([
+        User.findById(ticket.customer._id || ticket.customer).select('name email'),
+        User.findById(agentId).select('name email')
+    ]);
+    return { ticket, customer, agent };
+};
+
+module.exports = { PLACEHOLDERS, contextFor, renderTemplate, unknownPlaceholders };
@@ -0,0 +1,51 @@
+const config = require('../../config/rateLimit');
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+
+// A store implements:
+//   hit(key, windowMs) -> Promise<{ count, resetAt }>  (starts a new window when the last one is over)
+//   get(key) -> Promise<{ count, resetAt } | null>
+//   set(key, { count, resetAt }) -> Promise
+//   reset(key) -> Promise
+//   clear() -> Promise
+// Register new ones (e.g. Redis) with registerStore.
+const stores = {
+    memory: createMemoryStore,
+    mongo: createMongoStore
+};
+
+const instances = {};
+
+const registerStore = (name, factory) => {
+    stores[name] = factory;
+    delete instances[name];
+};
+
+const getStore = (name = config.store) => {
+    if (!instances[name]) {
+        const factory = stores[name];
+        if (!factory) {
+            throw new Error(`Unknown rate limit store: ${name}`);
+        }
+        instances[name] = factory();
+    }
+    return instances[name];
+};
+
+// Count one request against `limit` per window for key
+const consume = async (key, { limit, windowMs }) => {
+    const { count, resetAt } = await getStore().hit(key, windowMs);
+    const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+    return {
+        allowed: count <= limit,
+        limit,
+        remaining: Math.max(limit - count, 0),
+        resetAt,
+        retryAfter
+    };
+};
+
+// Forget every counter and lockout (tests, or an admin wiping the slate)
+const clearRateLimits = () => getStore().clear();
+
+module.exports = { clearRateLimits, consume, getStore, registerStore };
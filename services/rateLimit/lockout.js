@@ -0,0 +1,65 @@
+const { enabled, lockout: config } = require('../../config/rateLimit');
+const { getStore } = require('./index');
+const { TooManyRequestsError } = require('../errors');
+
+// Progressive lockout of an email address after repeated failed logins.
+// Keyed by the email as typed (normalised), so unknown addresses lock the
+// same way as real ones and nothing reveals which accounts exist.
+
+const MINUTE = 60 * 1000;
+
+const failuresKey = (email) => `login:failures:${email}`;
+const lockKey = (email) => `login:locked:${email}`;
+const levelKey = (email) => `login:lockouts:${email}`;
+
+// Lockout length for the n-th lockout in a row: base, 2x base, 4x base, ... up to max
+const lockoutMinutes = (level) => Math.min(config.baseMinutes * 2 ** (level - 1), config.maxMinutes);
+
+const lockedError = (resetAt) => {
+    const retryAfter = Math.max(Math.ceil((resetAt.getTime() - Date.now()) / 1000), 1);
+    return new TooManyRequestsError(
+        'Too many failed login attempts. Try again later.',
+        'ACCOUNT_LOCKED',
+        retryAfter
+    );
+};
+
+// Throws while the email is locked
+const assertNotLocked = async (email) => {
+    if (!enabled) return;
+    const lock = await getStore().get(lockKey(email));
+    if (lock) {
+        throw lockedError(lock.resetAt);
+    }
+};
+
+// Count a failed login. Returns the lock when this failure triggered one.
+const recordFailure = async (email) => {
+    if (!enabled) return null;
+    const store = getStore();
+    const failures = await store.hit(failuresKey(email), config.failureWindowMinutes * MINUTE);
+    if (failures.count < config.threshold) return null;
+    
+    const level = await store.hit(levelKey(email), config.resetHours * 60 * MINUTE);
+    const resetAt = new Date(Date.now() + lockoutMinutes(level.count) * MINUTE);
+    await store.set(lockKey(email), { count: level.count, resetAt });
+    await store.reset(failuresKey(email));
+    return { level: level.count, resetAt };
+};
+
+// A successful login clears failures and the lockout history
+const recordSuccess = async (email) => {
+    const store = getStore();
+    await Promise.all([
+        store.reset(failuresKey(email)),
+        store.reset(levelKey(email))
+    ]);
+};
+
+module.exports = {
+    assertNotLocked,
+    lockedError,
+    lockoutMinutes,
+    recordFailure,
+    recordSuccess
+};
@@ -0,0 +1,54 @@
+// Counters kept in this process. Fine for a single instance; use the mongo
+// store when several instances must share limits.
+const createMemoryStore = () => {
+    const entries = new Map();
+    let lastSweep = Date.now();
+    
+    // Drop expired entries now and then instead of running a timer
+    const sweep = (now) => {
+        if (now - lastSweep < 60 * 1000) return;
+        lastSweep = now;
+        for (const [key, entry] of entries) {
+            if (entry.resetAt.getTime() <= now) entries.delete(key);
+        }
+    };
+    
+    const live = (key, now) => {
+        const entry = entries.get(key);
+        if (!entry || entry.resetAt.getTime() <= now) return null;
+        return entry;
+    };
+    
+    return {
+        name: 'memory',
+        
+        async hit(key, windowMs) {
+            const now = Date.now();
+            sweep(now);
+            
+            const entry = live(key, now) || { count: 0, resetAt: new Date(now + windowMs) };
+            entry.count += 1;
+            entries.set(key, entry);
+            return { ...entry };
+        },
+        
+        async get(key) {
+            const entry = live(key, Date.now());
+            return entry ? { ...entry } : null;
+        },
+        
+        async set(key, { count, resetAt }) {
+            entries.set(key, { count, resetAt });
+        },
+        
+        async reset(key) {
+            entries.delete(key);
+        },
+        
+        async clear() {
+            entries.clear();
+        }
+    };
+};
+
+module.exports = createMemoryStore;
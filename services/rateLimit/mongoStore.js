@@ -0,0 +1,51 @@
+const RateLimit = require('../../models/RateLimit');
+
+// Counters in MongoDB so every instance sees the same numbers.
+// The TTL index only cleans up; expiry is checked against resetAt on every read.
+const createMongoStore = () => ({
+    name: 'mongo',
+    
+    // One atomic upsert: start a new window when the old one is over,
+    // otherwise add one to the count
+    async hit(key, windowMs, retried = false) {
+        const now = new Date();
+        const current = { $gt: ['$resetAt', now] };
+        let entry;
+        try {
+            entry = await RateLimit.findOneAndUpdate(
+                { key },
+                [{
+                    $set: {
+                        count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+                        resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] }
+                    }
+                }],
+                { upsert: true, new: true, updatePipeline: true }
+            ).lean();
+        } catch (error) {
+            // Two first hits raced to insert the key; the loser just counts again
+            if (error.code === 11000 && !retried) return this.hit(key, windowMs, true);
+            throw error;
+        }
+        return { count: entry.count, resetAt: entry.resetAt };
+    },
+    
+    async get(key) {
+        const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+        return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    
+    async set(key, { count, resetAt }) {
+        await RateLimit.updateOne({ key }, { count, resetAt }, { upsert: true });
+    },
+    
+    async reset(key) {
+        await RateLimit.deleteOne({ key });
+    },
+    
+    async clear() {
+        await RateLimit.deleteMany({});
+    }
+});
+
+module.exports = createMongoStore;
@@ -0,0 +1,234 @@
+const Counter = require('../../models/Counter');
+const RealtimeEvent = require('../../models/RealtimeEvent');
+const config = require('../../config/realtime');
+const { TICKET_EVENTS, subscribe } = require('../events');
+const { teamMemberIds } = require('../teams');
+
+// Roles that see every ticket event
+const GLOBAL_ROLES = ['ADMIN'];
+
+// userId -> Set of connected clients on this server instance
+const clients = new Map();
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const ticketSummary = (ticket) => ({
+    id: idOf(ticket),
+    status: ticket.status,
+    priority: ticket.priority,
+    customer: idOf(ticket.customer),
+    assignedAgent: idOf(ticket.assignedAgent),
+    team: idOf(ticket.team),
+    updatedAt: ticket.updatedAt
+});
+
+// Who may see the event and what it carries
+const describe = async (event, payload) => {
+    const { ticket } = payload;
+    const customer = idOf(ticket.customer);
+    const agent = idOf(ticket.assignedAgent);
+    const data = { ticket: ticketSummary(ticket) };
+    let audience = [customer, agent];
+    
+    switch (event) {
+        case TICKET_EVENTS.CREATED:
+            // Unassigned tickets are visible to the whole team queue
+            if (!agent && ticket.team) {
+                audience.push(...(await teamMemberIds(idOf(ticket.team))).map(idOf));
+            }
+            break;
+        case TICKET_EVENTS.CLAIMED:
+            // Lets other team members drop it from their queue view
+            if (ticket.team) {
+                audience.push(...(await teamMemberIds(idOf(ticket.team))).map(idOf));
+            }
+            break;
+        case TICKET_EVENTS.STATUS_CHANGED:
+            Object.assign(data, { from: payload.from, to: payload.to });
+            break;
+        case TICKET_EVENTS.REASSIGNED:
+            // The previous agent needs to learn the ticket left their queue
+            audience.push(idOf(payload.fromAgent), idOf(payload.toAgent));
+            Object.assign(data, { fromAgent: idOf(payload.fromAgent), toAgent: idOf(payload.toAgent) });
+            break;
+        case TICKET_EVENTS.MESSAGE_ADDED:
+            if (payload.message.internal) {
+                audience = [agent];
+            }
+            data.message = {
+                id: idOf(payload.message),
+                author: idOf(payload.message.author),
+                internal: payload.message.internal
+            };
+            break;
+        // Transfers only concern the agents involved
+        case TICKET_EVENTS.TRANSFER_REQUESTED:
+            audience = [agent, idOf(payload.toAgent)];
+            Object.assign(data, { toAgent: idOf(payload.toAgent), kind: payload.kind });
+            break;
+        case TICKET_EVENTS.TRANSFER_DECLINED:
+            audience = [agent, idOf(payload.requestedBy)];
+            break;
+        default:
+            break;
+    }
+    
+    return { audience: [...new Set(audience.filter(Boolean))], data };
+};
+
+const canReceive = (client, record) => GLOBAL_ROLES.includes(client.role)
+    || record.audience.some(id => id.toString() === client.userId);
+
+const write = (client, record) => {
+    if (record.seq <= client.lastSeq) return;
+    client.lastSeq = record.seq;
+    client.res.write(`id: ${record.seq}\nevent: ${record.type}\ndata: ${JSON.stringify(record.data)}\n\n`);
+};
+
+const deliver = (record) => {
+    for (const set of clients.values()) {
+        for (const client of set) {
+            if (!canReceive(client, record)) continue;
+            // Clients still replaying get it after their backlog
+            if (client.pending) {
+                client.pending.push(record);
+            } else {
+                write(client, record);
+            }
+        }
+    }
+};
+
+// Events are stored one at a time so live clients see sequence numbers in order
+let queue = Promise.resolve();
+
+// Persist an event with the next sequence number and push it to live clients.
+// Only clients on this process get it live; there is no channel between
+// instances, so others only pick it up on reconnect. Hence one instance only.
+const handleTicketEvent = (payload, event) => {
+    queue = queue.catch(() => {}).then(async () => {
+        const { audience, data } = await describe(event, payload);
+        const record = await RealtimeEvent.create({
+            seq: await Counter.next('realtimeEvents'),
+            type: event,
+            ticket: idOf(payload.ticket),
+            audience,
+            roles: GLOBAL_ROLES,
+            data: { ...data, occurredAt: payload.occurredAt }
+        });
+        deliver(record);
+    });
+    
+    return queue;
+};
+
+const registerRealtimeHandlers = () => Object.values(TICKET_EVENTS)
+    .map(event => subscribe(event, handleTicketEvent));
+
+// Send everything after lastSeq the user may see. Returns false when the
+// backlog is too old or too long to replay, in which case the client resyncs.
+const replay = async (client, lastSeq) => {
+    const query = { seq: { $gt: lastSeq } };
+    if (!GLOBAL_ROLES.includes(client.role)) {
+        query.audience = client.userId;
+    }
+    
+    const oldest = await RealtimeEvent.findOne().sort({ seq: 1 }).select('seq');
+    if (oldest && oldest.seq > lastSeq + 1) {
+        return false;
+    }
+    
+    const events = await RealtimeEvent.find(query).sort({ seq: 1 }).limit(config.replayLimit + 1);
+    if (events.length > config.replayLimit) {
+        return false;
+    }
+    
+    events.forEach(record => write(client, record));
+    return true;
+};
+
+const addClient = (client) => {
+    if (!clients.has(client.userId)) clients.set(client.userId, new Set());
+    clients.get(client.userId).add(client);
+};
+
+const removeClient = (client) => {
+    const set = clients.get(client.userId);
+    if (!set) return;
+    set.delete(client);
+    if (set.size === 0) clients.delete(client.userId);
+};
+
+// Turn the response into an SSE stream for req.user.
+// Resumes after the Last-Event-ID header (or ?lastEventId=) when given.
+const openStream = async (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: 3000\n\n`);
+    
+    const lastSeq = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+    const client = {
+        userId: req.user.userId.toString(),
+        role: req.user.role,
+        res,
+        lastSeq: Number.isNaN(lastSeq) ? 0 : lastSeq,
+        pending: Number.isNaN(lastSeq) ? null : []
+    };
+    
+    // Register before replaying so nothing published meanwhile is lost
+    addClient(client);
+    
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), config.heartbeatSeconds * 1000);
+    
+    // Close when the access token expires; the client reconnects with a fresh one
+    let expiry;
+    if (req.user.exp) {
+        const ms = req.user.exp * 1000 - Date.now();
+        expiry = setTimeout(() => {
+            res.write(`event: token_expired\ndata: {}\n\n`);
+            res.end();
+        }, Math.max(ms, 0));
+    }
+    
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        removeClient(client);
+    });
+    
+    if (client.pending) {
+        try {
+            const complete = await replay(client, client.lastSeq);
+            if (!complete) {
+                res.write(`event: resync\ndata: {}\n\n`);
+            }
+        } catch (error) {
+            console.error('Realtime replay error:', error);
+            res.write(`event: resync\ndata: {}\n\n`);
+        }
+        const pending = client.pending;
+        client.pending = null;
+        pending.forEach(record => write(client, record));
+    }
+    
+    res.write(`event: ready\ndata: ${JSON.stringify({ lastEventId: client.lastSeq })}\n\n`);
+};
+
+// End every open stream, e.g. on shutdown. Clients reconnect with their
+// Last-Event-ID and pick up where they left off.
+const closeAllStreams = () => {
+    let count = 0;
+    for (const set of clients.values()) {
+        for (const client of set) {
+            client.res.end();
+            count++;
+        }
+    }
+    return count;
+};
+
+module.exports = { closeAllStreams, openStream, registerRealtimeHandlers };
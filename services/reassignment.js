@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const User = require('../models/UserModel');
+const config = require('../config/reassignment');
+const { TICKET_EVENTS, publish } = require('./events');
+const { AppError } = require('./errors');
+
+class ReassignmentError extends AppError {
+    constructor(message, statusCode = 400, code = 'REASSIGNMENT_REJECTED') {
+        super(message, { statusCode, code });
+    }
+}
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+// ESCALATION when the target sits in a higher tier, LATERAL otherwise
+const classify = (fromAgent, toAgent) => (
+    fromAgent && (toAgent.tier || 1) > (fromAgent.tier || 1) ? 'ESCALATION' : 'LATERAL'
+);
+
+// Load the target agent or throw
+const findTargetAgent = async (agentId) => {
+    const agent = mongoose.isValidObjectId(agentId) && await User.findOne({
+        _id: agentId,
+        role: 'AGENT',
+        active: { $ne: false }
+    });
+    if (!agent) {
+        throw new ReassignmentError('New agent not found or not an active agent', 404, 'AGENT_NOT_FOUND');
+    }
+    return agent;
+};
+
+// Check a proposed move against the policy. Returns the move kind.
+// Forced (admin) moves only need a valid target and a reason.
+const checkPolicy = (ticket, { fromAgent, toAgent, reason, forced = false }) => {
+    if (idOf(ticket.assignedAgent) === idOf(toAgent)) {
+        throw new ReassignmentError('Ticket is already assigned to this agent', 400, 'ALREADY_ASSIGNED');
+    }
+    
+    if ((config.requireReason || forced) && (!reason || !String(reason).trim())) {
+        throw new ReassignmentError('A reason is required to reassign a ticket', 400, 'REASON_REQUIRED');
+    }
+    
+    if (['RESOLVED', 'CLOSED'].includes(ticket.status) && !forced) {
+        throw new ReassignmentError(`A ${ticket.status} ticket cannot be reassigned`, 409, 'TICKET_NOT_REASSIGNABLE');
+    }
+    
+    const kind = classify(fromAgent, toAgent);
+    if (forced) return kind;
+    
+    if (kind === 'ESCALATION' && (ticket.escalationCount || 0) >= config.maxEscalations) {
+        throw new ReassignmentError(
+            `Ticket has reached the maximum of ${config.maxEscalations} escalation(s)`, 409, 'ESCALATION_LIMIT_REACHED'
+        );
+    }
+    
+    if (kind === 'LATERAL' && (ticket.reassignmentCount || 0) >= config.maxReassignments) {
+        throw new ReassignmentError(
+            `Ticket can only be reassigned ${config.maxReassignments} time(s). Escalate to a higher tier or ask an admin.`, 409, 'REASSIGNMENT_LIMIT_REACHED'
+        );
+    }
+    
+    return kind;
+};
+
+// Move the ticket to toAgent, record it and publish the event. Saves the ticket.
+const applyReassignment = async (ticket, { fromAgent, toAgent, reason, actor, outcome, forced = false }) => {
+    const kind = checkPolicy(ticket, { fromAgent, toAgent, reason, forced });
+    const previousAgent = ticket.assignedAgent;
+    
+    // A direct move supersedes any open transfer request
+    if (ticket.pendingTransfer && outcome !== 'ACCEPTED') {
+        recordTransferOutcome(ticket, { outcome: 'CANCELLED', reason: 'Superseded by a reassignment', actor });
+    }
+    
+    ticket.reassignmentHistory.push({
+        fromAgent: previousAgent,
+        toAgent: toAgent._id,
+        performedBy: actor.id,
+        reason: reason ? String(reason).trim() : undefined,
+        kind,
+        outcome,
+        forced,
+        timestamp: new Date()
+    });
+    
+    ticket.assignedAgent = toAgent._id;
+    ticket.pendingTransfer = null;
+    
+    // Forced moves don't use up the agents' allowance
+    if (!forced) {
+        if (kind === 'ESCALATION') {
+            ticket.escalationCount = (ticket.escalationCount || 0) + 1;
+        } else {
+            ticket.reassignmentCount = (ticket.reassignmentCount || 0) + 1;
+        }
+    }
+    
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.REASSIGNED, {
+        ticket,
+        fromAgent: previousAgent,
+        toAgent: toAgent._id,
+        reason,
+        kind,
+        forced,
+        actor
+    });
+    
+    return ticket;
+};
+
+// Record a transfer decision that did not move the ticket (declined, cancelled, expired)
+const recordTransferOutcome = (ticket, { outcome, reason, actor }) => {
+    const pending = ticket.pendingTransfer;
+    ticket.reassignmentHistory.push({
+        fromAgent: ticket.assignedAgent,
+        toAgent: pending.toAgent,
+        performedBy: actor.id,
+        reason: reason ? String(reason).trim() : pending.reason,
+        kind: pending.kind,
+        outcome,
+        timestamp: new Date()
+    });
+    ticket.pendingTransfer = null;
+};
+
+const transferExpired = (ticket, now = new Date()) => Boolean(
+    ticket.pendingTransfer && ticket.pendingTransfer.expiresAt && ticket.pendingTransfer.expiresAt <= now
+);
+
+module.exports = {
+    ReassignmentError,
+    applyReassignment,
+    checkPolicy,
+    classify,
+    findTargetAgent,
+    recordTransferOutcome,
+    transferExpired
+};
@@ -0,0 +1,47 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Minimal RFC 4180 CSV helpers, plus streaming of line-based downloads
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    // Customer text such as "=HYPERLINK(...)" is kept as text. Numbers
+    // (e.g. -5) cannot be formulas and stay numbers.
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCell).join(',')}\r\n`;
+
+// Send the strings of an (async) iterable as the response body, waiting
+// for the client to keep up. If the client goes away the iterable is
+// stopped early (its `finally` blocks run), so cursors behind it close.
+const streamLines = async (res, lines) => {
+    try {
+        await pipeline(Readable.from(lines, { objectMode: false }), res);
+    } catch (error) {
+        // Client disconnected mid-download; nothing left to answer
+        if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw error;
+    }
+};
+
+// Write rows from an (async) iterable as CSV, one line at a time
+const streamCsv = (res, columns, rows, filename) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    
+    return streamLines(res, (async function* () {
+        yield toCsvLine(columns);
+        for await (const row of rows) {
+            yield toCsvLine(columns.map(column => row[column]));
+        }
+    })());
+};
+
+module.exports = { streamCsv, streamLines, toCsvLine };
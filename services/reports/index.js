@@ -0,0 +1,362 @@
+const ArticleSuggestion = require('../../models/ArticleSuggestion');
+const Ticket = require('../../models/Ticket');
+const Survey = require('../../models/Survey');
+const csatConfig = require('../../config/csat');
+const kbConfig = require('../../config/kb');
+const { ValidationError } = require('../errors');
+
+class ReportError extends ValidationError {
+    constructor(message) {
+        super(message, undefined, 'INVALID_REPORT_OPTIONS');
+    }
+}
+
+const GROUP_BY = ['agent', 'status', 'priority', 'day', 'week', 'none'];
+const MOVE_OUTCOMES = ['REASSIGNED', 'ACCEPTED', 'FORCED'];
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+// ?from=&to=&groupBy= -> { from, to, groupBy }. Defaults to the last 30 days.
+// A report may narrow the allowed groupBy values.
+const parseOptions = (query, { defaultGroupBy = 'none', groupBy: allowed = GROUP_BY } = {}) => {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY);
+    
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        throw new ReportError('from and to must be valid dates');
+    }
+    if (from > to) {
+        throw new ReportError('from must be before to');
+    }
+    
+    const groupBy = query.groupBy || defaultGroupBy;
+    if (!allowed.includes(groupBy)) {
+        throw new ReportError(`groupBy must be one of: ${allowed.join(', ')}`);
+    }
+    
+    return { from, to, groupBy };
+};
+
+// Group key expression. Time buckets use `dateField` (UTC).
+const groupKey = (groupBy, dateField = '$createdAt', agentField = '$assignedAgent') => {
+    switch (groupBy) {
+        case 'agent': return agentField;
+        case 'status': return '$status';
+        case 'priority': return '$priority';
+        case 'day': return { $dateToString: { format: '%Y-%m-%d', date: dateField } };
+        case 'week': return { $dateToString: { format: '%G-W%V', date: dateField } };
+        default: return 'all';
+    }
+};
+
+// Resolve agent ids to names when grouping by agent
+const withAgentNames = (groupBy) => (groupBy !== 'agent' ? [] : [
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'agent' } },
+    { $addFields: { agentName: { $ifNull: [{ $arrayElemAt: ['$agent.name', 0] }, 'Unassigned'] } } },
+    { $project: { agent: 0 } }
+]);
+
+const toRow = ({ _id, ...metrics }) => ({ group: _id === null ? 'unassigned' : String(_id), ...metrics });
+
+const round = (value, digits = 2) => (value === null || value === undefined
+    ? null
+    : Math.round(value * 10 ** digits) / 10 ** digits);
+
+// Tickets opened and resolved per group
+const volume = async ({ from, to, groupBy }) => {
+    const [opened, resolved] = await Promise.all([
+        Ticket.aggregate([
+            { $match: { createdAt: { $gte: from, $lte: to } } },
+            { $group: { _id: groupKey(groupBy), opened: { $sum: 1 } } },
+            ...withAgentNames(groupBy)
+        ]),
+        Ticket.aggregate([
+            { $unwind: '$statusHistory' },
+            { $match: { 'statusHistory.to': 'RESOLVED', 'statusHistory.timestamp': { $gte: from, $lte: to } } },
+            { $group: { _id: groupKey(groupBy, '$statusHistory.timestamp'), resolved: { $sum: 1 } } },
+            ...withAgentNames(groupBy)
+        ])
+    ]);
+    
+    const rows = new Map();
+    for (const item of [...opened, ...resolved]) {
+        const row = toRow(item);
+        rows.set(row.group, { opened: 0, resolved: 0, ...rows.get(row.group), ...row });
+    }
+    
+    return [...rows.values()].sort((a, b) => a.group.localeCompare(b.group));
+};
+
+// Mean time to first response and to resolution, over tickets created in the range
+const responseTimes = ({ from, to, groupBy }) => Ticket.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+        $project: {
+            createdAt: 1,
+            assignedAgent: 1,
+            status: 1,
+            priority: 1,
+            firstResponseMs: { $subtract: ['$sla.firstRespondedAt', '$createdAt'] },
+            resolutionMs: { $subtract: [{ $ifNull: ['$resolvedAt', '$closedAt'] }, '$createdAt'] }
+        }
+    },
+    {
+        $group: {
+            _id: groupKey(groupBy),
+            tickets: { $sum: 1 },
+            responded: { $sum: { $cond: [{ $ne: ['$firstResponseMs', null] }, 1, 0] } },
+            resolved: { $sum: { $cond: [{ $ne: ['$resolutionMs', null] }, 1, 0] } },
+            avgFirstResponseMs: { $avg: '$firstResponseMs' },
+            avgResolutionMs: { $avg: '$resolutionMs' }
+        }
+    },
+    ...withAgentNames(groupBy),
+    { $sort: { _id: 1 } }
+]).cursor();
+
+const formatResponseTimes = (row) => {
+    const { avgFirstResponseMs, avgResolutionMs, ...rest } = toRow(row);
+    return {
+        ...rest,
+        avgFirstResponseMinutes: round(avgFirstResponseMs / MINUTE),
+        avgResolutionMinutes: round(avgResolutionMs / MINUTE)
+    };
+};
+
+// Current load per agent, plus what they resolved in the range
+const workload = ({ from, to }) => Ticket.aggregate([
+    { $match: { assignedAgent: { $ne: null } } },
+    {
+        $group: {
+            _id: '$assignedAgent',
+            open: { $sum: { $cond: [{ $eq: ['$status', 'OPEN'] }, 1, 0] } },
+            inProgress: { $sum: { $cond: [{ $eq: ['$status', 'IN_PROGRESS'] }, 1, 0] } },
+            waitingOnCustomer: { $sum: { $cond: [{ $eq: ['$status', 'WAITING_ON_CUSTOMER'] }, 1, 0] } },
+            resolvedInRange: {
+                $sum: {
+                    $cond: [{
+                        $and: [
+                            { $gte: ['$resolvedAt', from] },
+                            { $lte: ['$resolvedAt', to] }
+                        ]
+                    }, 1, 0]
+                }
+            },
+            breachedOpen: {
+                $sum: {
+                    $cond: [{
+                        $and: [
+                            { $eq: ['$sla.state', 'BREACHED'] },
+                            { $in: ['$status', ['OPEN', 'IN_PROGRESS', 'WAITING_ON_CUSTOMER']] }
+                        ]
+                    }, 1, 0]
+                }
+            }
+        }
+    },
+    { $addFields: { active: { $add: ['$open', '$inProgress', '$waitingOnCustomer'] } } },
+    ...withAgentNames('agent'),
+    { $sort: { active: -1 } }
+]).cursor();
+
+// Share of tickets that were moved at least once. Grouping by agent uses the
+// agent the ticket was originally assigned to.
+const reassignments = ({ from, to, groupBy }) => Ticket.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to } } },
+    {
+        $addFields: {
+            moves: {
+                $size: {
+                    $filter: {
+                        input: '$reassignmentHistory',
+                        cond: { $in: ['$$this.outcome', MOVE_OUTCOMES] }
+                    }
+                }
+            },
+            originalAgent: { $ifNull: [{ $arrayElemAt: ['$reassignmentHistory.fromAgent', 0] }, '$assignedAgent'] }
+        }
+    },
+    {
+        $group: {
+            _id: groupKey(groupBy, '$createdAt', '$originalAgent'),
+            tickets: { $sum: 1 },
+            reassignedTickets: { $sum: { $cond: [{ $gt: ['$moves', 0] }, 1, 0] } },
+            totalMoves: { $sum: '$moves' },
+            escalations: { $sum: '$escalationCount' }
+        }
+    },
+    { $addFields: { reassignmentRate: { $cond: [{ $gt: ['$tickets', 0] }, { $divide: ['$reassignedTickets', '$tickets'] }, 0] } } },
+    ...withAgentNames(groupBy),
+    { $sort: { _id: 1 } }
+]).cursor();
+
+// SLA compliance over tickets created in the range
+const slaCompliance = ({ from, to, groupBy }) => Ticket.aggregate([
+    { $match: { createdAt: { $gte: from, $lte: to }, 'sla.resolutionDueAt': { $exists: true } } },
+    {
+        $group: {
+            _id: groupKey(groupBy),
+            tickets: { $sum: 1 },
+            firstResponseBreached: { $sum: { $cond: ['$sla.firstResponseBreached', 1, 0] } },
+            resolutionBreached: { $sum: { $cond: ['$sla.resolutionBreached', 1, 0] } },
+            breached: { $sum: { $cond: [{ $eq: ['$sla.state', 'BREACHED'] }, 1, 0] } },
+            atRisk: { $sum: { $cond: [{ $eq: ['$sla.state', 'AT_RISK'] }, 1, 0] } }
+        }
+    },
+    {
+        $addFields: {
+            complianceRate: { $divide: [{ $subtract: ['$tickets', '$breached'] }, '$tickets'] },
+            firstResponseComplianceRate: { $divide: [{ $subtract: ['$tickets', '$firstResponseBreached'] }, '$tickets'] },
+            resolutionComplianceRate: { $divide: [{ $subtract: ['$tickets', '$resolutionBreached'] }, '$tickets'] }
+        }
+    },
+    ...withAgentNames(groupBy),
+    { $sort: { _id: 1 } }
+]).cursor();
+
+// Customer satisfaction over surveys answered in the range. Ratings replaced
+// by a later survey on the same ticket are left out.
+const csat = ({ from, to, groupBy }) => Survey.aggregate([
+    { $match: { status: 'ANSWERED', answeredAt: { $gte: from, $lte: to }, supersededAt: null } },
+    {
+        $group: {
+            _id: groupKey(groupBy, '$answeredAt', '$agent'),
+            responses: { $sum: 1 },
+            averageRating: { $avg: '$rating' },
+            satisfied: { $sum: { $cond: [{ $gte: ['$rating', csatConfig.satisfiedRating] }, 1, 0] } },
+            reopenedAfterRating: { $sum: { $cond: [{ $gt: ['$reopenedAt', null] }, 1, 0] } }
+        }
+    },
+    { $addFields: { csatRate: { $divide: ['$satisfied', '$responses'] } } },
+    ...withAgentNames(groupBy),
+    { $sort: { _id: 1 } }
+]).cursor();
+
+// Knowledge base suggestions made in the range and what followed. A
+// suggestion with articles that saw no ticket within the deflection window
+// counts as deflected, as does one the customer marked as answered.
+const deflection = ({ from, to, groupBy }) => {
+    const cutoff = new Date(Date.now() - kbConfig.deflectionWindowHours * HOUR);
+    const suggested = { $gt: [{ $size: '$articles' }, 0] };
+    
+    return ArticleSuggestion.aggregate([
+        { $match: { createdAt: { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: groupKey(groupBy),
+                suggestions: { $sum: 1 },
+                noResults: { $sum: { $cond: [suggested, 0, 1] } },
+                viewed: { $sum: { $cond: [{ $gt: [{ $size: '$viewedArticles' }, 0] }, 1, 0] } },
+                answered: { $sum: { $cond: [{ $eq: ['$outcome', 'ANSWERED'] }, 1, 0] } },
+                abandoned: {
+                    $sum: {
+                        $cond: [{
+                            $and: [
+                                suggested,
+                                { $eq: ['$outcome', 'PENDING'] },
+                                { $lt: ['$createdAt', cutoff] }
+                            ]
+                        }, 1, 0]
+                    }
+                },
+                ticketsCreated: {
+                    $sum: { $cond: [{ $and: [suggested, { $eq: ['$outcome', 'TICKET_CREATED'] }] }, 1, 0] }
+                }
+            }
+        },
+        { $addFields: { deflected: { $add: ['$answered', '$abandoned'] } } },
+        {
+            $addFields: {
+                deflectionRate: {
+                    $cond: [
+                        { $gt: [{ $add: ['$deflected', '$ticketsCreated'] }, 0] },
+                        { $divide: ['$deflected', { $add: ['$deflected', '$ticketsCreated'] }] },
+                        null
+                    ]
+                }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]).cursor();
+};
+
+const formatRates = (row) => {
+    const formatted = toRow(row);
+    for (const key of Object.keys(formatted)) {
+        if (key.endsWith('Rate')) formatted[key] = round(formatted[key], 4);
+    }
+    return formatted;
+};
+
+// Report name -> { run(options), format(row), columns, defaultGroupBy, groupBy? }
+// run returns an array or an aggregation cursor
+const REPORTS = {
+    volume: {
+        run: volume,
+        format: row => row,
+        columns: ['group', 'agentName', 'opened', 'resolved'],
+        defaultGroupBy: 'day'
+    },
+    'response-times': {
+        run: responseTimes,
+        format: formatResponseTimes,
+        columns: ['group', 'agentName', 'tickets', 'responded', 'resolved', 'avgFirstResponseMinutes', 'avgResolutionMinutes'],
+        defaultGroupBy: 'none'
+    },
+    workload: {
+        run: workload,
+        format: toRow,
+        columns: ['group', 'agentName', 'open', 'inProgress', 'waitingOnCustomer', 'active', 'breachedOpen', 'resolvedInRange'],
+        defaultGroupBy: 'agent',
+        // Always per agent
+        groupBy: ['agent']
+    },
+    reassignments: {
+        run: reassignments,
+        format: formatRates,
+        columns: ['group', 'agentName', 'tickets', 'reassignedTickets', 'totalMoves', 'escalations', 'reassignmentRate'],
+        defaultGroupBy: 'none'
+    },
+    sla: {
+        run: slaCompliance,
+        format: formatRates,
+        columns: ['group', 'agentName', 'tickets', 'breached', 'atRisk', 'firstResponseBreached', 'resolutionBreached', 'complianceRate', 'firstResponseComplianceRate', 'resolutionComplianceRate'],
+        defaultGroupBy: 'none'
+    },
+    csat: {
+        run: csat,
+        format: (row) => ({ ...formatRates(row), averageRating: round(row.averageRating) }),
+        columns: ['group', 'agentName', 'responses', 'averageRating', 'satisfied', 'csatRate', 'reopenedAfterRating'],
+        defaultGroupBy: 'agent',
+        groupBy: ['agent', 'priority', 'day', 'week', 'none']
+    },
+    deflection: {
+        run: deflection,
+        format: formatRates,
+        columns: ['group', 'suggestions', 'noResults', 'viewed', 'answered', 'abandoned', 'ticketsCreated', 'deflected', 'deflectionRate'],
+        defaultGroupBy: 'none',
+        groupBy: ['day', 'week', 'none']
+    }
+};
+
+// Async iterable of formatted rows for a report
+async function* reportRows(report, options) {
+    const source = await report.run(options);
+    try {
+        for await (const row of source) {
+            yield report.format(row);
+        }
+    } finally {
+        // Also when stopped early, e.g. by a client leaving a CSV download
+        if (typeof source.close === 'function') await source.close();
+    }
+}
+
+module.exports = {
+    GROUP_BY,
+    REPORTS,
+    ReportError,
+    parseOptions,
+    reportRows
+};
@@ -0,0 +1,30 @@
+const { ForbiddenError, NotFoundError } = require('./errors');
+
+// Canned responses and macros share one ownership model: SHARED items are
+// visible to every agent and admin but only changed by holders of the
+// matching manage permission; PERSONAL items exist for their owner alone.
+
+const visibleTo = (userId) => ({
+    $or: [
+        { scope: 'SHARED' },
+        { scope: 'PERSONAL', owner: userId }
+    ]
+});
+
+// Someone else's personal item is reported as missing, not forbidden
+const findVisible = async (Model, id, userId, { message, code }) => {
+    const item = await Model.findOne({ _id: id, ...visibleTo(userId) });
+    if (!item) {
+        throw new NotFoundError(message, code);
+    }
+    return item;
+};
+
+// Creating, changing or deleting a SHARED item needs the manage permission
+const assertCanManage = (scope, canManageShared) => {
+    if (scope === 'SHARED' && !canManageShared) {
+        throw new ForbiddenError('Only admins can manage shared items', 'SHARED_ITEM_FORBIDDEN');
+    }
+};
+
+module.exports = { assertCanManage, findVisible, visibleTo };
@@ -0,0 +1,117 @@
+const config = require('../config/sla');
+
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'URGENT'];
+
+// Statuses in which the SLA clock does not run
+const PAUSED_STATUSES = ['WAITING_ON_CUSTOMER', 'RESOLVED', 'CLOSED'];
+
+const MINUTE = 60 * 1000;
+
+// Fill ticket.sla for a new ticket based on its priority
+const applyPolicy = (ticket, now = new Date()) => {
+    const policy = config.policies[ticket.priority] || config.policies.MEDIUM;
+    
+    ticket.sla = {
+        policy: ticket.priority,
+        firstResponseTargetMinutes: policy.firstResponseMinutes,
+        resolutionTargetMinutes: policy.resolutionMinutes,
+        firstResponseDueAt: new Date(now.getTime() + policy.firstResponseMinutes * MINUTE),
+        resolutionDueAt: new Date(now.getTime() + policy.resolutionMinutes * MINUTE),
+        pausedMs: 0,
+        state: 'OK'
+    };
+    
+    return ticket;
+};
+
+const pauseClock = (ticket, now) => {
+    if (!ticket.sla || ticket.sla.pausedAt) return;
+    ticket.sla.pausedAt = now;
+};
+
+// Push the unmet due dates back by however long the clock was paused
+const resumeClock = (ticket, now) => {
+    if (!ticket.sla || !ticket.sla.pausedAt) return;
+    
+    const paused = now.getTime() - ticket.sla.pausedAt.getTime();
+    ticket.sla.pausedMs = (ticket.sla.pausedMs || 0) + paused;
+    
+    if (!ticket.sla.firstRespondedAt) {
+        ticket.sla.firstResponseDueAt = new Date(ticket.sla.firstResponseDueAt.getTime() + paused);
+    }
+    ticket.sla.resolutionDueAt = new Date(ticket.sla.resolutionDueAt.getTime() + paused);
+    ticket.sla.pausedAt = undefined;
+};
+
+// Recompute breach flags and the overall state. Returns true when anything changed.
+const evaluate = (ticket, now = new Date()) => {
+    const sla = ticket.sla;
+    if (!sla || !sla.resolutionDueAt) return false;
+    
+    const before = `${sla.state}|${sla.firstResponseBreached}|${sla.resolutionBreached}`;
+    const at = sla.pausedAt || now;
+    let atRisk = false;
+    
+    // Once answered, the first-response flag was settled by recordFirstResponse
+    if (!sla.firstRespondedAt) {
+        if (at > sla.firstResponseDueAt) {
+            sla.firstResponseBreached = true;
+        } else if (sla.firstResponseDueAt - at <= sla.firstResponseTargetMinutes * MINUTE * (1 - config.atRiskThreshold)) {
+            atRisk = true;
+        }
+    }
+    
+    if (at > sla.resolutionDueAt) {
+        sla.resolutionBreached = true;
+    } else if (!PAUSED_STATUSES.includes(ticket.status) &&
+        sla.resolutionDueAt - at <= sla.resolutionTargetMinutes * MINUTE * (1 - config.atRiskThreshold)) {
+        atRisk = true;
+    }
+    
+    if (sla.firstResponseBreached || sla.resolutionBreached) {
+        sla.state = 'BREACHED';
+    } else {
+        sla.state = atRisk ? 'AT_RISK' : 'OK';
+    }
+    
+    if (sla.state === 'BREACHED' && !sla.breachedAt) {
+        sla.breachedAt = now;
+    }
+    
+    return before !== `${sla.state}|${sla.firstResponseBreached}|${sla.resolutionBreached}`;
+};
+
+// Called by the status workflow after every transition
+const onStatusChange = (ticket, from, to, now = new Date()) => {
+    if (!ticket.sla || !ticket.sla.resolutionDueAt) return;
+    
+    if (PAUSED_STATUSES.includes(to)) {
+        pauseClock(ticket, now);
+    } else if (PAUSED_STATUSES.includes(from)) {
+        resumeClock(ticket, now);
+    }
+    
+    evaluate(ticket, now);
+};
+
+// Called when an agent posts the first public reply
+const recordFirstResponse = (ticket, now = new Date()) => {
+    if (!ticket.sla || !ticket.sla.firstResponseDueAt || ticket.sla.firstRespondedAt) return;
+    
+    // Time spent paused does not count against the target
+    const at = ticket.sla.pausedAt || now;
+    if (at > ticket.sla.firstResponseDueAt) {
+        ticket.sla.firstResponseBreached = true;
+    }
+    ticket.sla.firstRespondedAt = now;
+    evaluate(ticket, now);
+};
+
+module.exports = {
+    PRIORITIES,
+    PAUSED_STATUSES,
+    applyPolicy,
+    evaluate,
+    onStatusChange,
+    recordFirstResponse
+};
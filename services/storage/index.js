@@ -0,0 +1,31 @@
+const config = require('../../config/uploads');
+const createLocalStorage = require('./localStorage');
+
+// A backend implements:
+//   save(buffer) -> Promise<key>
+//   createReadStream(key) -> Readable
+//   remove(key) -> Promise
+// Register new ones (e.g. an S3-compatible store) with registerDriver.
+const drivers = {
+    local: () => createLocalStorage({ rootDir: config.localDir })
+};
+
+const instances = {};
+
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+    delete instances[name];
+};
+
+const getStorage = (name = config.storageDriver) => {
+    if (!instances[name]) {
+        const factory = drivers[name];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${name}`);
+        }
+        instances[name] = factory();
+    }
+    return instances[name];
+};
+
+module.exports = { getStorage, registerDriver };
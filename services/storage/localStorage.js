@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores files on the local filesystem under `rootDir`.
+// Keys look like "2026/10/<random>" so no directory grows without bound.
+const createLocalStorage = ({ rootDir }) => {
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        // Never let a key escape the storage root
+        if (!filePath.startsWith(path.resolve(rootDir) + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+    
+    return {
+        name: 'local',
+        
+        async save(buffer) {
+            const now = new Date();
+            const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+            const key = `${now.getUTCFullYear()}/${month}/${crypto.randomBytes(16).toString('hex')}`;
+            const filePath = resolveKey(key);
+            
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+            return key;
+        },
+        
+        createReadStream(key) {
+            return fs.createReadStream(resolveKey(key));
+        },
+        
+        async remove(key) {
+            await fs.promises.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = createLocalStorage;
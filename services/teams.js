@@ -0,0 +1,90 @@
+const Team = require('../models/Team');
+const Ticket = require('../models/Ticket');
+const User = require('../models/UserModel');
+const assignmentConfig = require('../config/assignment');
+const { getOpenTicketCounts } = require('./assignment');
+const { TICKET_EVENTS, publish } = require('./events');
+const { AppError } = require('./errors');
+
+class ClaimError extends AppError {
+    constructor(message, statusCode, code = 'CLAIM_REJECTED') {
+        super(message, { statusCode, code });
+    }
+}
+
+// Active team whose queue receives tickets of this category, or null
+const findTeamForCategory = (category) => {
+    if (!category) return null;
+    return Team.findOne({ categories: String(category).trim().toLowerCase(), active: true });
+};
+
+const teamMemberIds = async (teamId) => {
+    const members = await User.find({ teams: teamId, role: 'AGENT', active: { $ne: false } }).select('_id');
+    return members.map(member => member._id);
+};
+
+const openTicketsOf = async (agent) => (await getOpenTicketCounts([agent._id])).get(agent._id.toString()) || 0;
+
+const atCapacity = () => new ClaimError('You are at your open ticket capacity', 409, 'AT_CAPACITY');
+
+// Atomically take an unassigned ticket from one of the agent's team queues.
+// The filter on assignedAgent: null makes sure only one agent can win.
+// Capacity is checked again once the ticket is taken: if concurrent claims
+// pushed the agent over their limit, this claim is undone. Two claims racing
+// for the agent's last free slot can therefore both be turned down.
+const claimTicket = async (ticketId, agent) => {
+    const capacity = agent.maxOpenTickets ?? assignmentConfig.defaultCapacity;
+    if (await openTicketsOf(agent) >= capacity) {
+        throw atCapacity();
+    }
+    
+    const claimedAt = new Date();
+    const ticket = await Ticket.findOneAndUpdate(
+        {
+            _id: ticketId,
+            assignedAgent: null,
+            team: { $in: agent.teams || [] },
+            status: { $nin: ['RESOLVED', 'CLOSED'] }
+        },
+        { $set: { assignedAgent: agent._id, claimedAt } },
+        { new: true }
+    );
+    
+    if (!ticket) {
+        // Work out why for a useful error
+        const existing = await Ticket.findById(ticketId).select('assignedAgent team status');
+        if (!existing || !existing.team) {
+            throw new ClaimError('Ticket not found in any team queue', 404, 'TICKET_NOT_IN_QUEUE');
+        }
+        if (!(agent.teams || []).some(team => team.toString() === existing.team.toString())) {
+            throw new ClaimError('You are not a member of this ticket\'s team', 403, 'NOT_TEAM_MEMBER');
+        }
+        if (existing.assignedAgent) {
+            throw new ClaimError('Ticket has already been claimed', 409, 'ALREADY_CLAIMED');
+        }
+        throw new ClaimError(`A ${existing.status} ticket cannot be claimed`, 409, 'TICKET_NOT_CLAIMABLE');
+    }
+    
+    if (await openTicketsOf(agent) > capacity) {
+        // Put it back in the queue, unless something else changed it meanwhile
+        await Ticket.updateOne(
+            { _id: ticket._id, assignedAgent: agent._id, claimedAt },
+            { $set: { assignedAgent: null }, $unset: { claimedAt: 1 } }
+        );
+        throw atCapacity();
+    }
+    
+    publish(TICKET_EVENTS.CLAIMED, {
+        ticket,
+        actor: { id: agent._id, role: agent.role }
+    });
+    
+    return ticket;
+};
+
+module.exports = {
+    ClaimError,
+    claimTicket,
+    findTeamForCategory,
+    teamMemberIds
+};
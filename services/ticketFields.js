@@ -0,0 +1,118 @@
+const Category = require('../models/Category');
+const CustomField = require('../models/CustomField');
+const { ValidationError } = require('./errors');
+
+// Admin-defined ticket metadata: the category taxonomy (models/Category.js)
+// and custom fields (models/CustomField.js). Values are checked here when a
+// ticket is created or updated; problems are reported like request
+// validation failures, with a `details` entry per field.
+
+const FIELD_TYPES = ['TEXT', 'NUMBER', 'SELECT', 'DATE'];
+
+const TEXT_MAX = 1000;
+
+// 2024-05-01, optionally followed by a time
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const invalid = (details) => new ValidationError('Request validation failed', details);
+
+const isEmpty = (value) => value === undefined || value === null
+    || (typeof value === 'string' && value.trim() === '');
+
+// Raw value -> { value } typed for storage, or { message } when it does not fit
+const parseValue = (field, raw) => {
+    switch (field.type) {
+        case 'NUMBER': {
+            const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+            return typeof value === 'number' && Number.isFinite(value)
+                ? { value }
+                : { message: `${field.label} must be a number` };
+        }
+        case 'DATE': {
+            const value = typeof raw === 'string' && ISO_DATE.test(raw.trim()) ? new Date(raw.trim()) : null;
+            return value && !Number.isNaN(value.getTime())
+                ? { value }
+                : { message: `${field.label} must be a date` };
+        }
+        case 'SELECT': {
+            const value = typeof raw === 'string' ? raw.trim() : raw;
+            return field.options.includes(value)
+                ? { value }
+                : { message: `${field.label} must be one of: ${field.options.join(', ')}` };
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') {
+                return { message: `${field.label} must be text` };
+            }
+            const value = String(raw).trim();
+            return value.length <= TEXT_MAX
+                ? { value }
+                : { message: `${field.label} must be at most ${TEXT_MAX} characters` };
+        }
+    }
+};
+
+// A new ticket category must be an active category. While no category is
+// defined at all, any value is accepted so existing setups keep working.
+const checkCategory = async (slug) => {
+    if (!slug) return;
+    
+    const category = await Category.findOne({ slug }).select('active').lean();
+    if (category && category.active) return;
+    if (!category && !(await Category.exists({}))) return;
+    
+    throw invalid([{
+        location: 'body',
+        path: 'category',
+        message: category ? `Category ${slug} is no longer in use` : `Unknown category: ${slug}`
+    }]);
+};
+
+// Check submitted values against the active custom fields and resolve with
+// the ticket's complete new values. `current` holds the stored values on
+// update; null or '' clears a value. Required fields must be filled in on
+// create (unless `enforceRequired` is false) and cannot be cleared later.
+const resolveCustomFields = async (input = {}, { current, enforceRequired = true } = {}) => {
+    const fields = await CustomField.find({ active: true }).lean();
+    const byKey = new Map(fields.map(field => [field.key, field]));
+    const values = { ...current };
+    const details = [];
+    
+    for (const [key, raw] of Object.entries(input)) {
+        const field = byKey.get(key);
+        const path = `customFields.${key}`;
+    
+        if (!field) {
+            details.push({ location: 'body', path, message: `Unknown custom field: ${key}` });
+        } else if (isEmpty(raw)) {
+            delete values[key];
+        } else {
+            const { value, message } = parseValue(field, raw);
+            if (message) {
+                details.push({ location: 'body', path, message });
+            } else {
+                values[key] = value;
+            }
+        }
+    }
+    
+    // On update only the fields being changed are checked
+    const missing = (field) => field.required && isEmpty(values[field.key])
+        && (current ? Object.hasOwn(input, field.key) : enforceRequired);
+    
+    fields
+        .filter(missing)
+        .forEach(field => details.push({
+            location: 'body',
+            path: `customFields.${field.key}`,
+            message: `${field.label} is required`
+        }));
+    
+    if (details.length > 0) {
+        throw invalid(details);
+    }
+    
+    return values;
+};
+
+module.exports = { FIELD_TYPES, checkCategory, parseValue, resolveCustomFields };
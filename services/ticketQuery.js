@@ -0,0 +1,347 @@
+const mongoose = require('mongoose');
+const Ticket = require('../models/Ticket');
+const Message = require('../models/Message');
+const CustomField = require('../models/CustomField');
+const { STATUSES } = require('./ticketStatus');
+const { PRIORITIES } = require('./sla');
+const { ValidationError } = require('./errors');
+const { parseValue } = require('./ticketFields');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Upper bound on ticket ids collected by a full-text search; broader
+// searches are rejected rather than cut short
+const MAX_SEARCH_MATCHES = 5000;
+
+// Public sort keys -> schema path and value type (used to decode cursors)
+const SORT_FIELDS = {
+    createdAt: { path: 'createdAt', type: 'date' },
+    updatedAt: { path: 'updatedAt', type: 'date' },
+    status: { path: 'status', type: 'string' },
+    priority: { path: 'priorityRank', type: 'number' }
+};
+
+// Breakdown keys -> aggregation expression (custom fields are cf.<key>)
+const BREAKDOWN_FIELDS = {
+    category: '$category',
+    tag: '$tags',
+    status: '$status',
+    priority: '$priority'
+};
+
+class InvalidQueryError extends ValidationError {
+    constructor(message) {
+        super(message, undefined, 'INVALID_QUERY');
+    }
+}
+
+const parseList = (value, allowed, name) => {
+    const items = String(value).split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+    const invalid = items.filter(v => !allowed.includes(v));
+    if (invalid.length > 0) {
+        throw new InvalidQueryError(`Invalid ${name}: ${invalid.join(', ')}`);
+    }
+    return items;
+};
+
+const parseObjectId = (value, name) => {
+    if (!mongoose.isValidObjectId(value)) {
+        throw new InvalidQueryError(`${name} must be a valid id`);
+    }
+    return new mongoose.Types.ObjectId(String(value));
+};
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new InvalidQueryError(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+const addRange = (filter, path, from, to, names) => {
+    if (from === undefined && to === undefined) return;
+    filter[path] = {};
+    if (from !== undefined) filter[path].$gte = parseDate(from, names[0]);
+    if (to !== undefined) filter[path].$lte = parseDate(to, names[1]);
+};
+
+// cf.<key>=value filters. NUMBER and DATE fields also take ranges such as
+// cf.seats=10..50, cf.renewal=2024-01-01.. or cf.seats=..5
+const customFieldConditions = async (params) => {
+    const keys = Object.keys(params);
+    const fields = await CustomField.find({ key: { $in: keys } }).lean();
+    const conditions = {};
+    
+    for (const key of keys) {
+        const field = fields.find(f => f.key === key);
+        if (!field) {
+            throw new InvalidQueryError(`Unknown custom field: ${key}`);
+        }
+    
+        const parse = (raw) => {
+            const { value, message } = parseValue(field, raw);
+            if (message) {
+                throw new InvalidQueryError(message);
+            }
+            return value;
+        };
+    
+        const raw = String(params[key]);
+        const range = ['NUMBER', 'DATE'].includes(field.type) && raw.split('..');
+        if (range && range.length === 2) {
+            const [from, to] = range.map(part => part.trim());
+            if (!from && !to) {
+                throw new InvalidQueryError(`A range for ${key} needs at least one end`);
+            }
+            conditions[`customFields.${key}`] = {
+                ...(from && { $gte: parse(from) }),
+                ...(to && { $lte: parse(to) })
+            };
+        } else {
+            conditions[`customFields.${key}`] = parse(raw);
+        }
+    }
+    
+    return conditions;
+};
+
+const tooManyMatches = () => new InvalidQueryError('Too many tickets match this search; add words or filters to narrow it down');
+
+// Ids of tickets matching `filter` (the viewer's scope and other filters)
+// whose issueDetails or (visible) messages match the search text. Messages
+// are only searched on those tickets when there are few enough of them.
+const searchTicketIds = async (text, includeInternal, filter) => {
+    const messageQuery = { $text: { $search: text } };
+    if (!includeInternal) {
+        messageQuery.internal = false;
+    }
+    
+    const [ticketMatches, inScope] = await Promise.all([
+        Ticket.find({ ...filter, $text: { $search: text } }).select('_id').limit(MAX_SEARCH_MATCHES + 1).lean(),
+        Object.keys(filter).length > 0
+            ? Ticket.find(filter).select('_id').limit(MAX_SEARCH_MATCHES + 1).lean()
+            : null
+    ]);
+    if (ticketMatches.length > MAX_SEARCH_MATCHES) {
+        throw tooManyMatches();
+    }
+    
+    if (inScope && inScope.length <= MAX_SEARCH_MATCHES) {
+        messageQuery.ticket = { $in: inScope.map(t => t._id) };
+    }
+    
+    const messageMatches = await Message.find(messageQuery).select('ticket').limit(MAX_SEARCH_MATCHES + 1).lean();
+    if (messageMatches.length > MAX_SEARCH_MATCHES) {
+        throw tooManyMatches();
+    }
+    
+    const ids = new Map();
+    ticketMatches.forEach(t => ids.set(t._id.toString(), t._id));
+    messageMatches.forEach(m => ids.set(m.ticket.toString(), m.ticket));
+    return [...ids.values()];
+};
+
+// Build the Mongo filter from query params. `scope` is merged last so callers
+// can pin customer/assignedAgent to the current user.
+const buildFilter = async (params, scope, viewerRole) => {
+    const filter = {};
+    
+    if (params.status) {
+        filter.status = { $in: parseList(params.status, STATUSES, 'status') };
+    }
+    
+    if (params.priority) {
+        filter.priority = { $in: parseList(params.priority, PRIORITIES, 'priority') };
+    }
+    
+    if (params.slaState) {
+        const states = parseList(String(params.slaState).replace(/-/g, '_'), ['OK', 'AT_RISK', 'BREACHED'], 'slaState');
+        filter['sla.state'] = { $in: states };
+    }
+    
+    if (params.assignedAgent) {
+        filter.assignedAgent = parseObjectId(params.assignedAgent, 'assignedAgent');
+    }
+    
+    if (params.customer) {
+        filter.customer = parseObjectId(params.customer, 'customer');
+    }
+    
+    if (params.team) {
+        filter.team = parseObjectId(params.team, 'team');
+    }
+    
+    if (params.category) {
+        filter.category = String(params.category).trim().toLowerCase();
+    }
+    
+    // Any of the listed tags
+    if (params.tags) {
+        const tags = String(params.tags).split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+        filter.tags = { $in: tags };
+    }
+    
+    if (params.customFields) {
+        Object.assign(filter, await customFieldConditions(params.customFields));
+    }
+    
+    if (params.unassigned === 'true') {
+        filter.assignedAgent = null;
+    }
+    
+    addRange(filter, 'createdAt', params.createdFrom, params.createdTo, ['createdFrom', 'createdTo']);
+    addRange(filter, 'updatedAt', params.updatedFrom, params.updatedTo, ['updatedFrom', 'updatedTo']);
+    
+    const scoped = { ...filter, ...scope };
+    
+    if (params.q && String(params.q).trim()) {
+        scoped._id = { $in: await searchTicketIds(String(params.q).trim(), viewerRole !== 'CUSTOMER', scoped) };
+    }
+    
+    return scoped;
+};
+
+// "-priority,createdAt" -> [{ key, path, type, dir }], always ending with _id
+const parseSort = (value) => {
+    const specs = [];
+    const raw = value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : ['-createdAt'];
+    
+    for (const item of raw) {
+        const dir = item.startsWith('-') ? -1 : 1;
+        const key = item.replace(/^[-+]/, '');
+        const field = SORT_FIELDS[key];
+        if (!field) {
+            throw new InvalidQueryError(`Cannot sort by ${key}. Allowed: ${Object.keys(SORT_FIELDS).join(', ')}`);
+        }
+        if (specs.some(s => s.key === key)) continue;
+        specs.push({ key, path: field.path, type: field.type, dir });
+    }
+    
+    // _id makes the ordering total, which keeps cursors stable
+    specs.push({ key: '_id', path: '_id', type: 'objectId', dir: specs[0].dir });
+    return specs;
+};
+
+const encodeCursor = (ticket, specs) => {
+    const values = specs.map(s => {
+        const value = s.path.split('.').reduce((obj, part) => (obj == null ? obj : obj[part]), ticket);
+        return value instanceof Date ? value.toISOString() : String(value);
+    });
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+const decodeCursor = (cursor, specs) => {
+    let values;
+    try {
+        values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (err) {
+        throw new InvalidQueryError('Invalid cursor');
+    }
+    
+    if (!Array.isArray(values) || values.length !== specs.length) {
+        throw new InvalidQueryError('Cursor does not match the requested sort');
+    }
+    
+    return values.map((value, i) => {
+        switch (specs[i].type) {
+            case 'date': return new Date(value);
+            case 'number': return Number(value);
+            case 'objectId': return parseObjectId(value, 'cursor');
+            default: return value;
+        }
+    });
+};
+
+// Keyset condition: rows strictly after the cursor in the sort order
+const afterCursor = (specs, values) => ({
+    $or: specs.map((spec, i) => {
+        const clause = {};
+        for (let j = 0; j < i; j++) {
+            clause[specs[j].path] = values[j];
+        }
+        clause[spec.path] = { [spec.dir === 1 ? '$gt' : '$lt']: values[i] };
+        return clause;
+    })
+});
+
+// Filter, sort and page tickets.
+// Returns { tickets, total, nextCursor, hasMore }
+const listTickets = async (params, { scope = {}, viewerRole, populate = [] } = {}) => {
+    const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const specs = parseSort(params.sort);
+    const filter = await buildFilter(params, scope, viewerRole);
+    
+    const pageFilter = params.cursor
+        ? { $and: [filter, afterCursor(specs, decodeCursor(params.cursor, specs))] }
+        : filter;
+    
+    const sort = {};
+    specs.forEach(s => { sort[s.path] = s.dir; });
+    
+    let query = Ticket.find(pageFilter).sort(sort).limit(limit + 1);
+    populate.forEach(([path, select]) => { query = query.populate(path, select); });
+    
+    const [rows, total] = await Promise.all([
+        query,
+        Ticket.countDocuments(filter)
+    ]);
+    
+    const hasMore = rows.length > limit;
+    const tickets = hasMore ? rows.slice(0, limit) : rows;
+    const nextCursor = hasMore ? encodeCursor(tickets[tickets.length - 1], specs) : null;
+    
+    return { tickets, total, nextCursor, hasMore };
+};
+
+// Ticket counts per value of a field, over the same filters as listTickets.
+// `by`: category, tag, status, priority or cf.<key>. Tickets without a value
+// are counted under 'none'; a ticket with several tags counts once per tag.
+// Returns [{ group, count, open }] (open = not RESOLVED or CLOSED), largest first.
+const breakdownTickets = async (params, { scope = {}, viewerRole } = {}) => {
+    const by = String(params.by);
+    const filter = await buildFilter(params, scope, viewerRole);
+    const pipeline = [{ $match: filter }];
+    let key;
+    
+    if (BREAKDOWN_FIELDS[by]) {
+        key = BREAKDOWN_FIELDS[by];
+    } else if (by.startsWith('cf.')) {
+        const fieldKey = by.slice(3);
+        if (!(await CustomField.exists({ key: fieldKey }))) {
+            throw new InvalidQueryError(`Unknown custom field: ${fieldKey}`);
+        }
+        key = `$customFields.${fieldKey}`;
+    } else {
+        throw new InvalidQueryError(`Cannot break down by ${by}. Allowed: ${Object.keys(BREAKDOWN_FIELDS).join(', ')}, cf.<key>`);
+    }
+    
+    if (by === 'tag') {
+        pipeline.push({ $unwind: { path: '$tags', preserveNullAndEmptyArrays: true } });
+    }
+    
+    pipeline.push(
+        {
+            $group: {
+                _id: key,
+                count: { $sum: 1 },
+                open: { $sum: { $cond: [{ $in: ['$status', ['RESOLVED', 'CLOSED']] }, 0, 1] } }
+            }
+        },
+        { $sort: { count: -1, _id: 1 } }
+    );
+    
+    const rows = await Ticket.aggregate(pipeline);
+    return rows.map(({ _id, count, open }) => ({
+        group: _id === null || _id === undefined ? 'none' : (_id instanceof Date ? _id.toISOString() : String(_id)),
+        count,
+        open
+    }));
+};
+
+module.exports = {
+    InvalidQueryError,
+    SORT_FIELDS,
+    breakdownTickets,
+    listTickets
+};
@@ -0,0 +1,102 @@
+const config = require('../config/tickets');
+const sla = require('./sla');
+const { AppError } = require('./errors');
+
+const STATUSES = ['OPEN', 'IN_PROGRESS', 'WAITING_ON_CUSTOMER', 'RESOLVED', 'CLOSED'];
+
+// Allowed moves per actor role. CLOSED is terminal.
+const TRANSITIONS = {
+    AGENT: {
+        OPEN: ['IN_PROGRESS', 'WAITING_ON_CUSTOMER', 'RESOLVED', 'CLOSED'],
+        IN_PROGRESS: ['OPEN', 'WAITING_ON_CUSTOMER', 'RESOLVED', 'CLOSED'],
+        WAITING_ON_CUSTOMER: ['IN_PROGRESS', 'RESOLVED', 'CLOSED'],
+        RESOLVED: ['IN_PROGRESS', 'CLOSED'],
+        CLOSED: []
+    },
+    CUSTOMER: {
+        OPEN: [],
+        IN_PROGRESS: [],
+        // A customer reply hands the ticket back to the agent
+        WAITING_ON_CUSTOMER: ['IN_PROGRESS'],
+        RESOLVED: ['OPEN'],
+        CLOSED: []
+    },
+    SYSTEM: {
+        OPEN: [],
+        IN_PROGRESS: [],
+        WAITING_ON_CUSTOMER: [],
+        RESOLVED: ['CLOSED'],
+        CLOSED: []
+    }
+};
+
+class StatusTransitionError extends AppError {
+    constructor(message, code = 'INVALID_STATUS_TRANSITION') {
+        super(message, { statusCode: 409, code });
+    }
+}
+
+const canTransition = (role, from, to) => {
+    const graph = TRANSITIONS[role];
+    return Boolean(graph && graph[from] && graph[from].includes(to));
+};
+
+// End of the customer's reopen window for a RESOLVED ticket
+const reopenDeadline = (ticket) => {
+    if (!ticket.resolvedAt) return null;
+    return new Date(ticket.resolvedAt.getTime() + config.reopenWindowHours * 60 * 60 * 1000);
+};
+
+// Apply a status change to a ticket document (not saved) and record it in
+// statusHistory. Throws StatusTransitionError for moves the graph forbids.
+const transitionStatus = (ticket, to, { actor, role, reason, now = new Date() }) => {
+    const from = ticket.status;
+    
+    if (from === to) {
+        throw new StatusTransitionError(`Ticket is already ${to}`);
+    }
+    
+    if (!canTransition(role, from, to)) {
+        throw new StatusTransitionError(`Cannot change ticket status from ${from} to ${to}`);
+    }
+    
+    if (role === 'CUSTOMER' && from === 'RESOLVED' && to === 'OPEN') {
+        const deadline = reopenDeadline(ticket);
+        if (deadline && now > deadline) {
+            throw new StatusTransitionError('The reopen window for this ticket has expired');
+        }
+    }
+    
+    ticket.status = to;
+    ticket.statusHistory.push({
+        from,
+        to,
+        actor: role === 'SYSTEM' ? undefined : actor,
+        actorRole: role,
+        reason,
+        timestamp: now
+    });
+    
+    if (to === 'RESOLVED') {
+        ticket.resolvedAt = now;
+    } else if (from === 'RESOLVED' && to !== 'CLOSED') {
+        ticket.resolvedAt = undefined;
+    }
+    
+    if (to === 'CLOSED') {
+        ticket.closedAt = now;
+    }
+    
+    sla.onStatusChange(ticket, from, to, now);
+    
+    return ticket;
+};
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    StatusTransitionError,
+    canTransition,
+    reopenDeadline,
+    transitionStatus
+};
@@ -0,0 +1,207 @@
+const Ticket = require('../models/Ticket');
+const User = require('../models/UserModel');
+const { assignAgent } = require('./assignment');
+const { saveAttachments } = require('./attachments');
+const { TICKET_EVENTS, publish } = require('./events');
+const { applyReassignment, findTargetAgent } = require('./reassignment');
+const { applyPolicy } = require('./sla');
+const { findTeamForCategory } = require('./teams');
+const { checkCategory, resolveCustomFields } = require('./ticketFields');
+const { transitionStatus } = require('./ticketStatus');
+const { AppError, BadRequestError, NotFoundError } = require('./errors');
+
+// Ticket business rules shared by the HTTP routes and anything else that
+// creates or moves tickets. Callers pass the acting user as
+// { id, role }; every function throws AppErrors and publishes the
+// matching TICKET_EVENTS once the change is saved.
+
+// Categories owned by a team go to that team's queue unassigned;
+// everything else is assigned using the configured strategy.
+// Email has no way to fill in custom fields, so required ones are not
+// enforced for EMAIL tickets.
+const createTicket = async ({ issueDetails, priority, category, skills, customFields, files, source }, actor) => {
+    const requiredSkills = (skills || []).map(skill => skill.toLowerCase());
+    
+    await checkCategory(category);
+    const fieldValues = await resolveCustomFields(customFields, { enforceRequired: source !== 'EMAIL' });
+    
+    const team = await findTeamForCategory(category);
+    let assignedAgent = null;
+    
+    if (!team) {
+        assignedAgent = await assignAgent({ requiredSkills });
+        if (!assignedAgent) {
+            throw new AppError('No agents available. Please contact administrator.', {
+                statusCode: 503,
+                code: 'NO_AGENTS_AVAILABLE'
+            });
+        }
+    }
+    
+    const ticket = new Ticket({
+        customer: actor.id,
+        assignedAgent: assignedAgent ? assignedAgent._id : null,
+        team: team ? team._id : null,
+        category,
+        issueDetails,
+        customFields: fieldValues,
+        requiredSkills,
+        priority: priority || 'MEDIUM',
+        source
+    });
+    
+    // Compute first-response and resolution due dates
+    applyPolicy(ticket);
+    
+    await ticket.save();
+    
+    let attachments;
+    try {
+        attachments = await saveAttachments(files, {
+            ticket: ticket._id,
+            uploadedBy: actor.id
+        });
+    } catch (error) {
+        // Don't leave a ticket behind without the files the customer sent
+        await Ticket.deleteOne({ _id: ticket._id });
+        throw error;
+    }
+    
+    publish(TICKET_EVENTS.CREATED, { ticket, actor });
+    
+    return { ticket, attachments };
+};
+
+// Agent moves one of their own tickets through the workflow
+// (throws on transitions the workflow does not allow)
+const updateStatus = async (ticketId, { status, reason }, actor) => {
+    const ticket = await Ticket.findOne({
+        _id: ticketId,
+        assignedAgent: actor.id
+    });
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found or not assigned to you', 'TICKET_NOT_FOUND');
+    }
+    
+    const previousStatus = ticket.status;
+    transitionStatus(ticket, status, {
+        actor: actor.id,
+        role: 'AGENT',
+        reason
+    });
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.STATUS_CHANGED, {
+        ticket,
+        from: previousStatus,
+        to: status,
+        reason,
+        actor
+    });
+    
+    return ticket;
+};
+
+// Customer reopens a resolved ticket within the reopen window
+const reopenTicket = async (ticketId, { reason }, actor) => {
+    const ticket = await Ticket.findOne({
+        _id: ticketId,
+        customer: actor.id
+    });
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND');
+    }
+    
+    const previousStatus = ticket.status;
+    transitionStatus(ticket, 'OPEN', {
+        actor: actor.id,
+        role: 'CUSTOMER',
+        reason
+    });
+    await ticket.save();
+    
+    publish(TICKET_EVENTS.STATUS_CHANGED, {
+        ticket,
+        from: previousStatus,
+        to: 'OPEN',
+        reason,
+        actor
+    });
+    
+    return ticket;
+};
+
+// Category, tags and custom fields, changed by the assigned agent or an
+// admin. Tags replace the current list; custom fields are merged (null
+// clears one). Changing the category does not move the ticket to another
+// team. Returns { ticket, before } where `before` is the previous state as
+// a plain object.
+const updateTicketFields = async (ticketId, { category, tags, customFields }, actor) => {
+    const query = actor.role === 'ADMIN' ? { _id: ticketId } : { _id: ticketId, assignedAgent: actor.id };
+    const ticket = await Ticket.findOne(query);
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found or not assigned to you', 'TICKET_NOT_FOUND');
+    }
+    
+    const before = ticket.toObject({ flattenMaps: true });
+    
+    if (category !== undefined && category !== ticket.category) {
+        await checkCategory(category);
+        ticket.category = category || undefined;
+    }
+    
+    if (tags !== undefined) {
+        ticket.tags = tags;
+    }
+    
+    if (customFields !== undefined) {
+        ticket.customFields = await resolveCustomFields(customFields, { current: before.customFields });
+    }
+    
+    await ticket.save();
+    
+    return { ticket, before };
+};
+
+// Direct hand-off by the assigned agent. Limits, escalation tiers and
+// mandatory reasons come from config/reassignment.js
+const reassignTicket = async (ticketId, { newAgentId, reason }, actor) => {
+    const ticket = await Ticket.findOne({
+        _id: ticketId,
+        assignedAgent: actor.id
+    });
+    
+    if (!ticket) {
+        throw new NotFoundError('Ticket not found or not assigned to you', 'TICKET_NOT_FOUND');
+    }
+    
+    if (newAgentId === actor.id.toString()) {
+        throw new BadRequestError('Cannot reassign ticket to yourself', 'SELF_REASSIGNMENT');
+    }
+    
+    const [currentAgent, newAgent] = await Promise.all([
+        User.findById(actor.id),
+        findTargetAgent(newAgentId)
+    ]);
+    
+    await applyReassignment(ticket, {
+        fromAgent: currentAgent,
+        toAgent: newAgent,
+        reason,
+        outcome: 'REASSIGNED',
+        actor
+    });
+    
+    return ticket;
+};
+
+module.exports = {
+    createTicket,
+    reassignTicket,
+    reopenTicket,
+    updateStatus,
+    updateTicketFields
+};
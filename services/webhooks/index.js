@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const config = require('../../config/webhooks');
+const { TICKET_EVENTS, subscribe } = require('../events');
+const { buildPayload } = require('./payload');
+
+// Outbound webhooks. Every ticket event an active webhook subscribes to
+// becomes a WebhookDelivery, which is attempted straight away. Failed
+// attempts are retried with exponential backoff by jobs/webhookDelivery.js
+// until one succeeds or WEBHOOK_MAX_ATTEMPTS is reached. Because the queue
+// lives in MongoDB, retries survive restarts and are shared by instances.
+
+const RESPONSE_BODY_LIMIT = 1024;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// X-Webhook-Signature: "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>".
+// Receivers recompute it over the raw body and reject old timestamps.
+const sign = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+};
+
+// Wait after the given number of failed attempts
+const backoffSeconds = (attempts) => Math.min(
+    config.backoffMaxSeconds,
+    config.backoffBaseSeconds * 2 ** (attempts - 1)
+);
+
+// An attempt that never comes back (crashed process) is retried after this
+const lockUntil = (now) => new Date(now.getTime() + (config.timeoutSeconds + 60) * 1000);
+
+// POST the payload once. Resolves with an attemptLog entry plus `ok`.
+const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const at = new Date();
+    
+    try {
+        const res = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'support-ticket-webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery._id.toString(),
+                'X-Webhook-Signature': sign(webhook.secret, body)
+            },
+            body,
+            // A redirect is reported as a failure instead of being followed
+            redirect: 'manual',
+            signal: AbortSignal.timeout(config.timeoutSeconds * 1000)
+        });
+        const text = await res.text().catch(() => '');
+    
+        return {
+            ok: res.status >= 200 && res.status < 300,
+            at,
+            statusCode: res.status,
+            durationMs: Date.now() - at.getTime(),
+            responseBody: text.slice(0, RESPONSE_BODY_LIMIT)
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            at,
+            error: error.name === 'TimeoutError'
+                ? `Timed out after ${config.timeoutSeconds}s`
+                : (error.cause && error.cause.code) || error.message,
+            durationMs: Date.now() - at.getTime()
+        };
+    }
+};
+
+// Make one attempt for a delivery this process has claimed, then record the
+// outcome and when (if ever) to try again
+const attempt = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const now = new Date();
+    
+    delivery.lockedUntil = undefined;
+    
+    if (!webhook || !webhook.active) {
+        delivery.status = 'FAILED';
+        delivery.nextAttemptAt = undefined;
+        delivery.attemptLog.push({ at: now, error: webhook ? 'Webhook is disabled' : 'Webhook was deleted' });
+        await delivery.save();
+        return delivery;
+    }
+    
+    const { ok, ...result } = await send(webhook, delivery);
+    delivery.attempts += 1;
+    delivery.attemptLog.push(result);
+    
+    if (ok) {
+        delivery.status = 'SUCCEEDED';
+        delivery.deliveredAt = new Date();
+        delivery.nextAttemptAt = undefined;
+    } else if (delivery.attempts >= config.maxAttempts) {
+        delivery.status = 'FAILED';
+        delivery.nextAttemptAt = undefined;
+    } else {
+        delivery.status = 'PENDING';
+        delivery.nextAttemptAt = new Date(Date.now() + backoffSeconds(delivery.attempts) * 1000);
+    }
+    
+    await delivery.save();
+    return delivery;
+};
+
+// Create deliveries already claimed by this process and attempt them
+const createAndAttempt = async (deliveries) => {
+    const now = new Date();
+    const created = await WebhookDelivery.insertMany(deliveries.map(delivery => ({
+        ...delivery,
+        status: 'DELIVERING',
+        nextAttemptAt: now,
+        lockedUntil: lockUntil(now)
+    })));
+    return Promise.all(created.map(attempt));
+};
+
+const handleTicketEvent = async (payload, event) => {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+    if (webhooks.length === 0) return;
+    
+    const body = buildPayload(event, payload);
+    await createAndAttempt(webhooks.map(webhook => ({ webhook: webhook._id, event, payload: body })));
+};
+
+// Atomically take the next due delivery (or one whose attempt was abandoned)
+const claimNext = (now) => WebhookDelivery.findOneAndUpdate(
+    {
+        $or: [
+            { status: 'PENDING', nextAttemptAt: { $lte: now } },
+            { status: 'DELIVERING', lockedUntil: { $lte: now } }
+        ]
+    },
+    { $set: { status: 'DELIVERING', lockedUntil: lockUntil(now) } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+);
+
+// Retry up to `limit` due deliveries. Returns how many were attempted.
+const processDueDeliveries = async ({ now = new Date(), limit = config.batchSize } = {}) => {
+    let count = 0;
+    while (count < limit) {
+        const delivery = await claimNext(now);
+        if (!delivery) break;
+        await attempt(delivery);
+        count += 1;
+    }
+    return count;
+};
+
+// Send a logged delivery again as a new delivery with the same payload.
+// Resolves with the new delivery after its first attempt.
+const redeliver = async (delivery) => {
+    const [copy] = await createAndAttempt([{
+        webhook: delivery.webhook,
+        event: delivery.event,
+        payload: delivery.payload,
+        redeliveryOf: delivery._id
+    }]);
+    return copy;
+};
+
+// Subscribe to every ticket event. Call once at startup.
+const registerWebhookHandlers = () => Object.values(TICKET_EVENTS)
+    .map(event => subscribe(event, handleTicketEvent));
+
+module.exports = {
+    backoffSeconds,
+    generateSecret,
+    processDueDeliveries,
+    redeliver,
+    registerWebhookHandlers,
+    sign
+};
@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { TICKET_EVENTS } = require('../events');
+
+// The JSON body webhook receivers get for a ticket event:
+// { id, event, occurredAt, actor, data: { ticket, ...event specific } }
+// Ids are strings; `id` is shared by every webhook receiving the event, so
+// receivers can drop duplicates.
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const ticketSummary = (ticket) => ({
+    id: idOf(ticket),
+    status: ticket.status,
+    priority: ticket.priority,
+    category: ticket.category || null,
+    tags: ticket.tags || [],
+    customFields: ticket.customFields || {},
+    source: ticket.source,
+    issueDetails: ticket.issueDetails,
+    customer: idOf(ticket.customer),
+    assignedAgent: idOf(ticket.assignedAgent),
+    team: idOf(ticket.team),
+    createdAt: ticket.createdAt,
+    updatedAt: ticket.updatedAt
+});
+
+const eventData = (event, payload) => {
+    switch (event) {
+        case TICKET_EVENTS.STATUS_CHANGED:
+            return { from: payload.from, to: payload.to, reason: payload.reason || null };
+        case TICKET_EVENTS.REASSIGNED:
+            return {
+                fromAgent: idOf(payload.fromAgent),
+                toAgent: idOf(payload.toAgent),
+                kind: payload.kind,
+                forced: Boolean(payload.forced),
+                reason: payload.reason || null
+            };
+        case TICKET_EVENTS.MESSAGE_ADDED:
+            return {
+                message: {
+                    id: idOf(payload.message),
+                    author: idOf(payload.message.author),
+                    authorRole: payload.message.authorRole,
+                    internal: payload.message.internal,
+                    body: payload.message.body
+                }
+            };
+        case TICKET_EVENTS.TRANSFER_REQUESTED:
+            return { toAgent: idOf(payload.toAgent), kind: payload.kind, reason: payload.reason || null };
+        case TICKET_EVENTS.TRANSFER_DECLINED:
+            return { requestedBy: idOf(payload.requestedBy), reason: payload.reason || null };
+        case TICKET_EVENTS.SURVEY_REQUESTED:
+            return { survey: { id: idOf(payload.survey), expiresAt: payload.survey.expiresAt } };
+        case TICKET_EVENTS.SURVEY_SUBMITTED:
+            return {
+                survey: {
+                    id: idOf(payload.survey),
+                    rating: payload.survey.rating,
+                    comment: payload.survey.comment || null
+                }
+            };
+        default:
+            return {};
+    }
+};
+
+const buildPayload = (event, payload) => JSON.parse(JSON.stringify({
+    id: crypto.randomUUID(),
+    event,
+    occurredAt: payload.occurredAt || new Date(),
+    actor: payload.actor ? { id: idOf(payload.actor.id), role: payload.actor.role } : null,
+    data: {
+        ticket: ticketSummary(payload.ticket),
+        ...eventData(event, payload)
+    }
+}));
+
+module.exports = { buildPayload };
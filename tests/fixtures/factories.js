@@ -0,0 +1,84 @@
+const User = require('../../models/UserModel');
+const Ticket = require('../../models/Ticket');
+const Team = require('../../models/Team');
+const { issueTokens } = require('../../services/authService');
+const { applyPolicy } = require('../../services/sla');
+
+// Factories for integration tests. Every helper saves what it builds and
+// accepts overrides for any field, e.g. createAgent({ tier: 2 }).
+
+const PASSWORD = 'password123';
+
+let sequence = 0;
+const next = () => ++sequence;
+
+const createUser = async (overrides = {}) => {
+    const n = next();
+    const user = new User({
+        name: `User ${n}`,
+        email: `user${n}@example.com`,
+        password: PASSWORD,
+        role: 'CUSTOMER',
+        ...overrides
+    });
+    await user.save();
+    return user;
+};
+
+const createCustomer = (overrides = {}) => createUser({ role: 'CUSTOMER', ...overrides });
+
+const createAgent = (overrides = {}) => createUser({
+    role: 'AGENT',
+    availability: 'ONLINE',
+    tier: 1,
+    ...overrides
+});
+
+const createAdmin = (overrides = {}) => createUser({ role: 'ADMIN', ...overrides });
+
+// A ticket owned by `customer` (created when omitted). Pass assignedAgent: null
+// for an unassigned one; status is set directly without going through the workflow.
+const createTicket = async ({ customer, assignedAgent, ...overrides } = {}) => {
+    const owner = customer || await createCustomer();
+    const agent = assignedAgent === undefined ? await createAgent() : assignedAgent;
+    
+    const ticket = new Ticket({
+        customer: owner._id,
+        assignedAgent: agent ? agent._id : null,
+        issueDetails: `Test issue ${next()}`,
+        priority: 'MEDIUM',
+        ...overrides
+    });
+    applyPolicy(ticket);
+    await ticket.save();
+    return ticket;
+};
+
+const createTeam = async (overrides = {}) => {
+    const team = new Team({
+        name: `Team ${next()}`,
+        ...overrides
+    });
+    await team.save();
+    return team;
+};
+
+// Start a session for the user and return its access token
+const tokenFor = async (user) => {
+    const { accessToken } = await issueTokens(user, { ip: '127.0.0.1', userAgent: 'jest' });
+    return accessToken;
+};
+
+const authHeader = async (user) => `Bearer ${await tokenFor(user)}`;
+
+module.exports = {
+    PASSWORD,
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer,
+    createTeam,
+    createTicket,
+    createUser,
+    tokenFor
+};
@@ -0,0 +1,173 @@
+const request = require('supertest');
+const User = require('../../models/UserModel');
+const { createApp } = require('../../app');
+const {
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+describe('cross-user access', () => {
+    it('hides another customer\'s ticket conversation', async () => {
+        const ticket = await createTicket();
+        const stranger = await createCustomer();
+    
+        const res = await request(app)
+            .get(`/api/tickets/${ticket._id}/messages`)
+            .set('Authorization', await authHeader(stranger));
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('NOT_TICKET_PARTICIPANT');
+    });
+    
+    it('hides a ticket from agents it is not assigned to', async () => {
+        const ticket = await createTicket();
+        const otherAgent = await createAgent();
+    
+        const res = await request(app)
+            .post(`/api/tickets/${ticket._id}/messages`)
+            .set('Authorization', await authHeader(otherAgent))
+            .send({ body: 'Hello from outside' });
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('NOT_TICKET_PARTICIPANT');
+    });
+    
+    it('lets admins read any conversation', async () => {
+        const ticket = await createTicket();
+        const admin = await createAdmin();
+    
+        const res = await request(app)
+            .get(`/api/tickets/${ticket._id}/messages`)
+            .set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(200);
+    });
+    
+    it('does not let an agent change the status of someone else\'s ticket', async () => {
+        const ticket = await createTicket();
+        const otherAgent = await createAgent();
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(otherAgent))
+            .send({ status: 'RESOLVED' });
+    
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('TICKET_NOT_FOUND');
+    });
+    
+    it('does not let a customer change ticket status', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(customer))
+            .send({ status: 'RESOLVED' });
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ROLE_REQUIRED');
+    });
+    
+    it('does not let a customer reopen someone else\'s ticket', async () => {
+        const ticket = await createTicket({ status: 'RESOLVED', resolvedAt: new Date() });
+        const stranger = await createCustomer();
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/reopen`)
+            .set('Authorization', await authHeader(stranger))
+            .send({});
+    
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('TICKET_NOT_FOUND');
+    });
+    
+    it('keeps non-admins out of the admin API', async () => {
+        for (const user of [await createCustomer(), await createAgent()]) {
+            const res = await request(app)
+                .get('/api/admin/users')
+                .set('Authorization', await authHeader(user));
+    
+            expect(res.status).toBe(403);
+            expect(res.body.code).toBe('PERMISSION_REQUIRED');
+        }
+    });
+    
+    it('does not let an agent change their own capacity', async () => {
+        const agent = await createAgent({ maxOpenTickets: 5 });
+    
+        const res = await request(app)
+            .patch('/api/agents/me')
+            .set('Authorization', await authHeader(agent))
+            .send({ availability: 'AWAY', maxOpenTickets: 100 });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        const stored = await User.findById(agent._id);
+        expect(stored).toMatchObject({ availability: 'ONLINE', maxOpenTickets: 5 });
+    });
+    
+    it('lets admins set an agent\'s capacity', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+    
+        const res = await request(app)
+            .patch(`/api/admin/users/${agent._id}/capacity`)
+            .set('Authorization', await authHeader(admin))
+            .send({ maxOpenTickets: 0 });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.user.maxOpenTickets).toBe(0);
+    });
+    
+    it('follows a role change on the next request', async () => {
+        const agent = await createAgent();
+        const header = await authHeader(agent);
+        agent.role = 'CUSTOMER';
+        await agent.save();
+    
+        const res = await request(app).get('/api/tickets/assigned').set('Authorization', header);
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ROLE_REQUIRED');
+    });
+});
+
+describe('error paths', () => {
+    it('answers unknown routes with ROUTE_NOT_FOUND', async () => {
+        const res = await request(app).get('/api/nothing-here');
+    
+        expect(res.status).toBe(404);
+        expect(res.body).toEqual({
+            success: false,
+            error: 'Route GET /api/nothing-here not found',
+            code: 'ROUTE_NOT_FOUND'
+        });
+    });
+    
+    it('answers malformed JSON with INVALID_JSON', async () => {
+        const res = await request(app)
+            .post('/api/auth/login')
+            .set('Content-Type', 'application/json')
+            .send('{"email": ');
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_JSON');
+    });
+    
+    it('answers a missing ticket with TICKET_NOT_FOUND', async () => {
+        const customer = await createCustomer();
+    
+        const res = await request(app)
+            .get('/api/tickets/64b000000000000000000000/messages')
+            .set('Authorization', await authHeader(customer));
+    
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('TICKET_NOT_FOUND');
+    });
+});
@@ -0,0 +1,228 @@
+const request = require('supertest');
+const AuditLog = require('../../models/AuditLog');
+const { createApp } = require('../../app');
+const { verifyChain } = require('../../services/audit');
+const {
+    PASSWORD,
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer,
+    createTeam,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+const entries = (filter = {}) => AuditLog.find(filter).sort({ seq: 1 }).lean();
+
+describe('audit trail', () => {
+    it('records successful and failed logins with the client', async () => {
+        const user = await createCustomer();
+    
+        await request(app).post('/api/auth/login').set('User-Agent', 'jest-agent').send({ email: user.email, password: PASSWORD });
+        await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+    
+        const [login, failed] = await entries();
+        expect(login).toMatchObject({ action: 'auth.login', outcome: 'SUCCESS', userAgent: 'jest-agent' });
+        expect(login.actor.id.toString()).toBe(user._id.toString());
+        expect(login.ip).toEqual(expect.any(String));
+        expect(failed).toMatchObject({
+            action: 'auth.login_failed',
+            outcome: 'FAILURE',
+            metadata: { email: user.email, code: 'INVALID_CREDENTIALS' }
+        });
+        expect(failed.actor).toBeNull();
+    });
+    
+    it('records a status change with its before and after', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+    
+        await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'IN_PROGRESS' })
+            .expect(200);
+    
+        const [entry] = await entries({ action: 'ticket.status_changed' });
+        expect(entry.target).toEqual({ type: 'ticket', id: ticket._id });
+        expect(entry.changes).toEqual([{ field: 'status', from: 'OPEN', to: 'IN_PROGRESS' }]);
+    });
+    
+    it('records role changes made by admins', async () => {
+        const admin = await createAdmin();
+        const user = await createCustomer();
+    
+        await request(app)
+            .patch(`/api/admin/users/${user._id}/role`)
+            .set('Authorization', await authHeader(admin))
+            .send({ role: 'AGENT' })
+            .expect(200);
+    
+        const [entry] = await entries({ action: 'user.role_changed' });
+        expect(entry.actor.id.toString()).toBe(admin._id.toString());
+        expect(entry.changes).toEqual([{ field: 'role', from: 'CUSTOMER', to: 'AGENT' }]);
+    });
+});
+
+describe('hash chain', () => {
+    const fillLog = async () => {
+        const user = await createCustomer();
+        for (let i = 0; i < 3; i++) {
+            await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+        }
+    };
+    
+    it('verifies an untouched log', async () => {
+        await fillLog();
+    
+        expect(await verifyChain()).toEqual({ valid: true, checked: 3 });
+    });
+    
+    it('detects an entry edited behind the application\'s back', async () => {
+        await fillLog();
+        await AuditLog.collection.updateOne({ seq: 2 }, { $set: { ip: '203.0.113.9' } });
+    
+        expect(await verifyChain()).toMatchObject({ valid: false, brokenAt: 2 });
+    });
+    
+    it('detects a deleted entry', async () => {
+        await fillLog();
+        await AuditLog.collection.deleteOne({ seq: 2 });
+    
+        expect(await verifyChain()).toMatchObject({ valid: false, brokenAt: 3 });
+    });
+    
+    it('refuses updates and deletes through the model', async () => {
+        await fillLog();
+    
+        await expect(AuditLog.updateOne({ seq: 1 }, { ip: 'x' })).rejects.toThrow('cannot be modified');
+        await expect(AuditLog.deleteMany({})).rejects.toThrow('cannot be modified');
+    });
+});
+
+describe('ticket reads', () => {
+    it('records who read a ticket\'s conversation and lists', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer });
+    
+        await request(app)
+            .get(`/api/tickets/${ticket._id}/messages`)
+            .set('Authorization', await authHeader(customer))
+            .expect(200);
+        await request(app)
+            .get('/api/tickets/my-tickets')
+            .set('Authorization', await authHeader(customer))
+            .expect(200);
+    
+        const [viewed, listed] = await entries({ action: /^ticket\./ });
+        expect(viewed).toMatchObject({
+            action: 'ticket.messages_viewed',
+            actor: { id: customer._id, role: 'CUSTOMER' },
+            target: { type: 'ticket', id: ticket._id }
+        });
+        expect(listed.action).toBe('ticket.listed');
+        expect(listed.metadata.tickets).toEqual([ticket._id.toString()]);
+    });
+    
+    it('records the admin list of all tickets', async () => {
+        const admin = await createAdmin();
+        const ticket = await createTicket();
+    
+        await request(app)
+            .get('/api/admin/tickets?status=OPEN')
+            .set('Authorization', await authHeader(admin))
+            .expect(200);
+    
+        const [listed] = await entries({ action: 'ticket.listed' });
+        expect(listed).toMatchObject({ actor: { id: admin._id, role: 'ADMIN' }, metadata: { query: { status: 'OPEN' } } });
+        expect(listed.metadata.tickets).toEqual([ticket._id.toString()]);
+    });
+    
+    it('records reads of a team queue', async () => {
+        const team = await createTeam();
+        const agent = await createAgent({ teams: [team._id] });
+        const ticket = await createTicket({ assignedAgent: null, team: team._id });
+    
+        await request(app)
+            .get(`/api/teams/${team._id}/queue`)
+            .set('Authorization', await authHeader(agent))
+            .expect(200);
+    
+        const [listed] = await entries({ action: 'ticket.listed' });
+        expect(listed.actor).toMatchObject({ id: agent._id, role: 'AGENT' });
+        expect(listed.metadata.tickets).toEqual([ticket._id.toString()]);
+    });
+});
+
+describe('team changes', () => {
+    it('records membership and routing changes with a diff', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+    
+        const created = await request(app)
+            .post('/api/teams')
+            .set('Authorization', await authHeader(admin))
+            .send({ name: 'Billing', categories: ['billing'] });
+        const teamId = created.body.team._id;
+        await request(app)
+            .patch(`/api/teams/${teamId}`)
+            .set('Authorization', await authHeader(admin))
+            .send({ categories: ['billing', 'refunds'] })
+            .expect(200);
+        await request(app)
+            .post(`/api/teams/${teamId}/members`)
+            .set('Authorization', await authHeader(admin))
+            .send({ userId: agent._id })
+            .expect(200);
+    
+        const logged = await entries({ action: /^team\./ });
+        expect(logged.map(entry => entry.action)).toEqual(['team.created', 'team.updated', 'team.member_added']);
+        expect(logged[1].changes).toEqual([{ field: 'categories', from: ['billing'], to: ['billing', 'refunds'] }]);
+        expect(logged[2].metadata.agent).toBe(agent._id.toString());
+    });
+});
+
+describe('GET /api/admin/audit', () => {
+    it('filters by action prefix', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        await request(app).post('/api/auth/login').send({ email: agent.email, password: PASSWORD });
+        await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'IN_PROGRESS' });
+    
+        const res = await request(app)
+            .get('/api/admin/audit?action=ticket.*')
+            .set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.entries.map(entry => entry.action)).toEqual(['ticket.status_changed']);
+    });
+    
+    it('exports in chain order and records the export', async () => {
+        const admin = await createAdmin();
+        await request(app).post('/api/auth/login').send({ email: admin.email, password: PASSWORD });
+    
+        const res = await request(app)
+            .get('/api/admin/audit/export?format=ndjson')
+            .set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(200);
+        const lines = res.text.trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.map(line => line.action)).toEqual(['auth.login', 'audit.exported']);
+        expect(lines[1].prevHash).toBe(lines[0].hash);
+    });
+    
+    it('is only open to admins', async () => {
+        const agent = await createAgent();
+    
+        const res = await request(app).get('/api/admin/audit').set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('PERMISSION_REQUIRED');
+    });
+});
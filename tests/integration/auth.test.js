@@ -0,0 +1,165 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const { setTransport } = require('../../services/mailer');
+const {
+    PASSWORD,
+    authHeader,
+    createCustomer,
+    createUser
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+describe('POST /api/auth/register', () => {
+    const body = {
+        name: 'Ada Customer',
+        email: 'Ada@Example.com',
+        password: 'secret123'
+    };
+    
+    it('creates a customer and starts a session', async () => {
+        const res = await request(app).post('/api/auth/register').send(body);
+    
+        expect(res.status).toBe(201);
+        expect(res.body.success).toBe(true);
+        expect(res.body.accessToken).toEqual(expect.any(String));
+        expect(res.body.refreshToken).toEqual(expect.any(String));
+        expect(res.body.user).toMatchObject({
+            email: 'ada@example.com',
+            role: 'CUSTOMER',
+            emailVerified: false
+        });
+        expect(res.body.user.password).toBeUndefined();
+    });
+    
+    it('rejects a duplicate email', async () => {
+        await createCustomer({ email: 'ada@example.com' });
+    
+        const res = await request(app).post('/api/auth/register').send(body);
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('EMAIL_TAKEN');
+    });
+    
+    it('does not let anyone register as staff', async () => {
+        const admin = await request(app).post('/api/auth/register').send({ ...body, role: 'ADMIN' });
+        const agent = await request(app).post('/api/auth/register').send({ ...body, email: 'bob@example.com', role: 'AGENT' });
+    
+        expect(admin.status).toBe(201);
+        expect(admin.body.user.role).toBe('CUSTOMER');
+        expect(agent.status).toBe(201);
+        expect(agent.body.user.role).toBe('CUSTOMER');
+    });
+    
+    it('reports every invalid field', async () => {
+        const res = await request(app).post('/api/auth/register').send({ email: 'nope', password: '1' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.details.map(detail => detail.path).sort()).toEqual(['email', 'name', 'password']);
+    });
+    
+    it('is still served at the legacy paths', async () => {
+        const res = await request(app).post('/users/signup').send(body);
+    
+        expect(res.status).toBe(201);
+        expect(res.body.user.email).toBe('ada@example.com');
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    it('returns tokens for valid credentials', async () => {
+        const user = await createCustomer();
+    
+        const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.token).toBe(res.body.accessToken);
+        expect(res.body.user.id).toBe(user._id.toString());
+    });
+    
+    it('gives the same answer for a wrong password and an unknown email', async () => {
+        const user = await createCustomer();
+    
+        const wrongPassword = await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong-password' });
+        const unknownEmail = await request(app).post('/api/auth/login').send({ email: 'nobody@example.com', password: PASSWORD });
+    
+        for (const res of [wrongPassword, unknownEmail]) {
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('INVALID_CREDENTIALS');
+        }
+        expect(wrongPassword.body.error).toBe(unknownEmail.body.error);
+    });
+    
+    it('refuses deactivated accounts', async () => {
+        const user = await createCustomer({ active: false });
+    
+        const res = await request(app).post('/api/auth/login').send({ email: user.email, password: PASSWORD });
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ACCOUNT_INACTIVE');
+    });
+    
+    it('is still served at /api/login', async () => {
+        const user = await createCustomer();
+    
+        const res = await request(app).post('/api/login').send({ email: user.email, password: PASSWORD });
+    
+        expect(res.status).toBe(200);
+    });
+});
+
+describe('GET /api/users/me', () => {
+    it('returns the signed-in user without the password hash', async () => {
+        const user = await createUser({ name: 'Grace' });
+    
+        const res = await request(app).get('/api/users/me').set('Authorization', await authHeader(user));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.user.name).toBe('Grace');
+        expect(res.body.user.password).toBeUndefined();
+    });
+    
+    it('requires a token', async () => {
+        const res = await request(app).get('/api/users/me');
+    
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('TOKEN_MISSING');
+    });
+    
+    it('rejects a malformed token', async () => {
+        const res = await request(app).get('/api/users/me').set('Authorization', 'Bearer not-a-jwt');
+    
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('INVALID_TOKEN');
+    });
+    
+    it('rejects the token of a session that was logged out', async () => {
+        const user = await createUser();
+        const header = await authHeader(user);
+    
+        await request(app).post('/api/auth/logout').set('Authorization', header).expect(200);
+        const res = await request(app).get('/api/users/me').set('Authorization', header);
+    
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('SESSION_REVOKED');
+    });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+    afterEach(() => {
+        setTransport(undefined);
+        jest.restoreAllMocks();
+    });
+    
+    it('answers the same for a real account when the mailer fails', async () => {
+        const user = await createUser();
+        setTransport({ send: async () => { throw new Error('SMTP down'); } });
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    
+        const known = await request(app).post('/api/auth/forgot-password').send({ email: user.email });
+        const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nobody@example.com' });
+    
+        expect(known.status).toBe(200);
+        expect(known.body).toEqual(unknown.body);
+    });
+});
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const Attachment = require('../../models/Attachment');
+const InboundEmail = require('../../models/InboundEmail');
+const Message = require('../../models/Message');
+const Ticket = require('../../models/Ticket');
+const User = require('../../models/UserModel');
+const { createApp } = require('../../app');
+const { pollMaildir } = require('../../jobs/inboundMail');
+const { createAgent, createCustomer, createTicket } = require('../fixtures/factories');
+
+const app = createApp();
+
+let counter = 0;
+
+const email = ({ from = 'Ada Lovelace <ada@example.com>', subject = 'Printer broken', headers = [], body = 'It is on fire.' } = {}) => [
+    `From: ${from}`,
+    'To: support@localhost',
+    `Subject: ${subject}`,
+    `Message-ID: <test-${++counter}@example.com>`,
+    ...headers,
+    '',
+    body
+].join('\r\n');
+
+// tests/setup/env.js sets the secret
+const deliver = (raw, secret = 'test-inbound-secret') => request(app)
+    .post('/api/inbound/email')
+    .set('Content-Type', 'message/rfc822')
+    .set('X-Inbound-Secret', secret)
+    .send(raw);
+
+describe('POST /api/inbound/email', () => {
+    it('opens a ticket for a new sender and creates their customer account', async () => {
+        await createAgent();
+    
+        const res = await deliver(email());
+    
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({ success: true, outcome: 'TICKET_CREATED' });
+    
+        const customer = await User.findOne({ email: 'ada@example.com' });
+        expect(customer).toMatchObject({ name: 'Ada Lovelace', role: 'CUSTOMER' });
+    
+        const ticket = await Ticket.findById(res.body.ticket);
+        expect(ticket.customer.toString()).toBe(customer._id.toString());
+        expect(ticket.source).toBe('EMAIL');
+        expect(ticket.issueDetails).toBe('Printer broken\n\nIt is on fire.');
+    });
+    
+    it('keeps the attachments', async () => {
+        await createAgent();
+    
+        const res = await deliver(email({
+            headers: ['MIME-Version: 1.0', 'Content-Type: multipart/mixed; boundary=b'],
+            body: [
+                '--b',
+                'Content-Type: text/plain',
+                '',
+                'Log attached',
+                '--b',
+                'Content-Type: text/plain; name=log.txt',
+                'Content-Disposition: attachment; filename=log.txt',
+                '',
+                'error 42',
+                '--b--'
+            ].join('\r\n')
+        }));
+    
+        const attachments = await Attachment.find({ ticket: res.body.ticket });
+        expect(attachments.map(attachment => attachment.originalName)).toEqual(['log.txt']);
+    });
+    
+    it('adds a reply from the customer to the referenced ticket', async () => {
+        const customer = await createCustomer({ email: 'ada@example.com' });
+        const ticket = await createTicket({ customer, status: 'WAITING_ON_CUSTOMER' });
+    
+        const res = await deliver(email({
+            subject: `Re: [Ticket #${ticket._id}] Waiting for your reply`,
+            body: 'Here is the serial number.\r\n\r\nOn Mon, Support wrote:\r\n> Which printer?'
+        }));
+    
+        expect(res.body).toMatchObject({ outcome: 'REPLY_ADDED', ticket: ticket._id.toString() });
+    
+        const [message] = await Message.find({ ticket: ticket._id });
+        expect(message).toMatchObject({ body: 'Here is the serial number.', authorRole: 'CUSTOMER', source: 'EMAIL' });
+        expect((await Ticket.findById(ticket._id)).status).toBe('IN_PROGRESS');
+    });
+    
+    it('matches replies by In-Reply-To as well', async () => {
+        const customer = await createCustomer({ email: 'ada@example.com' });
+        const ticket = await createTicket({ customer });
+    
+        const res = await deliver(email({
+            subject: 'Re: your ticket',
+            headers: [`In-Reply-To: <ticket-${ticket._id}.abc123@localhost>`]
+        }));
+    
+        expect(res.body).toMatchObject({ outcome: 'REPLY_ADDED', ticket: ticket._id.toString() });
+    });
+    
+    it('refuses replies from someone who is not on the ticket', async () => {
+        const ticket = await createTicket();
+        await createCustomer({ email: 'mallory@example.com' });
+    
+        const res = await deliver(email({
+            from: 'mallory@example.com',
+            subject: `Re: [Ticket #${ticket._id}] hello`
+        }));
+    
+        expect(res.body).toMatchObject({ outcome: 'REJECTED', reason: 'SENDER_MISMATCH' });
+        expect(await Message.countDocuments()).toBe(0);
+    });
+    
+    it('ignores auto-replies and bounces', async () => {
+        await createAgent();
+    
+        const outOfOffice = await deliver(email({ headers: ['Auto-Submitted: auto-replied'] }));
+        const bounce = await deliver(email({ from: 'MAILER-DAEMON@mx.example.com', subject: 'Undelivered Mail Returned to Sender' }));
+    
+        expect(outOfOffice.body).toMatchObject({ outcome: 'IGNORED', reason: 'AUTO_REPLY' });
+        expect(bounce.body).toMatchObject({ outcome: 'IGNORED', reason: 'BOUNCE' });
+        expect(await Ticket.countDocuments()).toBe(0);
+        expect(await User.countDocuments({ role: 'CUSTOMER' })).toBe(0);
+    });
+    
+    it('handles a message delivered twice only once', async () => {
+        await createAgent();
+        const raw = email();
+    
+        await deliver(raw);
+        const again = await deliver(raw);
+    
+        expect(again.body).toMatchObject({ outcome: 'TICKET_CREATED', duplicate: true });
+        expect(await Ticket.countDocuments()).toBe(1);
+    });
+    
+    it('lets the provider retry when no agent can take the ticket', async () => {
+        const res = await deliver(email());
+    
+        expect(res.status).toBe(503);
+        expect(await InboundEmail.countDocuments()).toBe(0);
+    });
+    
+    it('requires the shared secret', async () => {
+        const res = await deliver(email(), 'wrong');
+    
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('INVALID_WEBHOOK_SECRET');
+    });
+});
+
+describe('maildir polling', () => {
+    it('processes new messages and moves them to cur/', async () => {
+        await createAgent();
+        const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'maildir-'));
+        await fs.promises.mkdir(path.join(dir, 'new'));
+        await fs.promises.writeFile(path.join(dir, 'new', '1700000000.1.host'), email());
+    
+        const counts = await pollMaildir(dir);
+    
+        expect(counts).toEqual({ processed: 1, failed: 0 });
+        expect(await fs.promises.readdir(path.join(dir, 'new'))).toEqual([]);
+        expect(await fs.promises.readdir(path.join(dir, 'cur'))).toEqual(['1700000000.1.host:2,S']);
+        expect(await Ticket.countDocuments({ source: 'EMAIL' })).toBe(1);
+    });
+});
@@ -0,0 +1,223 @@
+const request = require('supertest');
+const Article = require('../../models/Article');
+const ArticleSuggestion = require('../../models/ArticleSuggestion');
+const { createApp } = require('../../app');
+const { drain } = require('../../services/events');
+const {
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+const writeArticle = async (author, body) => {
+    const res = await request(app)
+        .post('/api/kb/manage')
+        .set('Authorization', await authHeader(author))
+        .send(body);
+    expect(res.status).toBe(201);
+    return res.body.article;
+};
+
+const publish = async (author, article) => request(app)
+    .post(`/api/kb/manage/${article._id}/publish`)
+    .set('Authorization', await authHeader(author))
+    .expect(200);
+
+const publishedArticle = async (author, body) => {
+    const article = await writeArticle(author, body);
+    await publish(author, article);
+    return article;
+};
+
+const suggest = async (customer, issueDetails) => {
+    const res = await request(app)
+        .post('/api/kb/suggestions')
+        .set('Authorization', await authHeader(customer))
+        .send({ issueDetails });
+    expect(res.status).toBe(201);
+    return res.body;
+};
+
+describe('knowledge base authoring', () => {
+    it('keeps drafts private until they are published', async () => {
+        const agent = await createAgent();
+        const article = await writeArticle(agent, { title: 'Reset your password', body: 'Use the reset link.' });
+    
+        expect(article).toMatchObject({ slug: 'reset-your-password', status: 'DRAFT', version: 1 });
+        await request(app).get('/api/kb/articles/reset-your-password').expect(404);
+    
+        await publish(agent, article);
+    
+        const res = await request(app).get('/api/kb/articles/reset-your-password');
+        expect(res.status).toBe(200);
+        expect(res.body.article).toMatchObject({ title: 'Reset your password', body: 'Use the reset link.', version: 1 });
+    });
+    
+    it('versions every edit and shows readers the published one', async () => {
+        const agent = await createAgent();
+        const article = await publishedArticle(agent, { title: 'Exporting data', body: 'Open settings.' });
+    
+        const edited = await request(app)
+            .patch(`/api/kb/manage/${article._id}`)
+            .set('Authorization', await authHeader(agent))
+            .send({ body: 'Open settings, then Export.', note: 'Clearer steps' });
+        expect(edited.status).toBe(200);
+        expect(edited.body.article.version).toBe(2);
+    
+        const live = await request(app).get('/api/kb/articles/exporting-data');
+        expect(live.body.article).toMatchObject({ body: 'Open settings.', version: 1 });
+    
+        const history = await request(app)
+            .get(`/api/kb/manage/${article._id}/versions`)
+            .set('Authorization', await authHeader(agent));
+        expect(history.body.versions.map(version => version.version)).toEqual([2, 1]);
+        expect(history.body.publishedVersion).toBe(1);
+    
+        const restored = await request(app)
+            .post(`/api/kb/manage/${article._id}/versions/1/restore`)
+            .set('Authorization', await authHeader(agent));
+        expect(restored.body.article).toMatchObject({ body: 'Open settings.', version: 3 });
+    });
+    
+    it('rejects publishing the version that is already live', async () => {
+        const agent = await createAgent();
+        const article = await publishedArticle(agent, { title: 'Invoices', body: 'Find them under Billing.' });
+    
+        const res = await request(app)
+            .post(`/api/kb/manage/${article._id}/publish`)
+            .set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('ALREADY_PUBLISHED');
+    });
+    
+    it('keeps customers out and leaves deleting to admins', async () => {
+        const customer = await createCustomer();
+        const agent = await createAgent();
+        const admin = await createAdmin();
+        const article = await writeArticle(agent, { title: 'Two-factor login', body: 'Scan the code.' });
+    
+        await request(app)
+            .post('/api/kb/manage')
+            .set('Authorization', await authHeader(customer))
+            .send({ title: 'Mine', body: 'Text' })
+            .expect(403);
+        await request(app)
+            .delete(`/api/kb/manage/${article._id}`)
+            .set('Authorization', await authHeader(agent))
+            .expect(403);
+    
+        await request(app)
+            .delete(`/api/kb/manage/${article._id}`)
+            .set('Authorization', await authHeader(admin))
+            .expect(200);
+        expect(await Article.exists({ _id: article._id })).toBeNull();
+    });
+});
+
+describe('public search', () => {
+    it('finds published articles by full text, best match first', async () => {
+        const agent = await createAgent();
+        await publishedArticle(agent, { title: 'Reset your password', body: 'Use the reset link we email you.' });
+        await publishedArticle(agent, { title: 'Change your email', body: 'A password is needed to confirm.' });
+        await writeArticle(agent, { title: 'Password policy draft', body: 'Password rules.' });
+    
+        const res = await request(app).get('/api/kb/articles').query({ q: 'password' });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(2);
+        expect(res.body.articles[0].slug).toBe('reset-your-password');
+        expect(res.body.articles[0].body).toBeUndefined();
+    });
+});
+
+describe('suggestions and deflection', () => {
+    it('suggests articles and records a confirmed answer', async () => {
+        const agent = await createAgent();
+        const customer = await createCustomer();
+        const article = await publishedArticle(agent, { title: 'Reset your password', body: 'Use the reset link.' });
+    
+        const { suggestion, articles } = await suggest(customer, 'I forgot my password and cannot log in');
+        expect(articles.map(item => item.slug)).toEqual(['reset-your-password']);
+    
+        await request(app)
+            .get('/api/kb/articles/reset-your-password')
+            .query({ suggestion })
+            .expect(200);
+    
+        const res = await request(app)
+            .post(`/api/kb/suggestions/${suggestion}/answered`)
+            .set('Authorization', await authHeader(customer))
+            .send({ article: article._id });
+        expect(res.status).toBe(200);
+    
+        const stored = await ArticleSuggestion.findById(suggestion);
+        expect(stored.outcome).toBe('ANSWERED');
+        expect(stored.viewedArticles.map(String)).toEqual([article._id]);
+        expect((await Article.findById(article._id)).deflections).toBe(1);
+    });
+    
+    it('counts a ticket opened after suggestions against them', async () => {
+        const agent = await createAgent();
+        const customer = await createCustomer();
+        await publishedArticle(agent, { title: 'Reset your password', body: 'Use the reset link.' });
+    
+        const { suggestion } = await suggest(customer, 'Password reset link never arrives');
+    
+        await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Password reset link never arrives' })
+            .expect(201);
+        await drain();
+    
+        const stored = await ArticleSuggestion.findById(suggestion);
+        expect(stored.outcome).toBe('TICKET_CREATED');
+    
+        const late = await request(app)
+            .post(`/api/kb/suggestions/${suggestion}/answered`)
+            .set('Authorization', await authHeader(customer))
+            .send({});
+        expect(late.status).toBe(409);
+        expect(late.body.code).toBe('SUGGESTION_RESOLVED');
+    });
+    
+    it('reports the deflection rate', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const customer = await createCustomer();
+        await publishedArticle(agent, { title: 'Reset your password', body: 'Use the reset link.' });
+    
+        const answered = await suggest(customer, 'forgot password');
+        await request(app)
+            .post(`/api/kb/suggestions/${answered.suggestion}/answered`)
+            .set('Authorization', await authHeader(customer))
+            .send({})
+            .expect(200);
+        await suggest(customer, 'password reset again');
+        await suggest(customer, 'billing address');
+        await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Still locked out' })
+            .expect(201);
+        await drain();
+    
+        const res = await request(app)
+            .get('/api/reports/deflection')
+            .set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.rows[0]).toMatchObject({
+            suggestions: 3,
+            noResults: 1,
+            answered: 1,
+            ticketsCreated: 1,
+            deflected: 1,
+            deflectionRate: 0.5
+        });
+    });
+});
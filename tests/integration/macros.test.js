@@ -0,0 +1,185 @@
+const request = require('supertest');
+const Message = require('../../models/Message');
+const Ticket = require('../../models/Ticket');
+const { createApp } = require('../../app');
+const {
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+const createMacro = async (user, body) => {
+    const res = await request(app)
+        .post('/api/macros')
+        .set('Authorization', await authHeader(user))
+        .send(body);
+    expect(res.status).toBe(201);
+    return res.body.macro;
+};
+
+describe('canned responses', () => {
+    it('shows shared responses to everyone and personal ones to their owner only', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const other = await createAgent();
+    
+        await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(admin))
+            .send({ title: 'Greeting', body: 'Hello {{customer.name}}', scope: 'SHARED' })
+            .expect(201);
+        await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(agent))
+            .send({ title: 'My sign-off', body: 'Cheers, {{agent.name}}' })
+            .expect(201);
+    
+        const mine = await request(app).get('/api/canned-responses').set('Authorization', await authHeader(agent));
+        const theirs = await request(app).get('/api/canned-responses').set('Authorization', await authHeader(other));
+    
+        expect(mine.body.responses.map(response => response.title)).toEqual(['Greeting', 'My sign-off']);
+        expect(theirs.body.responses.map(response => response.title)).toEqual(['Greeting']);
+    });
+    
+    it('lets only admins create or change shared responses', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+    
+        const denied = await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(agent))
+            .send({ title: 'Greeting', body: 'Hello', scope: 'SHARED' });
+        expect(denied.status).toBe(403);
+        expect(denied.body.code).toBe('SHARED_ITEM_FORBIDDEN');
+    
+        const created = await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(admin))
+            .send({ title: 'Greeting', body: 'Hello', scope: 'SHARED' });
+    
+        const edit = await request(app)
+            .patch(`/api/canned-responses/${created.body.response._id}`)
+            .set('Authorization', await authHeader(agent))
+            .send({ body: 'Yo' });
+        expect(edit.status).toBe(403);
+    });
+    
+    it('rejects unknown placeholders', async () => {
+        const agent = await createAgent();
+    
+        const res = await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(agent))
+            .send({ title: 'Typo', body: 'Hi {{customer.nmae}}' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+    });
+    
+    it('renders a response for a ticket assigned to the agent', async () => {
+        const agent = await createAgent({ name: 'Grace' });
+        const customer = await createCustomer({ name: 'Ada' });
+        const ticket = await createTicket({ customer, assignedAgent: agent });
+        const created = await request(app)
+            .post('/api/canned-responses')
+            .set('Authorization', await authHeader(agent))
+            .send({ title: 'Hello', body: 'Hi {{customer.name}}, about {{ticket.id}}. {{agent.name}}' });
+    
+        const res = await request(app)
+            .get(`/api/canned-responses/${created.body.response._id}/render`)
+            .query({ ticket: ticket._id.toString() })
+            .set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.body).toBe(`Hi Ada, about ${ticket._id}. Grace`);
+    
+        const stranger = await createAgent();
+        const denied = await request(app)
+            .get(`/api/canned-responses/${created.body.response._id}/render`)
+            .query({ ticket: ticket._id.toString() })
+            .set('Authorization', await authHeader(stranger));
+        expect(denied.status).toBe(404);
+        expect(denied.body.code).toBe('CANNED_RESPONSE_NOT_FOUND');
+    });
+});
+
+describe('POST /api/tickets/:id/macros/:macroId/apply', () => {
+    it('posts the reply, adds tags and resolves the ticket', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const customer = await createCustomer({ name: 'Ada' });
+        const ticket = await createTicket({ customer, assignedAgent: agent, status: 'IN_PROGRESS', tags: ['billing'] });
+        const macro = await createMacro(admin, {
+            name: 'Refund issued',
+            scope: 'SHARED',
+            actions: {
+                reply: { body: 'Hi {{customer.name}}, your refund is on its way.' },
+                addTags: ['refund', 'billing'],
+                status: 'RESOLVED'
+            }
+        });
+    
+        const res = await request(app)
+            .post(`/api/tickets/${ticket._id}/macros/${macro._id}/apply`)
+            .set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.applied).toEqual({
+            reply: true,
+            tags: ['refund'],
+            status: { from: 'IN_PROGRESS', to: 'RESOLVED' }
+        });
+    
+        const saved = await Ticket.findById(ticket._id);
+        expect(saved.status).toBe('RESOLVED');
+        expect([...saved.tags]).toEqual(['billing', 'refund']);
+        expect(saved.statusHistory.at(-1).reason).toBe('Macro: Refund issued');
+        expect(saved.sla.firstRespondedAt).toEqual(expect.any(Date));
+    
+        const messages = await Message.find({ ticket: ticket._id });
+        expect(messages.map(message => message.body)).toEqual(['Hi Ada, your refund is on its way.']);
+    });
+    
+    it('changes nothing when the status change is not allowed', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent, status: 'CLOSED' });
+        const macro = await createMacro(agent, {
+            name: 'Chase customer',
+            actions: { reply: { body: 'Any news?' }, addTags: ['chased'], status: 'WAITING_ON_CUSTOMER' }
+        });
+    
+        const res = await request(app)
+            .post(`/api/tickets/${ticket._id}/macros/${macro._id}/apply`)
+            .set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATUS_TRANSITION');
+        expect(await Message.countDocuments({ ticket: ticket._id })).toBe(0);
+        expect([...(await Ticket.findById(ticket._id)).tags]).toEqual([]);
+    });
+    
+    it('is limited to the assigned agent and to macros they can see', async () => {
+        const agent = await createAgent();
+        const other = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        const personal = await createMacro(other, { name: 'Mine', actions: { addTags: ['x'] } });
+        const own = await createMacro(agent, { name: 'Tag', actions: { addTags: ['x'] } });
+    
+        const hidden = await request(app)
+            .post(`/api/tickets/${ticket._id}/macros/${personal._id}/apply`)
+            .set('Authorization', await authHeader(agent));
+        expect(hidden.status).toBe(404);
+        expect(hidden.body.code).toBe('MACRO_NOT_FOUND');
+    
+        const otherTicket = await createTicket({ assignedAgent: other });
+        const notAssigned = await request(app)
+            .post(`/api/tickets/${otherTicket._id}/macros/${own._id}/apply`)
+            .set('Authorization', await authHeader(agent));
+        expect(notAssigned.status).toBe(404);
+        expect(notAssigned.body.code).toBe('TICKET_NOT_FOUND');
+    });
+});
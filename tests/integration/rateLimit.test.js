@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { createApp } = require('../../app');
+const {
+    PASSWORD,
+    authHeader,
+    createAgent,
+    createCustomer
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+// tests/setup/env.js: lockout after 3 failures, 3 tickets per customer per hour
+const login = (email, password) => request(app).post('/api/auth/login').send({ email, password });
+
+describe('login lockout', () => {
+    it('locks an email after repeated failures, even for the right password', async () => {
+        const user = await createCustomer();
+    
+        await login(user.email, 'wrong-1').expect(401);
+        await login(user.email, 'wrong-2').expect(401);
+        const third = await login(user.email, 'wrong-3');
+    
+        expect(third.status).toBe(429);
+        expect(third.body.code).toBe('ACCOUNT_LOCKED');
+        expect(Number(third.headers['retry-after'])).toBeGreaterThan(4 * 60);
+    
+        const res = await login(user.email, PASSWORD);
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    });
+    
+    it('locks unknown emails the same way', async () => {
+        for (let i = 0; i < 2; i++) {
+            await login('ghost@example.com', 'guess').expect(401);
+        }
+        const res = await login('ghost@example.com', 'guess');
+    
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    });
+    
+    it('forgets failures after a successful login', async () => {
+        const user = await createCustomer();
+    
+        await login(user.email, 'wrong').expect(401);
+        await login(user.email, 'wrong').expect(401);
+        await login(user.email, PASSWORD).expect(200);
+    
+        const res = await login(user.email, 'wrong');
+        expect(res.status).toBe(401);
+    });
+    
+    it('is shared with the legacy login path', async () => {
+        const user = await createCustomer();
+    
+        await request(app).post('/users/login').send({ email: user.email, password: 'x' }).expect(401);
+        await request(app).post('/api/login').send({ email: user.email, password: 'x' }).expect(401);
+        const res = await login(user.email, 'x');
+    
+        expect(res.body.code).toBe('ACCOUNT_LOCKED');
+    });
+});
+
+describe('per-IP limits', () => {
+    it('throttles login attempts from one address', async () => {
+        // Empty bodies fail validation but still count
+        for (let i = 0; i < 20; i++) {
+            await request(app).post('/api/auth/login').send({}).expect(400);
+        }
+        const res = await request(app).post('/api/auth/login').send({});
+    
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('RATE_LIMITED');
+        expect(res.headers['ratelimit-remaining']).toBe('0');
+        expect(res.headers['retry-after']).toEqual(expect.any(String));
+    });
+});
+
+describe('POST /api/tickets limits', () => {
+    it('caps how many tickets a customer can open per window', async () => {
+        await createAgent();
+        const customer = await createCustomer();
+        const header = await authHeader(customer);
+    
+        for (let i = 1; i <= 3; i++) {
+            const res = await request(app)
+                .post('/api/tickets')
+                .set('Authorization', header)
+                .send({ issueDetails: `Issue ${i}` });
+            expect(res.status).toBe(201);
+            expect(res.headers['ratelimit-remaining']).toBe(String(3 - i));
+        }
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', header)
+            .send({ issueDetails: 'One too many' });
+    
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('RATE_LIMITED');
+    });
+    
+    it('counts each customer separately', async () => {
+        await createAgent();
+        const spammer = await createCustomer();
+        const other = await createCustomer();
+        const spammerHeader = await authHeader(spammer);
+    
+        for (let i = 0; i < 3; i++) {
+            await request(app).post('/api/tickets').set('Authorization', spammerHeader).send({ issueDetails: 'Spam' });
+        }
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(other))
+            .send({ issueDetails: 'Real problem' });
+    
+        expect(res.status).toBe(201);
+    });
+});
+
+describe('password reset throttling', () => {
+    const forgot = (email) => request(app).post('/api/auth/forgot-password').send({ email });
+    
+    it('limits reset emails per address', async () => {
+        const user = await createCustomer();
+    
+        for (let i = 0; i < 3; i++) {
+            await forgot(user.email).expect(200);
+        }
+        const res = await forgot(user.email.toUpperCase());
+    
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('RATE_LIMITED');
+        await forgot('someone-else@example.com').expect(200);
+    });
+});
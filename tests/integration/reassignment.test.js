@@ -0,0 +1,135 @@
+const request = require('supertest');
+const Ticket = require('../../models/Ticket');
+const { createApp } = require('../../app');
+const {
+    authHeader,
+    createAgent,
+    createCustomer,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+// tests/setup/env.js: one lateral move and two escalations per ticket, reason required
+const reassign = async (agent, ticket, body) => request(app)
+    .patch(`/api/tickets/${ticket._id}/reassign`)
+    .set('Authorization', await authHeader(agent))
+    .send(body);
+
+describe('PATCH /api/tickets/:id/reassign', () => {
+    it('moves the ticket to another agent and records the move', async () => {
+        const from = await createAgent();
+        const to = await createAgent();
+        const ticket = await createTicket({ assignedAgent: from });
+    
+        const res = await reassign(from, ticket, { newAgentId: to._id.toString(), reason: 'Going on leave' });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.ticket.assignedAgent._id).toBe(to._id.toString());
+    
+        const saved = await Ticket.findById(ticket._id);
+        expect(saved.reassignmentCount).toBe(1);
+        expect(saved.reassignmentHistory).toEqual([
+            expect.objectContaining({ kind: 'LATERAL', outcome: 'REASSIGNED', reason: 'Going on leave' })
+        ]);
+    });
+    
+    it('allows only one lateral reassignment per ticket', async () => {
+        const first = await createAgent();
+        const second = await createAgent();
+        const third = await createAgent();
+        const ticket = await createTicket({ assignedAgent: first });
+    
+        await reassign(first, ticket, { newAgentId: second._id.toString(), reason: 'Shift change' });
+        const res = await reassign(second, ticket, { newAgentId: third._id.toString(), reason: 'Shift change again' });
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('REASSIGNMENT_LIMIT_REACHED');
+    
+        const saved = await Ticket.findById(ticket._id);
+        expect(saved.assignedAgent.toString()).toBe(second._id.toString());
+    });
+    
+    it('still allows escalation to a higher tier after the lateral move', async () => {
+        const first = await createAgent();
+        const second = await createAgent();
+        const senior = await createAgent({ tier: 2 });
+        const ticket = await createTicket({ assignedAgent: first });
+    
+        await reassign(first, ticket, { newAgentId: second._id.toString(), reason: 'Shift change' });
+        const res = await reassign(second, ticket, { newAgentId: senior._id.toString(), reason: 'Needs tier 2' });
+    
+        expect(res.status).toBe(200);
+    
+        const saved = await Ticket.findById(ticket._id);
+        expect(saved.escalationCount).toBe(1);
+    });
+    
+    it('stops escalating once the escalation limit is reached', async () => {
+        const agent = await createAgent({ tier: 1 });
+        const senior = await createAgent({ tier: 2 });
+        const ticket = await createTicket({ assignedAgent: agent, escalationCount: 2 });
+    
+        const res = await reassign(agent, ticket, { newAgentId: senior._id.toString(), reason: 'Needs tier 2' });
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('ESCALATION_LIMIT_REACHED');
+    });
+    
+    it('requires a reason', async () => {
+        const from = await createAgent();
+        const to = await createAgent();
+        const ticket = await createTicket({ assignedAgent: from });
+    
+        const res = await reassign(from, ticket, { newAgentId: to._id.toString() });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('REASON_REQUIRED');
+    });
+    
+    it('refuses a reassignment to yourself', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+    
+        const res = await reassign(agent, ticket, { newAgentId: agent._id.toString(), reason: 'Hmm' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('SELF_REASSIGNMENT');
+    });
+    
+    it('refuses targets that are not active agents', async () => {
+        const agent = await createAgent();
+        const customer = await createCustomer();
+        const inactive = await createAgent({ active: false });
+        const ticket = await createTicket({ assignedAgent: agent });
+    
+        for (const target of [customer, inactive]) {
+            const res = await reassign(agent, ticket, { newAgentId: target._id.toString(), reason: 'Try' });
+    
+            expect(res.status).toBe(404);
+            expect(res.body.code).toBe('AGENT_NOT_FOUND');
+        }
+    });
+    
+    it('refuses resolved tickets', async () => {
+        const from = await createAgent();
+        const to = await createAgent();
+        const ticket = await createTicket({ assignedAgent: from, status: 'RESOLVED', resolvedAt: new Date() });
+    
+        const res = await reassign(from, ticket, { newAgentId: to._id.toString(), reason: 'Too late' });
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('TICKET_NOT_REASSIGNABLE');
+    });
+    
+    it('only lets the assigned agent reassign', async () => {
+        const owner = await createAgent();
+        const other = await createAgent();
+        const ticket = await createTicket({ assignedAgent: owner });
+    
+        const res = await reassign(other, ticket, { newAgentId: other._id.toString(), reason: 'Mine now' });
+    
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('TICKET_NOT_FOUND');
+    });
+});
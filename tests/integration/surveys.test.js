@@ -0,0 +1,46 @@
+const request = require('supertest');
+const Survey = require('../../models/Survey');
+const { createApp } = require('../../app');
+const { drain } = require('../../services/events');
+const {
+    authHeader,
+    createAgent,
+    createCustomer,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+describe('GET /api/tickets/:id/survey', () => {
+    it('does not create a survey for a ticket resolved without one', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer, status: 'RESOLVED', resolvedAt: new Date() });
+    
+        const res = await request(app)
+            .get(`/api/tickets/${ticket._id}/survey`)
+            .set('Authorization', await authHeader(customer));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.survey).toBeNull();
+        expect(await Survey.countDocuments()).toBe(0);
+    });
+    
+    it('shows the survey opened when the ticket was resolved', async () => {
+        const customer = await createCustomer();
+        const agent = await createAgent();
+        const ticket = await createTicket({ customer, assignedAgent: agent, status: 'IN_PROGRESS' });
+    
+        await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'RESOLVED' })
+            .expect(200);
+        await drain();
+    
+        const res = await request(app)
+            .get(`/api/tickets/${ticket._id}/survey`)
+            .set('Authorization', await authHeader(customer));
+    
+        expect(res.body.survey).toMatchObject({ status: 'PENDING' });
+    });
+});
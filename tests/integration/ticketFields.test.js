@@ -0,0 +1,222 @@
+const request = require('supertest');
+const Category = require('../../models/Category');
+const CustomField = require('../../models/CustomField');
+const Ticket = require('../../models/Ticket');
+const { createApp } = require('../../app');
+const {
+    authHeader,
+    createAdmin,
+    createAgent,
+    createCustomer,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+const defineFields = () => CustomField.create([
+    { key: 'order_number', label: 'Order number', type: 'TEXT', required: true },
+    { key: 'version', label: 'Product version', type: 'SELECT', options: ['2.x', '3.x'] },
+    { key: 'seats', label: 'Seats', type: 'NUMBER' }
+]);
+
+describe('categories and custom fields', () => {
+    it('lets admins maintain them and everyone read the active ones', async () => {
+        const admin = await createAdmin();
+        const customer = await createCustomer();
+    
+        const created = await request(app)
+            .post('/api/categories')
+            .set('Authorization', await authHeader(admin))
+            .send({ slug: 'Billing', name: 'Billing' });
+        expect(created.status).toBe(201);
+        expect(created.body.category.slug).toBe('billing');
+    
+        await request(app)
+            .post('/api/categories')
+            .set('Authorization', await authHeader(admin))
+            .send({ slug: 'legacy', name: 'Legacy', active: false })
+            .expect(201);
+    
+        const denied = await request(app)
+            .post('/api/custom-fields')
+            .set('Authorization', await authHeader(customer))
+            .send({ key: 'seats', label: 'Seats', type: 'NUMBER' });
+        expect(denied.status).toBe(403);
+    
+        const list = await request(app).get('/api/categories').set('Authorization', await authHeader(customer));
+        expect(list.body.categories.map(category => category.slug)).toEqual(['billing']);
+    });
+    
+    it('refuses to delete a category tickets use', async () => {
+        const admin = await createAdmin();
+        const category = await Category.create({ slug: 'billing', name: 'Billing' });
+        await createTicket({ category: 'billing' });
+    
+        const res = await request(app)
+            .delete(`/api/categories/${category._id}`)
+            .set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('CATEGORY_IN_USE');
+    });
+});
+
+describe('POST /api/tickets with categories and custom fields', () => {
+    it('stores typed custom field values', async () => {
+        const customer = await createCustomer();
+        await createAgent();
+        await defineFields();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Crash on start', customFields: { order_number: 'A-100', version: '3.x', seats: '25' } });
+    
+        expect(res.status).toBe(201);
+        expect(res.body.ticket.customFields).toEqual({ order_number: 'A-100', version: '3.x', seats: 25 });
+    });
+    
+    it('reports every invalid or missing value', async () => {
+        const customer = await createCustomer();
+        await createAgent();
+        await defineFields();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Crash on start', customFields: { version: '1.x', seats: 'many', colour: 'red' } });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.details.map(detail => detail.path).sort()).toEqual([
+            'customFields.colour',
+            'customFields.order_number',
+            'customFields.seats',
+            'customFields.version'
+        ]);
+        expect(await Ticket.countDocuments()).toBe(0);
+    });
+    
+    it('accepts only active categories once the taxonomy exists', async () => {
+        const customer = await createCustomer();
+        await createAgent();
+        await Category.create([{ slug: 'billing', name: 'Billing' }, { slug: 'legacy', name: 'Legacy', active: false }]);
+    
+        for (const category of ['legacy', 'unknown']) {
+            const res = await request(app)
+                .post('/api/tickets')
+                .set('Authorization', await authHeader(customer))
+                .send({ issueDetails: 'Invoice question', category });
+            expect(res.status).toBe(400);
+            expect(res.body.details[0].path).toBe('category');
+        }
+    
+        await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Invoice question', category: 'billing' })
+            .expect(201);
+    });
+});
+
+describe('PATCH /api/tickets/:id', () => {
+    it('updates tags and merges custom fields for the assigned agent', async () => {
+        const agent = await createAgent();
+        await defineFields();
+        const ticket = await createTicket({ assignedAgent: agent, customFields: { order_number: 'A-1', seats: 3 } });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}`)
+            .set('Authorization', await authHeader(agent))
+            .send({ tags: ['VIP', 'refund'], customFields: { seats: null, version: '2.x' } });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.ticket.tags).toEqual(['vip', 'refund']);
+        expect(res.body.ticket.customFields).toEqual({ order_number: 'A-1', version: '2.x' });
+    });
+    
+    it('does not let a required field be cleared', async () => {
+        const agent = await createAgent();
+        await defineFields();
+        const ticket = await createTicket({ assignedAgent: agent, customFields: { order_number: 'A-1' } });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}`)
+            .set('Authorization', await authHeader(agent))
+            .send({ customFields: { order_number: '' } });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.details[0].message).toBe('Order number is required');
+    });
+    
+    it('is not open to customers or other agents', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer });
+    
+        const asCustomer = await request(app)
+            .patch(`/api/tickets/${ticket._id}`)
+            .set('Authorization', await authHeader(customer))
+            .send({ tags: ['x'] });
+        expect(asCustomer.status).toBe(403);
+    
+        const asOther = await request(app)
+            .patch(`/api/tickets/${ticket._id}`)
+            .set('Authorization', await authHeader(await createAgent()))
+            .send({ tags: ['x'] });
+        expect(asOther.status).toBe(404);
+    });
+});
+
+describe('filtering and breakdowns', () => {
+    const seed = async () => {
+        const admin = await createAdmin();
+        await defineFields();
+        await createTicket({ category: 'billing', tags: ['vip', 'refund'], customFields: { order_number: 'A', seats: 5 } });
+        await createTicket({ category: 'billing', tags: ['refund'], status: 'RESOLVED', customFields: { order_number: 'B', seats: 50 } });
+        await createTicket({ category: 'bugs', customFields: { order_number: 'C', version: '3.x' } });
+        return admin;
+    };
+    
+    it('filters by tags and custom field values or ranges', async () => {
+        const admin = await seed();
+    
+        const byTag = await request(app).get('/api/tickets?tags=vip').set('Authorization', await authHeader(admin));
+        expect(byTag.body.total).toBe(1);
+    
+        const byRange = await request(app).get('/api/tickets?cf.seats=10..').set('Authorization', await authHeader(admin));
+        expect(byRange.body.tickets.map(ticket => ticket.customFields.order_number)).toEqual(['B']);
+    
+        const bySelect = await request(app).get('/api/tickets?cf.version=3.x').set('Authorization', await authHeader(admin));
+        expect(bySelect.body.total).toBe(1);
+    
+        const unknown = await request(app).get('/api/tickets?cf.colour=red').set('Authorization', await authHeader(admin));
+        expect(unknown.status).toBe(400);
+        expect(unknown.body.code).toBe('INVALID_QUERY');
+    });
+    
+    it('counts tickets per category, tag or custom field', async () => {
+        const admin = await seed();
+    
+        const byCategory = await request(app)
+            .get('/api/tickets/breakdown?by=category')
+            .set('Authorization', await authHeader(admin));
+        expect(byCategory.body.rows).toEqual([
+            { group: 'billing', count: 2, open: 1 },
+            { group: 'bugs', count: 1, open: 1 }
+        ]);
+    
+        const byTag = await request(app)
+            .get('/api/tickets/breakdown?by=tag&category=billing')
+            .set('Authorization', await authHeader(admin));
+        expect(byTag.body.rows).toEqual([
+            { group: 'refund', count: 2, open: 1 },
+            { group: 'vip', count: 1, open: 1 }
+        ]);
+    
+        const csv = await request(app)
+            .get('/api/tickets/breakdown?by=cf.version&format=csv')
+            .set('Authorization', await authHeader(admin));
+        expect(csv.headers['content-type']).toMatch(/text\/csv/);
+        expect(csv.text).toBe('group,count,open\r\nnone,2,1\r\n3.x,1,1\r\n');
+    });
+});
@@ -0,0 +1,291 @@
+const request = require('supertest');
+const Message = require('../../models/Message');
+const Ticket = require('../../models/Ticket');
+const { createApp } = require('../../app');
+const {
+    authHeader,
+    createAgent,
+    createCustomer,
+    createTeam,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+describe('POST /api/tickets', () => {
+    it('creates a ticket and assigns an available agent', async () => {
+        const customer = await createCustomer();
+        const agent = await createAgent();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Printer is on fire', priority: 'HIGH' });
+    
+        expect(res.status).toBe(201);
+        expect(res.body.ticket).toMatchObject({
+            status: 'OPEN',
+            priority: 'HIGH',
+            issueDetails: 'Printer is on fire'
+        });
+        expect(res.body.ticket.customer._id).toBe(customer._id.toString());
+        expect(res.body.ticket.assignedAgent._id).toBe(agent._id.toString());
+        expect(res.body.ticket.sla.firstResponseDueAt).toEqual(expect.any(String));
+    });
+    
+    it('skips offline agents and agents at capacity', async () => {
+        const customer = await createCustomer();
+        await createAgent({ availability: 'OFFLINE' });
+        await createAgent({ maxOpenTickets: 0 });
+        const free = await createAgent();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Cannot log in' });
+    
+        expect(res.status).toBe(201);
+        expect(res.body.ticket.assignedAgent._id).toBe(free._id.toString());
+    });
+    
+    it('puts tickets in a category owned by a team into the team queue', async () => {
+        const customer = await createCustomer();
+        await createAgent();
+        const team = await createTeam({ categories: ['billing'] });
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Charged twice', category: 'billing' });
+    
+        expect(res.status).toBe(201);
+        expect(res.body.ticket.assignedAgent).toBeNull();
+        expect(res.body.ticket.team._id).toBe(team._id.toString());
+    });
+    
+    it('answers 503 when no agent can take the ticket', async () => {
+        const customer = await createCustomer();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ issueDetails: 'Anyone there?' });
+    
+        expect(res.status).toBe(503);
+        expect(res.body.code).toBe('NO_AGENTS_AVAILABLE');
+        expect(await Ticket.countDocuments()).toBe(0);
+    });
+    
+    it('validates the body', async () => {
+        const customer = await createCustomer();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(customer))
+            .send({ priority: 'WHENEVER' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+        expect(res.body.details.map(detail => detail.path).sort()).toEqual(['issueDetails', 'priority']);
+    });
+    
+    it('is only open to customers', async () => {
+        const agent = await createAgent();
+    
+        const res = await request(app)
+            .post('/api/tickets')
+            .set('Authorization', await authHeader(agent))
+            .send({ issueDetails: 'Agents cannot open tickets' });
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ROLE_REQUIRED');
+    });
+});
+
+describe('GET /api/tickets', () => {
+    it('shows customers only their own tickets', async () => {
+        const customer = await createCustomer();
+        const own = await createTicket({ customer });
+        await createTicket();
+    
+        const res = await request(app).get('/api/tickets').set('Authorization', await authHeader(customer));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.tickets.map(ticket => ticket._id)).toEqual([own._id.toString()]);
+    });
+    
+    it('shows agents only the tickets assigned to them', async () => {
+        const agent = await createAgent();
+        const mine = await createTicket({ assignedAgent: agent });
+        await createTicket();
+    
+        const res = await request(app).get('/api/tickets/assigned').set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.tickets.map(ticket => ticket._id)).toEqual([mine._id.toString()]);
+    });
+    
+    it('searches only within the viewer\'s own tickets', async () => {
+        const customer = await createCustomer();
+        const own = await createTicket({ customer, issueDetails: 'Printer jammed' });
+        await createTicket({ issueDetails: 'Printer jammed' });
+        await createTicket({ issueDetails: 'Printer offline' });
+    
+        const res = await request(app)
+            .get('/api/tickets?q=printer')
+            .set('Authorization', await authHeader(customer));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(1);
+        expect(res.body.tickets.map(ticket => ticket._id)).toEqual([own._id.toString()]);
+    });
+    
+    it('rejects unknown filter values', async () => {
+        const customer = await createCustomer();
+    
+        const res = await request(app)
+            .get('/api/tickets?status=SOMEDAY')
+            .set('Authorization', await authHeader(customer));
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_QUERY');
+    });
+});
+
+describe('PATCH /api/tickets/:id/status', () => {
+    it('lets the assigned agent move the ticket through the workflow', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        const header = await authHeader(agent);
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', header)
+            .send({ status: 'IN_PROGRESS' });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.ticket.status).toBe('IN_PROGRESS');
+    
+        const saved = await Ticket.findById(ticket._id);
+        expect(saved.statusHistory).toEqual([
+            expect.objectContaining({ from: 'OPEN', to: 'IN_PROGRESS', actorRole: 'AGENT' })
+        ]);
+    });
+    
+    it('sets resolvedAt on resolution', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'RESOLVED' });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.ticket.resolvedAt).toEqual(expect.any(String));
+    });
+    
+    it('rejects transitions the workflow does not allow', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent, status: 'CLOSED' });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'OPEN' });
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+    
+    it('rejects unknown statuses', async () => {
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'DONE' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('VALIDATION_FAILED');
+    });
+    
+    it('rejects malformed ticket ids', async () => {
+        const agent = await createAgent();
+    
+        const res = await request(app)
+            .patch('/api/tickets/not-an-id/status')
+            .set('Authorization', await authHeader(agent))
+            .send({ status: 'IN_PROGRESS' });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual([
+            expect.objectContaining({ location: 'params', path: 'id' })
+        ]);
+    });
+});
+
+describe('PATCH /api/tickets/:id/reopen', () => {
+    it('lets the customer reopen a recently resolved ticket', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer, status: 'RESOLVED', resolvedAt: new Date() });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/reopen`)
+            .set('Authorization', await authHeader(customer))
+            .send({ reason: 'Still broken' });
+    
+        expect(res.status).toBe(200);
+        expect(res.body.ticket.status).toBe('OPEN');
+    });
+    
+    it('refuses once the reopen window has passed', async () => {
+        const customer = await createCustomer();
+        const longAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const ticket = await createTicket({ customer, status: 'RESOLVED', resolvedAt: longAgo });
+    
+        const res = await request(app)
+            .patch(`/api/tickets/${ticket._id}/reopen`)
+            .set('Authorization', await authHeader(customer))
+            .send({});
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('INVALID_STATUS_TRANSITION');
+    });
+});
+
+describe('POST /api/tickets/:id/claim', () => {
+    it('never lets concurrent claims push an agent past capacity', async () => {
+        const team = await createTeam();
+        const agent = await createAgent({ teams: [team._id], maxOpenTickets: 1 });
+        const tickets = await Promise.all([1, 2, 3].map(() => createTicket({ assignedAgent: null, team: team._id })));
+        const header = await authHeader(agent);
+    
+        const results = await Promise.all(tickets.map(ticket => request(app)
+            .post(`/api/tickets/${ticket._id}/claim`)
+            .set('Authorization', header)));
+    
+        expect(results.filter(res => res.status === 200).length).toBeLessThanOrEqual(1);
+        results
+            .filter(res => res.status !== 200)
+            .forEach(res => expect(res.body.code).toBe('AT_CAPACITY'));
+        expect(await Ticket.countDocuments({ assignedAgent: agent._id })).toBeLessThanOrEqual(1);
+    });
+});
+
+describe('POST /api/tickets/:id/messages', () => {
+    it('refuses replies on a closed ticket', async () => {
+        const customer = await createCustomer();
+        const ticket = await createTicket({ customer, status: 'CLOSED' });
+    
+        const res = await request(app)
+            .post(`/api/tickets/${ticket._id}/messages`)
+            .set('Authorization', await authHeader(customer))
+            .send({ body: 'One more thing' });
+    
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('TICKET_CLOSED');
+        expect(await Message.countDocuments({ ticket: ticket._id })).toBe(0);
+    });
+});
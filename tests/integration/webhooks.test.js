@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { createApp } = require('../../app');
+const { drain } = require('../../services/events');
+const { processDueDeliveries } = require('../../services/webhooks');
+const {
+    authHeader,
+    createAdmin,
+    createAgent,
+    createTicket
+} = require('../fixtures/factories');
+
+const app = createApp();
+
+// Local receiver: records every request and answers with the queued status codes (200 when empty)
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+        res.end('thanks');
+    });
+});
+let receiverUrl;
+
+beforeAll(async () => {
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+});
+
+afterAll(() => new Promise(resolve => receiver.close(resolve)));
+
+afterEach(() => {
+    received.length = 0;
+    statuses.length = 0;
+});
+
+const registerWebhook = async (admin, events = ['ticket.status_changed']) => {
+    const res = await request(app)
+        .post('/api/admin/webhooks')
+        .set('Authorization', await authHeader(admin))
+        .send({ url: receiverUrl, events });
+    expect(res.status).toBe(201);
+    return res.body.webhook;
+};
+
+const changeStatus = async (agent, ticket, status = 'IN_PROGRESS') => {
+    await request(app)
+        .patch(`/api/tickets/${ticket._id}/status`)
+        .set('Authorization', await authHeader(agent))
+        .send({ status })
+        .expect(200);
+    // Deliveries run after the response
+    await drain();
+};
+
+const later = (seconds) => new Date(Date.now() + seconds * 1000);
+
+describe('webhook delivery', () => {
+    it('posts subscribed events with a valid signature', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        const webhook = await registerWebhook(admin);
+    
+        await changeStatus(agent, ticket);
+    
+        expect(received).toHaveLength(1);
+        const [{ headers, body }] = received;
+        const payload = JSON.parse(body);
+        expect(payload).toMatchObject({
+            event: 'ticket.status_changed',
+            data: { ticket: { id: ticket._id.toString() }, from: 'OPEN', to: 'IN_PROGRESS' }
+        });
+        expect(headers['x-webhook-event']).toBe('ticket.status_changed');
+    
+        const [, timestamp, signature] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([a-f0-9]+)$/);
+        const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${body}`).digest('hex');
+        expect(signature).toBe(expected);
+    
+        const delivery = await WebhookDelivery.findById(headers['x-webhook-delivery']);
+        expect(delivery).toMatchObject({ status: 'SUCCEEDED', attempts: 1 });
+        expect(delivery.attemptLog[0]).toMatchObject({ statusCode: 200, responseBody: 'thanks' });
+    });
+    
+    it('skips events the webhook did not select', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        await registerWebhook(admin, ['ticket.reassigned']);
+    
+        await changeStatus(agent, ticket);
+    
+        expect(received).toHaveLength(0);
+        expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+    
+    it('retries failed deliveries with exponential backoff', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        await registerWebhook(admin);
+        statuses.push(500, 503);
+    
+        await changeStatus(agent, ticket);
+    
+        let delivery = await WebhookDelivery.findOne();
+        expect(delivery).toMatchObject({ status: 'PENDING', attempts: 1 });
+        // tests/setup/env.js: 30 second base
+        expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 25 * 1000);
+    
+        // Not due yet
+        expect(await processDueDeliveries()).toBe(0);
+    
+        await processDueDeliveries({ now: later(31) });
+        delivery = await WebhookDelivery.findById(delivery._id);
+        expect(delivery).toMatchObject({ status: 'PENDING', attempts: 2 });
+        expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now() + 55 * 1000);
+    
+        await processDueDeliveries({ now: later(61) });
+        delivery = await WebhookDelivery.findById(delivery._id);
+        expect(delivery).toMatchObject({ status: 'SUCCEEDED', attempts: 3 });
+        expect(delivery.attemptLog.map(entry => entry.statusCode)).toEqual([500, 503, 200]);
+        // Every attempt sends the same event
+        expect(new Set(received.map(entry => JSON.parse(entry.body).id)).size).toBe(1);
+    });
+    
+    it('gives up after the maximum number of attempts', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        await registerWebhook(admin);
+        statuses.push(500, 500, 500);
+    
+        await changeStatus(agent, ticket);
+        await processDueDeliveries({ now: later(31) });
+        await processDueDeliveries({ now: later(61) });
+    
+        const delivery = await WebhookDelivery.findOne();
+        // tests/setup/env.js: three attempts
+        expect(delivery).toMatchObject({ status: 'FAILED', attempts: 3 });
+        expect(delivery.nextAttemptAt).toBeUndefined();
+    });
+    
+    it('records unreachable receivers', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        const res = await request(app)
+            .post('/api/admin/webhooks')
+            .set('Authorization', await authHeader(admin))
+            .send({ url: 'http://127.0.0.1:1/hook', events: ['ticket.status_changed'] });
+        expect(res.status).toBe(201);
+    
+        await changeStatus(agent, ticket);
+    
+        const delivery = await WebhookDelivery.findOne();
+        expect(delivery.status).toBe('PENDING');
+        expect(delivery.attemptLog[0].statusCode).toBeUndefined();
+        expect(delivery.attemptLog[0].error).toEqual(expect.any(String));
+    });
+});
+
+describe('/api/admin/webhooks', () => {
+    it('never shows the secret after creation', async () => {
+        const admin = await createAdmin();
+        await registerWebhook(admin);
+    
+        const res = await request(app).get('/api/admin/webhooks').set('Authorization', await authHeader(admin));
+    
+        expect(res.status).toBe(200);
+        expect(res.body.webhooks).toHaveLength(1);
+        expect(res.body.webhooks[0].secret).toBeUndefined();
+    });
+    
+    it('lists deliveries and redelivers one on request', async () => {
+        const admin = await createAdmin();
+        const agent = await createAgent();
+        const ticket = await createTicket({ assignedAgent: agent });
+        const webhook = await registerWebhook(admin);
+        await changeStatus(agent, ticket);
+        const header = await authHeader(admin);
+    
+        const log = await request(app).get(`/api/admin/webhooks/${webhook._id}/deliveries`).set('Authorization', header);
+        expect(log.body.deliveries).toEqual([
+            expect.objectContaining({ event: 'ticket.status_changed', status: 'SUCCEEDED', attempts: 1 })
+        ]);
+    
+        const res = await request(app)
+            .post(`/api/admin/webhooks/${webhook._id}/deliveries/${log.body.deliveries[0]._id}/redeliver`)
+            .set('Authorization', header);
+    
+        expect(res.status).toBe(201);
+        expect(res.body.delivery).toMatchObject({ status: 'SUCCEEDED', redeliveryOf: log.body.deliveries[0]._id });
+        expect(received).toHaveLength(2);
+        expect(received[1].body).toBe(received[0].body);
+    });
+    
+    it('rejects unknown events and non-http URLs', async () => {
+        const admin = await createAdmin();
+    
+        const res = await request(app)
+            .post('/api/admin/webhooks')
+            .set('Authorization', await authHeader(admin))
+            .send({ url: 'ftp://example.com', events: ['ticket.exploded'] });
+    
+        expect(res.status).toBe(400);
+        expect(res.body.details.map(detail => detail.path).sort()).toEqual(['events.0', 'url']);
+    });
+    
+    it('is only open to admins', async () => {
+        const agent = await createAgent();
+    
+        const res = await request(app).get('/api/admin/webhooks').set('Authorization', await authHeader(agent));
+    
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('PERMISSION_REQUIRED');
+    });
+});
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { drain } = require('../../services/events');
+const { clearRateLimits } = require('../../services/rateLimit');
+const { unregisterSubscribers } = require('../../app');
+
+// Each test file gets its own database and starts every test with empty
+// collections. Event handlers from the previous test are awaited first so
+// they cannot write into the next one.
+
+beforeAll(async () => {
+    const dbName = `test_${process.env.JEST_WORKER_ID}_${Date.now()}`;
+    await mongoose.connect(process.env.TEST_MONGO_URI, { dbName });
+    await mongoose.connection.syncIndexes();
+});
+
+afterEach(async () => {
+    await drain();
+    await clearRateLimits();
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map(collection => collection.deleteMany({})));
+});
+
+afterAll(async () => {
+    await drain();
+    unregisterSubscribers();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+});
@@ -0,0 +1,26 @@
+const os = require('os');
+const path = require('path');
+
+// Settings for every test run; set before any config/ module loads dotenv,
+// which never overrides variables that are already present
+const scratch = path.join(os.tmpdir(), 'support-ticket-tests');
+
+process.env.NODE_ENV = 'test';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.MAIL_FILE_DIR = path.join(scratch, 'mail');
+process.env.STORAGE_DRIVER = 'local';
+process.env.STORAGE_LOCAL_DIR = path.join(scratch, 'uploads');
+process.env.ASSIGNMENT_STRATEGY = 'least-open';
+process.env.REASSIGNMENT_MAX = '1';
+process.env.REASSIGNMENT_MAX_ESCALATIONS = '2';
+process.env.REASSIGNMENT_REQUIRE_REASON = 'true';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.RATE_LIMIT_TICKETS_MAX = '3';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_MINUTES = '5';
+process.env.INBOUND_WEBHOOK_SECRET = 'test-inbound-secret';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_BACKOFF_BASE_SECONDS = '30';
+process.env.WEBHOOK_TIMEOUT_SECONDS = '2';
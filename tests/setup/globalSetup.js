@@ -0,0 +1,8 @@
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// One mongod for the whole run; test files get separate databases (see db.js)
+module.exports = async () => {
+    const mongod = await MongoMemoryServer.create();
+    globalThis.__MONGOD__ = mongod;
+    process.env.TEST_MONGO_URI = mongod.getUri();
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { GENESIS_HASH, diff, hashEntry } = require('../../services/audit');
+
+const userId = new mongoose.Types.ObjectId();
+
+const entry = {
+    seq: 1,
+    at: new Date('2024-01-01T00:00:00Z'),
+    actor: { id: userId, role: 'ADMIN' },
+    action: 'user.role_changed',
+    target: { type: 'user', id: userId },
+    outcome: 'SUCCESS',
+    changes: [{ field: 'role', from: 'CUSTOMER', to: 'AGENT' }],
+    metadata: null,
+    ip: '127.0.0.1',
+    userAgent: 'jest',
+    prevHash: GENESIS_HASH
+};
+
+describe('hashEntry', () => {
+    it('gives the same hash for a new entry and the one read back from MongoDB', () => {
+        const stored = {
+            ...entry,
+            at: entry.at.toISOString(),
+            actor: { role: 'ADMIN', id: userId.toString() },
+            target: { id: userId.toString(), type: 'user' },
+            changes: [{ to: 'AGENT', field: 'role', from: 'CUSTOMER' }],
+            _id: new mongoose.Types.ObjectId(),
+            __v: 0
+        };
+    
+        expect(hashEntry(stored)).toBe(hashEntry(entry));
+    });
+    
+    it('changes when any recorded field or the previous hash changes', () => {
+        const original = hashEntry(entry);
+    
+        expect(hashEntry({ ...entry, action: 'user.tier_changed' })).not.toBe(original);
+        expect(hashEntry({ ...entry, changes: [{ field: 'role', from: 'CUSTOMER', to: 'ADMIN' }] })).not.toBe(original);
+        expect(hashEntry({ ...entry, ip: '10.0.0.1' })).not.toBe(original);
+        expect(hashEntry({ ...entry, prevHash: 'f'.repeat(64) })).not.toBe(original);
+    });
+});
+
+describe('diff', () => {
+    it('lists only the fields that changed', () => {
+        const before = { name: 'Ada', age: 30, skills: ['billing'] };
+        const after = { name: 'Ada', age: 31, skills: ['billing', 'network'] };
+    
+        expect(diff(before, after, ['name', 'age', 'skills'])).toEqual([
+            { field: 'age', from: 30, to: 31 },
+            { field: 'skills', from: ['billing'], to: ['billing', 'network'] }
+        ]);
+    });
+    
+    it('treats a field that was unset as null', () => {
+        const deactivatedAt = new Date('2024-01-01T00:00:00Z');
+    
+        expect(diff({ active: true }, { active: false, deactivatedAt }, ['active', 'deactivatedAt'])).toEqual([
+            { field: 'active', from: true, to: false },
+            { field: 'deactivatedAt', from: null, to: deactivatedAt.toISOString() }
+        ]);
+    });
+});
@@ -0,0 +1,47 @@
+const { nonNegative } = require('../../config/parse');
+
+describe('nonNegative', () => {
+    it('keeps 0 and other numbers >= 0', () => {
+        expect(nonNegative('0', 5)).toBe(0);
+        expect(nonNegative('2.5', 5)).toBe(2.5);
+        expect(nonNegative('7', 5, { integer: true })).toBe(7);
+    });
+    
+    it('falls back for missing, negative or malformed values', () => {
+        expect(nonNegative(undefined, 5)).toBe(5);
+        expect(nonNegative('', 5)).toBe(5);
+        expect(nonNegative('-1', 5)).toBe(5);
+        expect(nonNegative('many', 5)).toBe(5);
+        expect(nonNegative('2.5', 5, { integer: true })).toBe(5);
+        expect(nonNegative('1.5', 0.75, { max: 1 })).toBe(0.75);
+    });
+});
+
+const load = (file, env) => {
+    let config;
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    jest.isolateModules(() => {
+        config = require(`../../config/${file}`);
+    });
+    process.env = saved;
+    return config;
+};
+
+describe('assignment config', () => {
+    it('accepts a default capacity of 0', () => {
+        expect(load('assignment', { AGENT_DEFAULT_CAPACITY: '0' }).defaultCapacity).toBe(0);
+    });
+});
+
+describe('SLA config', () => {
+    it('accepts an at-risk threshold from 0 to 1', () => {
+        expect(load('sla', { SLA_AT_RISK_THRESHOLD: '0' }).atRiskThreshold).toBe(0);
+        expect(load('sla', { SLA_AT_RISK_THRESHOLD: '1' }).atRiskThreshold).toBe(1);
+    });
+    
+    it('uses the default outside that range', () => {
+        expect(load('sla', { SLA_AT_RISK_THRESHOLD: '-0.5' }).atRiskThreshold).toBe(0.75);
+        expect(load('sla', { SLA_AT_RISK_THRESHOLD: '75' }).atRiskThreshold).toBe(0.75);
+    });
+});
@@ -0,0 +1,43 @@
+const { Writable } = require('stream');
+const { streamLines, toCsvLine } = require('../../services/reports/csv');
+
+describe('toCsvLine', () => {
+    it('quotes separators, quotes and line breaks', () => {
+        expect(toCsvLine(['a,b', 'say "hi"', 'two\nlines', null])).toBe('"a,b","say ""hi""","two\nlines",\r\n');
+    });
+    
+    it('keeps formulas in customer text from running in spreadsheets', () => {
+        const line = toCsvLine(['=HYPERLINK("http://evil")', '+cmd|x', '-1+1', '@SUM(A1)', '\tx', '\rx']);
+    
+        expect(line).toBe('"\'=HYPERLINK(""http://evil"")",\'+cmd|x,\'-1+1,\'@SUM(A1),\'\tx,"\'\rx"\r\n');
+    });
+    
+    it('leaves numbers and dates alone', () => {
+        expect(toCsvLine([-5, 0.25, new Date('2024-05-01T00:00:00Z')])).toBe('-5,0.25,2024-05-01T00:00:00.000Z\r\n');
+    });
+});
+
+describe('streamLines', () => {
+    it('stops reading when the client goes away', async () => {
+        let produced = 0;
+        let closed = false;
+        const lines = (async function* () {
+            try {
+                for (;;) {
+                    produced += 1;
+                    yield 'x'.repeat(1024);
+                }
+            } finally {
+                closed = true;
+            }
+        })();
+        // A client that stops reading, then disconnects
+        const res = new Writable({ highWaterMark: 1024, write: () => {} });
+        setTimeout(() => res.destroy(), 20);
+    
+        await streamLines(res, lines);
+    
+        expect(closed).toBe(true);
+        expect(produced).toBeLessThan(100);
+    });
+});
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { toResponse } = require('../../middlewares/errorHandler');
+const { NotFoundError, ValidationError } = require('../../services/errors');
+
+describe('toResponse', () => {
+    it('passes AppErrors through', () => {
+        expect(toResponse(new NotFoundError('Ticket not found', 'TICKET_NOT_FOUND'))).toEqual({
+            statusCode: 404,
+            body: { success: false, error: 'Ticket not found', code: 'TICKET_NOT_FOUND', details: undefined }
+        });
+    });
+    
+    it('keeps validation details', () => {
+        const details = [{ location: 'body', path: 'email', message: 'Invalid email address' }];
+    
+        expect(toResponse(new ValidationError(undefined, details)).body).toMatchObject({
+            code: 'VALIDATION_FAILED',
+            details
+        });
+    });
+    
+    it('maps mongoose cast errors on ids to INVALID_ID', () => {
+        const err = new mongoose.Error.CastError('ObjectId', 'abc', '_id');
+    
+        expect(toResponse(err)).toMatchObject({ statusCode: 400, body: { code: 'INVALID_ID' } });
+    });
+    
+    it('maps duplicate keys to 409', () => {
+        const err = Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 'a@b.c' } });
+    
+        expect(toResponse(err)).toMatchObject({
+            statusCode: 409,
+            body: { code: 'DUPLICATE_KEY', details: [{ path: 'email', message: 'email must be unique' }] }
+        });
+    });
+    
+    it('hides unexpected errors behind INTERNAL_ERROR', () => {
+        const res = toResponse(new Error('connection string with password'));
+    
+        expect(res.statusCode).toBe(500);
+        expect(res.body.code).toBe('INTERNAL_ERROR');
+        expect(JSON.stringify(res.body)).not.toContain('password');
+    });
+});
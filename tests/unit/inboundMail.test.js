@@ -0,0 +1,110 @@
+const { simpleParser } = require('mailparser');
+const { findTicketReference, subjectTag, ticketThread } = require('../../services/mailer/threading');
+const { attachmentsOf, classify, stripQuotedReply } = require('../../services/inbound/parse');
+
+const TICKET_ID = '64b0000000000000000000aa';
+
+const mail = (headers, body = 'Hello') => simpleParser([
+    'From: Ada <ada@example.com>',
+    'To: support@localhost',
+    'Subject: Printer broken',
+    ...headers,
+    '',
+    body
+].join('\r\n'));
+
+describe('ticket references', () => {
+    it('finds the ticket in the headers of a reply to our own mail', () => {
+        const { headers, messageId } = ticketThread(TICKET_ID);
+    
+        expect(findTicketReference({ ticketHeader: headers['X-Ticket-ID'] })).toBe(TICKET_ID);
+        expect(findTicketReference({ references: ['<unrelated@example.com>', messageId] })).toBe(TICKET_ID);
+    });
+    
+    it('falls back to the subject tag', () => {
+        expect(findTicketReference({ subject: `RE: ${subjectTag(TICKET_ID)} New reply` })).toBe(TICKET_ID);
+        expect(findTicketReference({ subject: 'Ticket 123 is still broken' })).toBeNull();
+    });
+});
+
+describe('classify', () => {
+    it('lets normal mail through', async () => {
+        expect(classify(await mail([]))).toBeNull();
+        expect(classify(await mail(['Auto-Submitted: no']))).toBeNull();
+    });
+    
+    it('spots bounces', async () => {
+        expect(classify(await mail(['Content-Type: multipart/report; report-type=delivery-status; boundary=x']))).toBe('BOUNCE');
+        expect(classify(await mail(['X-Failed-Recipients: someone@example.com']))).toBe('BOUNCE');
+    });
+    
+    it('spots auto-replies', async () => {
+        expect(classify(await mail(['Auto-Submitted: auto-replied']))).toBe('AUTO_REPLY');
+        expect(classify(await mail(['X-Autoreply: yes']))).toBe('AUTO_REPLY');
+        expect(classify(await mail(['Precedence: auto_reply']))).toBe('AUTO_REPLY');
+    });
+    
+    it('spots mailing lists', async () => {
+        expect(classify(await mail(['List-Id: <news.example.com>']))).toBe('BULK');
+        expect(classify(await mail(['Precedence: bulk']))).toBe('BULK');
+    });
+});
+
+describe('stripQuotedReply', () => {
+    it('drops the quoted message and the signature', () => {
+        const text = [
+            'It works now, thanks!',
+            '',
+            '-- ',
+            'Ada',
+            '',
+            'On Mon, 1 Jan 2024 at 10:00, Support <support@localhost> wrote:',
+            '> Please try again'
+        ].join('\n');
+    
+        expect(stripQuotedReply(text)).toBe('It works now, thanks!');
+    });
+    
+    it('recognises a wrapped "wrote:" line and Outlook headers', () => {
+        expect(stripQuotedReply('Still broken.\n\nOn Mon, 1 Jan 2024 at 10:00, Support\n<support@localhost> wrote:\n> Hi')).toBe('Still broken.');
+        expect(stripQuotedReply('Still broken.\n\nFrom: Support\nSent: Monday\nTo: Ada')).toBe('Still broken.');
+    });
+    
+    it('keeps the text when nothing but quotes would remain', () => {
+        expect(stripQuotedReply('> only a quote')).toBe('> only a quote');
+    });
+});
+
+describe('attachmentsOf', () => {
+    it('keeps allowed files and names the ones left out', async () => {
+        const parsed = await mail([
+            'MIME-Version: 1.0',
+            'Content-Type: multipart/mixed; boundary=b'
+        ], [
+            '--b',
+            'Content-Type: text/plain',
+            '',
+            'See attached',
+            '--b',
+            'Content-Type: text/plain; name=log.txt',
+            'Content-Disposition: attachment; filename=log.txt',
+            '',
+            'error 42',
+            '--b',
+            'Content-Type: application/x-msdownload; name=setup.exe',
+            'Content-Disposition: attachment; filename=setup.exe',
+            'Content-Transfer-Encoding: base64',
+            '',
+            'TVqQAAMAAAAEAAAA',
+            '--b--'
+        ].join('\r\n'));
+    
+        const { files, skipped } = attachmentsOf(parsed);
+    
+        expect(files).toEqual([
+            expect.objectContaining({ originalname: 'log.txt', mimetype: 'text/plain', size: 8 })
+        ]);
+        expect(files[0].buffer.toString()).toBe('error 42');
+        expect(skipped).toEqual(['setup.exe']);
+    });
+});
@@ -0,0 +1,58 @@
+const { slugify } = require('../../services/kb');
+const { createArticleBody, suggestBody, updateArticleBody, versionParams } = require('../../validators/kb');
+
+describe('slugify', () => {
+    it('makes URL-safe slugs from titles', () => {
+        expect(slugify('Reset your password!')).toBe('reset-your-password');
+        expect(slugify('  Réglages  & Préférences ')).toBe('reglages-preferences');
+    });
+    
+    it('falls back when nothing usable is left', () => {
+        expect(slugify('???')).toBe('article');
+    });
+    
+    it('keeps slugs short', () => {
+        const slug = slugify('word '.repeat(40));
+    
+        expect(slug.length).toBeLessThanOrEqual(80);
+        expect(slug).not.toMatch(/-$/);
+    });
+});
+
+describe('knowledge base validators', () => {
+    it('normalises slugs and categories of new articles', () => {
+        const body = createArticleBody.parse({ slug: 'Reset-Password', title: ' Reset ', body: 'Steps', category: 'Billing' });
+    
+        expect(body).toEqual({ slug: 'reset-password', title: 'Reset', body: 'Steps', category: 'billing' });
+    });
+    
+    it('needs something to change on update', () => {
+        expect(updateArticleBody.safeParse({ note: 'typo' }).success).toBe(false);
+        expect(updateArticleBody.parse({ category: null })).toEqual({ category: null });
+    });
+    
+    it('reads version numbers from the path', () => {
+        const params = versionParams.parse({ articleId: '507f1f77bcf86cd799439011', version: '3' });
+    
+        expect(params.version).toBe(3);
+        expect(versionParams.safeParse({ articleId: '507f1f77bcf86cd799439011', version: '0' }).success).toBe(false);
+    });
+    
+    it('requires issue details for suggestions', () => {
+        expect(suggestBody.safeParse({ issueDetails: '   ' }).success).toBe(false);
+    });
+});
+
+describe('knowledge base config', () => {
+    it('accepts a minimum suggestion score of 0', () => {
+        let config;
+        const saved = { ...process.env };
+        process.env.KB_SUGGESTION_MIN_SCORE = '0';
+        jest.isolateModules(() => {
+            config = require('../../config/kb');
+        });
+        process.env = saved;
+    
+        expect(config.suggestionMinScore).toBe(0);
+    });
+});
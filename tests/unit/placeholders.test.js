@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { renderTemplate, unknownPlaceholders } = require('../../services/placeholders');
+const { createResponseBody } = require('../../validators/cannedResponses');
+const { createMacroBody } = require('../../validators/macros');
+
+describe('renderTemplate', () => {
+    const ticket = { _id: new mongoose.Types.ObjectId(), status: 'IN_PROGRESS', priority: 'HIGH' };
+    const customer = { name: 'Ada', email: 'ada@example.com' };
+    const agent = { name: 'Grace', email: 'grace@example.com' };
+    
+    it('fills placeholders from the ticket, its customer and the agent', () => {
+        const text = 'Hi {{customer.name}}, ticket {{ ticket.id }} is {{ticket.status}}. {{agent.name}}';
+    
+        expect(renderTemplate(text, { ticket, customer, agent }))
+            .toBe(`Hi Ada, ticket ${ticket._id} is IN_PROGRESS. Grace`);
+    });
+    
+    it('renders missing values as empty text and leaves unknown names alone', () => {
+        expect(renderTemplate('[{{ticket.category}}] {{order.id}}', { ticket, customer, agent }))
+            .toBe('[] {{order.id}}');
+    });
+});
+
+describe('unknownPlaceholders', () => {
+    it('lists each unknown name once', () => {
+        expect(unknownPlaceholders('{{customer.name}} {{order.id}} {{order.id}} {{toString}}'))
+            .toEqual(['order.id', 'toString']);
+    });
+});
+
+describe('template validation', () => {
+    it('rejects canned responses with unknown placeholders', () => {
+        const result = createResponseBody.safeParse({ title: 'Refund', body: 'Hi {{customer.nmae}}' });
+    
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0].message).toMatch(/Unknown placeholders: customer\.nmae/);
+    });
+    
+    it('defaults to a personal response', () => {
+        expect(createResponseBody.parse({ title: 'Hello', body: 'Hi {{customer.name}}' }).scope).toBe('PERSONAL');
+    });
+    
+    it('requires at least one macro action', () => {
+        expect(createMacroBody.safeParse({ name: 'Empty', actions: {} }).success).toBe(false);
+        expect(createMacroBody.parse({ name: 'Tag', actions: { addTags: ['VIP', 'vip'] } }).actions.addTags)
+            .toEqual(['vip']);
+    });
+});
@@ -0,0 +1,75 @@
+const createMemoryStore = require('../../services/rateLimit/memoryStore');
+const { clearRateLimits, consume } = require('../../services/rateLimit');
+const { assertNotLocked, lockoutMinutes, recordFailure, recordSuccess } = require('../../services/rateLimit/lockout');
+
+const MINUTE = 60 * 1000;
+
+afterEach(async () => {
+    jest.useRealTimers();
+    await clearRateLimits();
+});
+
+describe('memory store', () => {
+    it('counts hits within a window and starts over afterwards', async () => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+        const store = createMemoryStore();
+    
+        await store.hit('k', MINUTE);
+        const second = await store.hit('k', MINUTE);
+        expect(second.count).toBe(2);
+        expect(second.resetAt).toEqual(new Date('2024-01-01T00:01:00Z'));
+    
+        jest.advanceTimersByTime(MINUTE);
+        expect(await store.get('k')).toBeNull();
+        expect((await store.hit('k', MINUTE)).count).toBe(1);
+    });
+});
+
+describe('consume', () => {
+    it('reports what is left and when the window resets', async () => {
+        const first = await consume('test:a', { limit: 2, windowMs: MINUTE });
+        await consume('test:a', { limit: 2, windowMs: MINUTE });
+        const third = await consume('test:a', { limit: 2, windowMs: MINUTE });
+    
+        expect(first).toMatchObject({ allowed: true, limit: 2, remaining: 1, retryAfter: 60 });
+        expect(third).toMatchObject({ allowed: false, remaining: 0 });
+    });
+});
+
+describe('login lockout', () => {
+    // tests/setup/env.js: threshold 3, first lockout 5 minutes
+    it('doubles each lockout up to the maximum', () => {
+        expect([1, 2, 3, 4].map(lockoutMinutes)).toEqual([5, 10, 20, 40]);
+        expect(lockoutMinutes(20)).toBe(24 * 60);
+    });
+    
+    it('locks after the threshold and grows with every lockout', async () => {
+        jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    
+        expect(await recordFailure('a@example.com')).toBeNull();
+        expect(await recordFailure('a@example.com')).toBeNull();
+        const first = await recordFailure('a@example.com');
+        expect(first).toEqual({ level: 1, resetAt: new Date('2024-01-01T00:05:00Z') });
+        await expect(assertNotLocked('a@example.com')).rejects.toMatchObject({
+            statusCode: 429,
+            code: 'ACCOUNT_LOCKED',
+            retryAfter: 300
+        });
+    
+        jest.advanceTimersByTime(5 * MINUTE);
+        await expect(assertNotLocked('a@example.com')).resolves.toBeUndefined();
+    
+        for (let i = 0; i < 2; i++) await recordFailure('a@example.com');
+        const second = await recordFailure('a@example.com');
+        expect(second.level).toBe(2);
+        expect(second.resetAt).toEqual(new Date('2024-01-01T00:15:00Z'));
+    });
+    
+    it('starts over after a successful login', async () => {
+        await recordFailure('b@example.com');
+        await recordFailure('b@example.com');
+        await recordSuccess('b@example.com');
+    
+        expect(await recordFailure('b@example.com')).toBeNull();
+    });
+});
@@ -0,0 +1,82 @@
+const { checkPolicy, classify } = require('../../services/reassignment');
+
+// tests/setup/env.js: one lateral move, two escalations, reason required
+const agent = (id, tier = 1) => ({ _id: id, tier });
+
+const ticket = (overrides = {}) => ({
+    status: 'OPEN',
+    assignedAgent: 'a1',
+    reassignmentCount: 0,
+    escalationCount: 0,
+    ...overrides
+});
+
+const move = (overrides = {}) => ({
+    fromAgent: agent('a1'),
+    toAgent: agent('a2'),
+    reason: 'Shift change',
+    ...overrides
+});
+
+const rejectsWith = (fn, code) => expect(fn).toThrow(expect.objectContaining({ code }));
+
+describe('classify', () => {
+    it('treats a move to a higher tier as an escalation', () => {
+        expect(classify(agent('a1', 1), agent('a2', 2))).toBe('ESCALATION');
+        expect(classify(agent('a1', 2), agent('a2', 2))).toBe('LATERAL');
+        expect(classify(agent('a1', 3), agent('a2', 1))).toBe('LATERAL');
+    });
+});
+
+describe('checkPolicy', () => {
+    it('allows the first lateral move', () => {
+        expect(checkPolicy(ticket(), move())).toBe('LATERAL');
+    });
+    
+    it('refuses a second lateral move', () => {
+        rejectsWith(() => checkPolicy(ticket({ reassignmentCount: 1 }), move()), 'REASSIGNMENT_LIMIT_REACHED');
+    });
+    
+    it('allows escalations until their own limit', () => {
+        const escalate = move({ toAgent: agent('a2', 2) });
+    
+        expect(checkPolicy(ticket({ reassignmentCount: 1, escalationCount: 1 }), escalate)).toBe('ESCALATION');
+        rejectsWith(() => checkPolicy(ticket({ escalationCount: 2 }), escalate), 'ESCALATION_LIMIT_REACHED');
+    });
+    
+    it('requires a non-blank reason', () => {
+        rejectsWith(() => checkPolicy(ticket(), move({ reason: '   ' })), 'REASON_REQUIRED');
+    });
+    
+    it('refuses a move to the current agent', () => {
+        rejectsWith(() => checkPolicy(ticket(), move({ toAgent: agent('a1') })), 'ALREADY_ASSIGNED');
+    });
+    
+    it('refuses resolved and closed tickets unless forced', () => {
+        rejectsWith(() => checkPolicy(ticket({ status: 'RESOLVED' }), move()), 'TICKET_NOT_REASSIGNABLE');
+        expect(checkPolicy(ticket({ status: 'CLOSED', reassignmentCount: 5 }), move({ forced: true }))).toBe('LATERAL');
+    });
+});
+
+describe('reassignment config', () => {
+    const load = (env) => {
+        let config;
+        const saved = { ...process.env };
+        Object.assign(process.env, env);
+        jest.isolateModules(() => {
+            config = require('../../config/reassignment');
+        });
+        process.env = saved;
+        return config;
+    };
+    
+    it('accepts 0 to turn reassignments or escalations off', () => {
+        expect(load({ REASSIGNMENT_MAX: '0', REASSIGNMENT_MAX_ESCALATIONS: '0' }))
+            .toMatchObject({ maxReassignments: 0, maxEscalations: 0 });
+    });
+    
+    it('falls back to the defaults for invalid values', () => {
+        expect(load({ REASSIGNMENT_MAX: 'many', REASSIGNMENT_MAX_ESCALATIONS: '-1' }))
+            .toMatchObject({ maxReassignments: 1, maxEscalations: 2 });
+    });
+});
@@ -0,0 +1,16 @@
+const { REPORTS, parseOptions } = require('../../services/reports');
+
+describe('parseOptions', () => {
+    it('defaults to the last 30 days', () => {
+        const { from, to, groupBy } = parseOptions({}, REPORTS.volume);
+    
+        expect(groupBy).toBe('day');
+        expect(to - from).toBe(30 * 24 * 60 * 60 * 1000);
+    });
+    
+    it('rejects groupings a report does not support', () => {
+        expect(() => parseOptions({ groupBy: 'day' }, REPORTS.workload))
+            .toThrow(expect.objectContaining({ code: 'INVALID_REPORT_OPTIONS', statusCode: 400 }));
+        expect(parseOptions({ groupBy: 'agent' }, REPORTS.workload).groupBy).toBe('agent');
+    });
+});
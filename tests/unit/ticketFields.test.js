@@ -0,0 +1,52 @@
+const { parseValue } = require('../../services/ticketFields');
+const { createTicketBody, listTicketsQuery, updateTicketBody } = require('../../validators/tickets');
+const { createFieldBody } = require('../../validators/ticketFields');
+
+describe('parseValue', () => {
+    const field = (type, extra = {}) => ({ key: 'f', label: 'Field', type, options: [], ...extra });
+    
+    it('types numbers and dates for storage', () => {
+        expect(parseValue(field('NUMBER'), '42.5')).toEqual({ value: 42.5 });
+        expect(parseValue(field('NUMBER'), 7)).toEqual({ value: 7 });
+        expect(parseValue(field('DATE'), '2024-05-01')).toEqual({ value: new Date('2024-05-01') });
+    });
+    
+    it('explains values that do not fit the field', () => {
+        expect(parseValue(field('NUMBER'), 'ten').message).toBe('Field must be a number');
+        expect(parseValue(field('DATE'), '5').message).toBe('Field must be a date');
+        expect(parseValue(field('SELECT', { options: ['2.x', '3.x'] }), '1.x').message)
+            .toBe('Field must be one of: 2.x, 3.x');
+        expect(parseValue(field('TEXT'), 'x'.repeat(1001)).message).toMatch(/at most 1000/);
+    });
+    
+    it('keeps text as trimmed strings', () => {
+        expect(parseValue(field('TEXT'), '  ORD-1 ')).toEqual({ value: 'ORD-1' });
+        expect(parseValue(field('TEXT'), 12345)).toEqual({ value: '12345' });
+    });
+});
+
+describe('ticket field validators', () => {
+    it('reads custom field values sent as JSON in multipart forms', () => {
+        const body = createTicketBody.parse({ issueDetails: 'Broken', customFields: '{"order_number":"A-1","seats":3}' });
+    
+        expect(body.customFields).toEqual({ order_number: 'A-1', seats: 3 });
+    });
+    
+    it('collects cf.<key> query parameters', () => {
+        const query = listTicketsQuery.parse({ status: 'OPEN', tags: 'vip', 'cf.version': '2.x', 'cf.seats': '10..' });
+    
+        expect(query).toEqual({ status: 'OPEN', tags: 'vip', customFields: { version: '2.x', seats: '10..' } });
+    });
+    
+    it('needs something to update and de-duplicates tags', () => {
+        expect(updateTicketBody.safeParse({}).success).toBe(false);
+        expect(updateTicketBody.parse({ tags: ['VIP', 'vip', 'refund'] }).tags).toEqual(['vip', 'refund']);
+        expect(updateTicketBody.parse({ category: null }).category).toBeNull();
+    });
+    
+    it('requires options for SELECT fields only', () => {
+        expect(createFieldBody.safeParse({ key: 'plan', label: 'Plan', type: 'SELECT' }).success).toBe(false);
+        expect(createFieldBody.safeParse({ key: 'seats', label: 'Seats', type: 'NUMBER', options: ['1'] }).success).toBe(false);
+        expect(createFieldBody.safeParse({ key: 'plan', label: 'Plan', type: 'SELECT', options: ['Pro'] }).success).toBe(true);
+    });
+});
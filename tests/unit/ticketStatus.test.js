@@ -0,0 +1,80 @@
+const { canTransition, reopenDeadline, transitionStatus } = require('../../services/ticketStatus');
+
+const HOUR = 60 * 60 * 1000;
+
+// Just enough of a ticket document for transitionStatus and the SLA hooks
+const ticket = (overrides = {}) => ({
+    status: 'OPEN',
+    statusHistory: [],
+    sla: {},
+    ...overrides
+});
+
+describe('canTransition', () => {
+    it.each([
+        ['AGENT', 'OPEN', 'IN_PROGRESS', true],
+        ['AGENT', 'RESOLVED', 'IN_PROGRESS', true],
+        ['AGENT', 'CLOSED', 'OPEN', false],
+        ['CUSTOMER', 'RESOLVED', 'OPEN', true],
+        ['CUSTOMER', 'OPEN', 'RESOLVED', false],
+        ['SYSTEM', 'RESOLVED', 'CLOSED', true],
+        ['SYSTEM', 'OPEN', 'CLOSED', false],
+        ['ADMIN', 'OPEN', 'CLOSED', false]
+    ])('%s %s -> %s is %s', (role, from, to, expected) => {
+        expect(canTransition(role, from, to)).toBe(expected);
+    });
+});
+
+describe('transitionStatus', () => {
+    it('records the move in statusHistory', () => {
+        const doc = ticket();
+        const now = new Date();
+    
+        transitionStatus(doc, 'IN_PROGRESS', { actor: 'agent-1', role: 'AGENT', reason: 'On it', now });
+    
+        expect(doc.status).toBe('IN_PROGRESS');
+        expect(doc.statusHistory).toEqual([{
+            from: 'OPEN',
+            to: 'IN_PROGRESS',
+            actor: 'agent-1',
+            actorRole: 'AGENT',
+            reason: 'On it',
+            timestamp: now
+        }]);
+    });
+    
+    it('stamps resolvedAt and clears it when work resumes', () => {
+        const doc = ticket();
+    
+        transitionStatus(doc, 'RESOLVED', { actor: 'agent-1', role: 'AGENT' });
+        expect(doc.resolvedAt).toBeInstanceOf(Date);
+    
+        transitionStatus(doc, 'IN_PROGRESS', { actor: 'agent-1', role: 'AGENT' });
+        expect(doc.resolvedAt).toBeUndefined();
+    });
+    
+    it('rejects a move to the current status', () => {
+        expect(() => transitionStatus(ticket(), 'OPEN', { role: 'AGENT' }))
+            .toThrow(expect.objectContaining({ statusCode: 409, code: 'INVALID_STATUS_TRANSITION' }));
+    });
+    
+    it('rejects moves outside the workflow', () => {
+        expect(() => transitionStatus(ticket({ status: 'CLOSED' }), 'OPEN', { role: 'AGENT' }))
+            .toThrow('Cannot change ticket status from CLOSED to OPEN');
+    });
+    
+    it('lets customers reopen only within the reopen window', () => {
+        const resolvedAt = new Date('2024-01-01T00:00:00Z');
+        const doc = ticket({ status: 'RESOLVED', resolvedAt });
+        const deadline = reopenDeadline(doc);
+    
+        expect(deadline.getTime()).toBe(resolvedAt.getTime() + 72 * HOUR);
+        expect(() => transitionStatus(doc, 'OPEN', {
+            role: 'CUSTOMER',
+            now: new Date(deadline.getTime() + 1)
+        })).toThrow('The reopen window for this ticket has expired');
+    
+        transitionStatus(doc, 'OPEN', { role: 'CUSTOMER', now: deadline });
+        expect(doc.status).toBe('OPEN');
+    });
+});
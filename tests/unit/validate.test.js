@@ -0,0 +1,53 @@
+const { validate } = require('../../middlewares/validate');
+const { legacyPaths } = require('../../middlewares/legacyPaths');
+const { idParams } = require('../../validators/common');
+const { createTicketBody, listTicketsQuery } = require('../../validators/tickets');
+
+// Run a middleware and return what it passed to next()
+const run = (middleware, req) => {
+    let forwarded;
+    middleware(req, {}, (err) => { forwarded = err; });
+    return forwarded;
+};
+
+describe('validate', () => {
+    it('replaces the body with the parsed one', () => {
+        const req = { body: { issueDetails: '  Broken  ', skills: 'Billing, VPN', extra: true } };
+    
+        expect(run(validate({ body: createTicketBody }), req)).toBeUndefined();
+        expect(req.body).toEqual({ issueDetails: 'Broken', skills: ['Billing', 'VPN'] });
+    });
+    
+    it('collects problems from every location', () => {
+        const req = { params: { id: 'nope' }, query: {}, body: {} };
+    
+        const err = run(validate({ params: idParams, body: createTicketBody }), req);
+    
+        expect(err.code).toBe('VALIDATION_FAILED');
+        expect(err.details.map(detail => `${detail.location}.${detail.path}`)).toEqual(['params.id', 'body.issueDetails']);
+    });
+    
+    it('rejects malformed dates in ticket filters', () => {
+        const req = { query: { createdFrom: 'last tuesday' } };
+    
+        expect(run(validate({ query: listTicketsQuery }), req).details).toEqual([
+            expect.objectContaining({ location: 'query', path: 'createdFrom' })
+        ]);
+    });
+});
+
+describe('legacyPaths', () => {
+    it.each([
+        ['POST', '/api/login', '/api/auth/login'],
+        ['POST', '/users/signup?x=1', '/api/auth/register?x=1'],
+        ['GET', '/api/me', '/api/users/me'],
+        ['GET', '/api/login', '/api/login'],
+        ['GET', '/api/tickets', '/api/tickets']
+    ])('%s %s -> %s', (method, url, expected) => {
+        const req = { method, url, path: url.split('?')[0] };
+    
+        run(legacyPaths, req);
+    
+        expect(req.url).toBe(expected);
+    });
+});
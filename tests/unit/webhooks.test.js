@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { TICKET_EVENTS } = require('../../services/events');
+const { backoffSeconds, sign } = require('../../services/webhooks');
+const { buildPayload } = require('../../services/webhooks/payload');
+
+describe('sign', () => {
+    it('signs the timestamp and the raw body', () => {
+        const body = JSON.stringify({ event: 'ticket.created' });
+        const expected = crypto.createHmac('sha256', 'whsec_test').update(`1700000000.${body}`).digest('hex');
+    
+        expect(sign('whsec_test', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+        expect(sign('whsec_other', body, 1700000000)).not.toBe(sign('whsec_test', body, 1700000000));
+    });
+});
+
+describe('backoffSeconds', () => {
+    // tests/setup/env.js: 30 second base, default 6 hour cap
+    it('doubles after every failed attempt up to the cap', () => {
+        expect([1, 2, 3, 4].map(backoffSeconds)).toEqual([30, 60, 120, 240]);
+        expect(backoffSeconds(20)).toBe(6 * 60 * 60);
+    });
+});
+
+describe('buildPayload', () => {
+    const ticket = {
+        _id: new mongoose.Types.ObjectId(),
+        status: 'IN_PROGRESS',
+        priority: 'HIGH',
+        source: 'WEB',
+        issueDetails: 'Printer on fire',
+        customer: new mongoose.Types.ObjectId(),
+        assignedAgent: null,
+        team: null
+    };
+    
+    it('describes the ticket and the change with string ids', () => {
+        const agentId = new mongoose.Types.ObjectId();
+        const payload = buildPayload(TICKET_EVENTS.STATUS_CHANGED, {
+            ticket,
+            from: 'OPEN',
+            to: 'IN_PROGRESS',
+            actor: { id: agentId, role: 'AGENT' },
+            occurredAt: new Date('2024-01-01T00:00:00Z')
+        });
+    
+        expect(payload).toEqual({
+            id: expect.any(String),
+            event: 'ticket.status_changed',
+            occurredAt: '2024-01-01T00:00:00.000Z',
+            actor: { id: agentId.toString(), role: 'AGENT' },
+            data: {
+                ticket: expect.objectContaining({
+                    id: ticket._id.toString(),
+                    status: 'IN_PROGRESS',
+                    customer: ticket.customer.toString(),
+                    assignedAgent: null
+                }),
+                from: 'OPEN',
+                to: 'IN_PROGRESS',
+                reason: null
+            }
+        });
+    });
+    
+    it('gives every event its own id', () => {
+        const first = buildPayload(TICKET_EVENTS.CREATED, { ticket });
+        const second = buildPayload(TICKET_EVENTS.CREATED, { ticket });
+    
+        expect(first.id).not.toBe(second.id);
+    });
+});
@@ -0,0 +1,57 @@
+const { z } = require('zod');
+const { email, objectId, pagination, password, queryBoolean } = require('./common');
+const reassignmentConfig = require('../config/reassignment');
+
+const ROLES = ['CUSTOMER', 'AGENT', 'ADMIN'];
+
+const listUsersQuery = z.object({
+    ...pagination,
+    role: z.string().trim().toUpperCase().pipe(z.enum(ROLES)).optional(),
+    active: queryBoolean.optional(),
+    q: z.string().trim().max(200).optional()
+});
+
+const createUserBody = z.object({
+    name: z.string({ message: 'Name is required' }).trim().min(1, { message: 'Name is required' }).max(100),
+    email,
+    password,
+    role: z.enum(ROLES, { message: `Role must be one of: ${ROLES.join(', ')}` }).default('CUSTOMER'),
+    age: z.number().int().min(18).optional()
+});
+
+const changeRoleBody = z.object({
+    role: z.enum(ROLES, { message: `Role must be one of: ${ROLES.join(', ')}` })
+});
+
+const setTierBody = z.object({
+    tier: z.number({ message: `Tier must be an integer between 1 and ${reassignmentConfig.maxTier}` })
+        .int()
+        .min(1)
+        .max(reassignmentConfig.maxTier)
+});
+
+// null goes back to AGENT_DEFAULT_CAPACITY
+const setCapacityBody = z.object({
+    maxOpenTickets: z.number({ message: 'maxOpenTickets must be a non-negative integer or null' })
+        .int()
+        .min(0)
+        .nullable()
+});
+
+const forceReassignBody = z.object({
+    newAgentId: objectId,
+    reason: z.string({ message: 'A reason is required for a forced reassignment' })
+        .trim()
+        .min(1, { message: 'A reason is required for a forced reassignment' })
+        .max(1000)
+});
+
+module.exports = {
+    ROLES,
+    changeRoleBody,
+    createUserBody,
+    forceReassignBody,
+    listUsersQuery,
+    setCapacityBody,
+    setTierBody
+};
@@ -0,0 +1,15 @@
+const { z } = require('zod');
+const { objectId } = require('./common');
+
+const listAgentsQuery = z.object({
+    team: objectId.optional()
+});
+
+// Capacity is set by admins (PATCH /api/admin/users/:id/capacity), so
+// unknown fields are rejected rather than silently dropped
+const updateAgentBody = z.strictObject({
+    availability: z.enum(['ONLINE', 'AWAY', 'OFFLINE']).optional(),
+    skills: z.array(z.string().trim().toLowerCase().min(1)).optional()
+});
+
+module.exports = { listAgentsQuery, updateAgentBody };
@@ -0,0 +1,27 @@
+const { z } = require('zod');
+const { isoDate, objectId, pagination } = require('./common');
+
+// Filters shared by the list and export endpoints
+const auditFilters = {
+    actor: objectId.optional(),
+    // Exact action, or a prefix ending in ".*" (e.g. "ticket.*")
+    action: z.string().trim().regex(/^[a-z_]+(\.[a-z_]+)*(\.\*)?$/, { message: 'Invalid action' }).optional(),
+    targetType: z.enum(['user', 'ticket', 'session', 'webhook', 'canned_response', 'macro', 'category', 'custom_field', 'article', 'team']).optional(),
+    targetId: objectId.optional(),
+    outcome: z.enum(['SUCCESS', 'FAILURE']).optional(),
+    ip: z.string().trim().max(100).optional(),
+    from: isoDate.optional(),
+    to: isoDate.optional()
+};
+
+const listAuditQuery = z.object({
+    ...auditFilters,
+    ...pagination
+});
+
+const exportAuditQuery = z.object({
+    ...auditFilters,
+    format: z.enum(['csv', 'ndjson']).default('csv')
+});
+
+module.exports = { exportAuditQuery, listAuditQuery };
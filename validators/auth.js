@@ -0,0 +1,40 @@
+const { z } = require('zod');
+const { email, objectId, password } = require('./common');
+
+const token = (label) => z.string({ message: `${label} is required` }).trim().min(1, { message: `${label} is required` });
+
+// Sign-ups are always customers; staff accounts come from POST /api/admin/users
+const registerBody = z.object({
+    name: z.string({ message: 'Name is required' }).trim().min(1, { message: 'Name is required' }).max(100),
+    email,
+    password,
+    age: z.number().int().min(18).optional()
+});
+
+const loginBody = z.object({
+    email,
+    password: z.string({ message: 'Password is required' }).min(1, { message: 'Password is required' })
+});
+
+const refreshBody = z.object({ refreshToken: token('Refresh token') });
+
+const sessionParams = z.object({ sessionId: objectId });
+
+const verifyEmailBody = z.object({ token: token('Verification token') });
+
+const forgotPasswordBody = z.object({ email });
+
+const resetPasswordBody = z.object({
+    token: token('Reset token'),
+    password
+});
+
+module.exports = {
+    forgotPasswordBody,
+    loginBody,
+    refreshBody,
+    registerBody,
+    resetPasswordBody,
+    sessionParams,
+    verifyEmailBody
+};
@@ -0,0 +1,52 @@
+const { z } = require('zod');
+const { objectId } = require('./common');
+const { PLACEHOLDERS, unknownPlaceholders } = require('../services/placeholders');
+
+// Reply text with {{placeholders}}; unknown names are rejected up front
+const template = z.string({ message: 'Template text is required' })
+    .trim()
+    .min(1, { message: 'Template text is required' })
+    .max(10000)
+    .superRefine((value, ctx) => {
+        const unknown = unknownPlaceholders(value);
+        if (unknown.length > 0) {
+            ctx.addIssue({
+                code: 'custom',
+                message: `Unknown placeholders: ${unknown.join(', ')}. Available: ${Object.keys(PLACEHOLDERS).join(', ')}`
+            });
+        }
+    });
+
+const scope = z.enum(['SHARED', 'PERSONAL']);
+
+const title = z.string({ message: 'Title is required' }).trim().min(1, { message: 'Title is required' }).max(200);
+
+const responseParams = z.object({ responseId: objectId });
+
+const listResponsesQuery = z.object({
+    scope: scope.optional(),
+    q: z.string().trim().max(200).optional()
+});
+
+const createResponseBody = z.object({
+    title,
+    body: template,
+    scope: scope.default('PERSONAL')
+});
+
+const updateResponseBody = z.object({
+    title: title.optional(),
+    body: template.optional()
+});
+
+const renderResponseQuery = z.object({ ticket: objectId });
+
+module.exports = {
+    createResponseBody,
+    listResponsesQuery,
+    renderResponseQuery,
+    responseParams,
+    scope,
+    template,
+    updateResponseBody
+};
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { z } = require('zod');
+
+// Shared building blocks for request schemas
+
+const objectId = z.string().refine(value => mongoose.isValidObjectId(value), { message: 'Invalid id' });
+
+const idParams = z.object({ id: objectId });
+
+// Query strings arrive as text
+const queryBoolean = z.enum(['true', 'false']).transform(value => value === 'true');
+
+const queryInt = (min, max) => z.coerce.number().int().min(min).max(max);
+
+const pagination = {
+    page: queryInt(1, 100000).optional(),
+    limit: queryInt(1, 100).optional()
+};
+
+const isoDate = z.coerce.date({ message: 'Invalid date' });
+
+// "a,b" or ["a", "b"] -> ['a', 'b'] (multipart forms send lists as text)
+const stringList = z.preprocess(
+    value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value),
+    z.array(z.string().trim().min(1))
+);
+
+const email = z.string().trim().toLowerCase().pipe(z.email({ message: 'Invalid email address' }));
+
+const password = z.string().min(6, { message: 'Password must be at least 6 characters' }).max(128);
+
+module.exports = {
+    email,
+    idParams,
+    isoDate,
+    objectId,
+    pagination,
+    password,
+    queryBoolean,
+    queryInt,
+    stringList
+};
@@ -0,0 +1,98 @@
+const { z } = require('zod');
+const { objectId, pagination, queryInt } = require('./common');
+
+const slug = z.string({ message: 'Slug is required' })
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9-]{0,99}$/, { message: 'Slug may only contain letters, digits and dashes' });
+
+const title = z.string({ message: 'Title is required' }).trim().min(1, { message: 'Title is required' }).max(200);
+
+const summary = z.string().trim().max(500);
+
+const body = z.string({ message: 'Body is required' }).trim().min(1, { message: 'Body is required' }).max(100000);
+
+const category = z.string().trim().toLowerCase().max(100);
+
+const search = z.string().trim().min(1).max(200);
+
+// Public reading
+
+const listArticlesQuery = z.object({
+    q: search.optional(),
+    category: category.optional(),
+    ...pagination
+});
+
+const slugParams = z.object({ slug });
+
+// Set when the article was opened from a suggestion, see POST /suggestions
+const readArticleQuery = z.object({
+    suggestion: objectId.optional()
+});
+
+// Suggestions while drafting a ticket
+
+const suggestBody = z.object({
+    issueDetails: z.string({ message: 'Issue details are required' })
+        .trim()
+        .min(1, { message: 'Issue details are required' })
+        .max(10000),
+    category: category.optional()
+});
+
+const suggestionParams = z.object({ suggestionId: objectId });
+
+const answeredBody = z.object({
+    article: objectId.optional()
+});
+
+// Authoring
+
+const articleParams = z.object({ articleId: objectId });
+
+const versionParams = z.object({
+    articleId: objectId,
+    version: queryInt(1, 1000000)
+});
+
+const manageArticlesQuery = z.object({
+    status: z.enum(['DRAFT', 'PUBLISHED']).optional(),
+    q: search.optional(),
+    category: category.optional(),
+    ...pagination
+});
+
+const createArticleBody = z.object({
+    slug: slug.optional(),
+    title,
+    summary: summary.optional(),
+    body,
+    category: category.optional()
+});
+
+// The slug is fixed: links to the article keep working
+const updateArticleBody = z.object({
+    title: title.optional(),
+    summary: summary.optional(),
+    body: body.optional(),
+    // null removes the category
+    category: category.nullable().optional(),
+    note: z.string().trim().max(500).optional()
+}).refine(changes => ['title', 'summary', 'body', 'category'].some(field => changes[field] !== undefined), {
+    message: 'Nothing to update'
+});
+
+module.exports = {
+    answeredBody,
+    articleParams,
+    createArticleBody,
+    listArticlesQuery,
+    manageArticlesQuery,
+    readArticleQuery,
+    slugParams,
+    suggestBody,
+    suggestionParams,
+    updateArticleBody,
+    versionParams
+};
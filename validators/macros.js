@@ -0,0 +1,52 @@
+const { z } = require('zod');
+const { idParams, objectId } = require('./common');
+const { scope, template } = require('./cannedResponses');
+const { STATUSES } = require('../services/ticketStatus');
+
+const name = z.string({ message: 'Macro name is required' }).trim().min(1, { message: 'Macro name is required' }).max(200);
+
+const tags = z.array(z.string().trim().toLowerCase().min(1).max(50))
+    .max(20)
+    .transform(items => [...new Set(items)]);
+
+const actions = z.object({
+    reply: z.object({
+        body: template,
+        internal: z.boolean().default(false)
+    }).optional(),
+    addTags: tags.optional(),
+    status: z.enum(STATUSES, { message: `Invalid status. Must be one of: ${STATUSES.join(', ')}` }).optional(),
+    statusReason: z.string().trim().max(1000).optional()
+}).refine(value => value.reply || (value.addTags && value.addTags.length > 0) || value.status, {
+    message: 'A macro needs at least one action (reply, addTags or status)'
+});
+
+const macroParams = z.object({ macroId: objectId });
+
+const applyMacroParams = idParams.extend({ macroId: objectId });
+
+const listMacrosQuery = z.object({
+    scope: scope.optional(),
+    q: z.string().trim().max(200).optional()
+});
+
+const createMacroBody = z.object({
+    name,
+    description: z.string().trim().max(1000).optional(),
+    scope: scope.default('PERSONAL'),
+    actions
+});
+
+const updateMacroBody = z.object({
+    name: name.optional(),
+    description: z.string().trim().max(1000).optional(),
+    actions: actions.optional()
+});
+
+module.exports = {
+    applyMacroParams,
+    createMacroBody,
+    listMacrosQuery,
+    macroParams,
+    updateMacroBody
+};
@@ -0,0 +1,20 @@
+const { z } = require('zod');
+const { idParams, objectId, pagination } = require('./common');
+
+const messageBody = z.string({ message: 'Message body is required' })
+    .trim()
+    .min(1, { message: 'Message body is required' });
+
+const listMessagesQuery = z.object(pagination);
+
+// Multipart forms send booleans as strings
+const postMessageBody = z.object({
+    body: messageBody,
+    internal: z.union([z.boolean(), z.enum(['true', 'false']).transform(value => value === 'true')]).default(false)
+});
+
+const messageParams = idParams.extend({ messageId: objectId });
+
+const editMessageBody = z.object({ body: messageBody });
+
+module.exports = { editMessageBody, listMessagesQuery, messageParams, postMessageBody };
@@ -0,0 +1,21 @@
+const { z } = require('zod');
+const { pagination, queryBoolean } = require('./common');
+
+const PREFERENCE_KEYS = ['ticketCreated', 'statusChanged', 'reassigned', 'messageAdded'];
+
+const listNotificationsQuery = z.object({
+    ...pagination,
+    unread: queryBoolean.optional()
+});
+
+const channels = z.strictObject({
+    email: z.boolean().optional(),
+    inApp: z.boolean().optional()
+});
+
+// e.g. { "statusChanged": { "email": false } }
+const updatePreferencesBody = z.strictObject(
+    Object.fromEntries(PREFERENCE_KEYS.map(key => [key, channels.optional()]))
+);
+
+module.exports = { PREFERENCE_KEYS, listNotificationsQuery, updatePreferencesBody };
@@ -0,0 +1,16 @@
+const { z } = require('zod');
+const { isoDate } = require('./common');
+const { GROUP_BY, REPORTS } = require('../services/reports');
+
+const reportParams = z.object({
+    report: z.enum(Object.keys(REPORTS), { message: 'Report not found' })
+});
+
+const reportQuery = z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    groupBy: z.enum(GROUP_BY).optional(),
+    format: z.enum(['json', 'csv']).default('json')
+});
+
+module.exports = { reportParams, reportQuery };
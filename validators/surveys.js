@@ -0,0 +1,8 @@
+const { z } = require('zod');
+
+const submitSurveyBody = z.object({
+    rating: z.coerce.number().int().min(1).max(5),
+    comment: z.string().trim().max(2000).optional()
+});
+
+module.exports = { submitSurveyBody };
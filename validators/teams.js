@@ -0,0 +1,26 @@
+const { z } = require('zod');
+const { objectId } = require('./common');
+
+const categories = z.array(z.string().trim().toLowerCase().min(1).max(100))
+    .transform(items => [...new Set(items)]);
+
+const teamParams = z.object({ teamId: objectId });
+
+const createTeamBody = z.object({
+    name: z.string({ message: 'Team name is required' }).trim().min(1, { message: 'Team name is required' }).max(100),
+    description: z.string().trim().max(1000).optional(),
+    categories: categories.default([])
+});
+
+const updateTeamBody = z.object({
+    name: z.string().trim().min(1).max(100).optional(),
+    description: z.string().trim().max(1000).optional(),
+    categories: categories.optional(),
+    active: z.boolean().optional()
+});
+
+const addMemberBody = z.object({ userId: objectId });
+
+const memberParams = teamParams.extend({ userId: objectId });
+
+module.exports = { addMemberBody, createTeamBody, memberParams, teamParams, updateTeamBody };
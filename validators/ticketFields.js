@@ -0,0 +1,68 @@
+const { z } = require('zod');
+const { objectId } = require('./common');
+const { FIELD_TYPES } = require('../services/ticketFields');
+
+const slug = z.string({ message: 'Slug is required' })
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9][a-z0-9-]{0,99}$/, { message: 'Slug may only contain letters, digits and dashes' });
+
+const fieldKey = z.string({ message: 'Key is required' })
+    .trim()
+    .regex(/^[a-z][a-zA-Z0-9_]{0,49}$/, { message: 'Key must start with a lowercase letter and contain only letters, digits and underscores' });
+
+const label = (what) => z.string({ message: `${what} is required` }).trim().min(1, { message: `${what} is required` }).max(100);
+
+const options = z.array(z.string().trim().min(1).max(100))
+    .max(100)
+    .transform(items => [...new Set(items)]);
+
+const categoryParams = z.object({ categoryId: objectId });
+
+const createCategoryBody = z.object({
+    slug,
+    name: label('Name'),
+    description: z.string().trim().max(1000).optional(),
+    active: z.boolean().default(true)
+});
+
+// The slug is fixed: tickets and teams refer to it
+const updateCategoryBody = z.object({
+    name: label('Name').optional(),
+    description: z.string().trim().max(1000).optional(),
+    active: z.boolean().optional()
+});
+
+const fieldParams = z.object({ fieldId: objectId });
+
+const createFieldBody = z.object({
+    key: fieldKey,
+    label: label('Label'),
+    type: z.enum(FIELD_TYPES, { message: `Invalid type. Must be one of: ${FIELD_TYPES.join(', ')}` }),
+    options: options.optional(),
+    required: z.boolean().default(false),
+    active: z.boolean().default(true)
+}).refine(body => body.type !== 'SELECT' || (body.options && body.options.length > 0), {
+    message: 'SELECT fields need at least one option',
+    path: ['options']
+}).refine(body => body.type === 'SELECT' || !body.options, {
+    message: 'Only SELECT fields have options',
+    path: ['options']
+});
+
+// Key and type are fixed so stored values keep their meaning
+const updateFieldBody = z.object({
+    label: label('Label').optional(),
+    options: options.optional(),
+    required: z.boolean().optional(),
+    active: z.boolean().optional()
+});
+
+module.exports = {
+    categoryParams,
+    createCategoryBody,
+    createFieldBody,
+    fieldParams,
+    updateCategoryBody,
+    updateFieldBody
+};
@@ -0,0 +1,126 @@
+const { z } = require('zod');
+const { isoDate, objectId, queryBoolean, stringList } = require('./common');
+const { STATUSES } = require('../services/ticketStatus');
+const { PRIORITIES } = require('../services/sla');
+
+const reason = z.string().trim().max(1000).optional();
+
+const category = z.string().trim().toLowerCase().max(100);
+
+const tags = z.array(z.string().trim().toLowerCase().min(1).max(50))
+    .max(50)
+    .transform(items => [...new Set(items)]);
+
+// { key: value } for custom fields; multipart forms send it as a JSON string
+const customFieldValues = z.preprocess(
+    value => {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value;
+        }
+    },
+    z.record(z.string().max(50), z.union([z.string().max(1000), z.number(), z.null()]), {
+        message: 'customFields must be an object of field values'
+    })
+);
+
+// Multipart forms send skills as a comma separated string
+const createTicketBody = z.object({
+    issueDetails: z.string({ message: 'Issue details are required' })
+        .trim()
+        .min(1, { message: 'Issue details are required' })
+        .max(10000),
+    priority: z.enum(PRIORITIES).optional(),
+    category: category.optional(),
+    skills: stringList.optional(),
+    customFields: customFieldValues.optional()
+});
+
+// Shape check only: values stay strings and services/ticketQuery.js parses
+// the comma separated lists, search text and cursor
+const csv = z.string().trim().max(200);
+const dateString = z.string().refine(value => isoDate.safeParse(value).success, {
+    message: 'Invalid date'
+});
+
+// cf.<key>=value query parameters -> customFields: { key: value }
+const withCustomFieldFilters = (schema) => z.preprocess(
+    (query) => {
+        const rest = {};
+        const customFields = {};
+        for (const [name, value] of Object.entries(query || {})) {
+            if (name.startsWith('cf.')) {
+                customFields[name.slice(3)] = value;
+            } else {
+                rest[name] = value;
+            }
+        }
+        return Object.keys(customFields).length > 0 ? { ...rest, customFields } : rest;
+    },
+    schema
+);
+
+const ticketFilters = {
+    status: csv.optional(),
+    priority: csv.optional(),
+    slaState: csv.optional(),
+    assignedAgent: objectId.optional(),
+    customer: objectId.optional(),
+    team: objectId.optional(),
+    category: z.string().trim().max(100).optional(),
+    tags: csv.optional(),
+    customFields: z.record(z.string().max(50), z.string().max(200)).optional(),
+    unassigned: queryBoolean.transform(String).optional(),
+    createdFrom: dateString.optional(),
+    createdTo: dateString.optional(),
+    updatedFrom: dateString.optional(),
+    updatedTo: dateString.optional(),
+    q: z.string().max(500).optional()
+};
+
+const listTicketsQuery = withCustomFieldFilters(z.object({
+    ...ticketFilters,
+    sort: csv.optional(),
+    limit: z.string().regex(/^\d+$/, { message: 'limit must be a positive integer' }).optional(),
+    cursor: z.string().max(1000).optional()
+}));
+
+// Same filters; `by` is category, tag, status, priority or cf.<key>
+const ticketBreakdownQuery = withCustomFieldFilters(z.object({
+    ...ticketFilters,
+    by: z.string({ message: 'by is required' }).trim().min(1, { message: 'by is required' }).max(60),
+    format: z.enum(['json', 'csv']).default('json')
+}));
+
+const updateStatusBody = z.object({
+    status: z.enum(STATUSES, { message: `Invalid status. Must be one of: ${STATUSES.join(', ')}` }),
+    reason
+});
+
+const reopenTicketBody = z.object({ reason });
+
+// At least one of category, tags and customFields; category null clears it
+const updateTicketBody = z.object({
+    category: category.nullable().optional(),
+    tags: tags.optional(),
+    customFields: customFieldValues.optional()
+}).refine(body => Object.keys(body).length > 0, {
+    message: 'Provide category, tags or customFields'
+});
+
+const reassignTicketBody = z.object({
+    newAgentId: objectId,
+    reason
+});
+
+module.exports = {
+    createTicketBody,
+    listTicketsQuery,
+    reassignTicketBody,
+    reopenTicketBody,
+    ticketBreakdownQuery,
+    updateStatusBody,
+    updateTicketBody
+};
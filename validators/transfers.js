@@ -0,0 +1,13 @@
+const { z } = require('zod');
+const { objectId } = require('./common');
+
+const reason = z.string().trim().max(1000).optional();
+
+const requestTransferBody = z.object({
+    toAgentId: objectId,
+    reason
+});
+
+const declineTransferBody = z.object({ reason });
+
+module.exports = { declineTransferBody, requestTransferBody };
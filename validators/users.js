@@ -0,0 +1,8 @@
+const { z } = require('zod');
+
+const updateProfileBody = z.object({
+    name: z.string().trim().min(1, { message: 'Name cannot be empty' }).max(100).optional(),
+    age: z.number().int().min(18).nullable().optional()
+});
+
+module.exports = { updateProfileBody };
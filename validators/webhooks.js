@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const { objectId, pagination } = require('./common');
+const { TICKET_EVENTS } = require('../services/events');
+
+const EVENTS = Object.values(TICKET_EVENTS);
+
+const url = z.string().trim().max(2000).pipe(z.url({
+    protocol: /^https?$/,
+    message: 'URL must be an http(s) URL'
+}));
+
+const events = z.array(z.enum(EVENTS, { message: `Events must be among: ${EVENTS.join(', ')}` }))
+    .min(1, { message: 'Select at least one event' })
+    .transform(items => [...new Set(items)]);
+
+const webhookParams = z.object({ webhookId: objectId });
+
+const deliveryParams = webhookParams.extend({ deliveryId: objectId });
+
+const createWebhookBody = z.object({
+    url,
+    events,
+    description: z.string().trim().max(500).optional(),
+    active: z.boolean().default(true)
+});
+
+const updateWebhookBody = z.object({
+    url: url.optional(),
+    events: events.optional(),
+    description: z.string().trim().max(500).optional(),
+    active: z.boolean().optional()
+});
+
+const listDeliveriesQuery = z.object({
+    ...pagination,
+    status: z.enum(['PENDING', 'DELIVERING', 'SUCCEEDED', 'FAILED']).optional(),
+    event: z.enum(EVENTS).optional()
+});
+
+module.exports = {
+    createWebhookBody,
+    deliveryParams,
+    listDeliveriesQuery,
+    updateWebhookBody,
+    webhookParams
+};